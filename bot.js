@@ -3,9 +3,10 @@ const { Client, GatewayIntentBits, Events, EmbedBuilder } = require('discord.js'
 const logger = require('./utils/logger');
 const { generateRolybotResponse, loadPosts } = require('./utils/rolybotResponse');
 const { generateChessContext } = require('./utils/contextGenerators');
-const { registerSlashCommands } = require('./utils/commandLoader');
+const { registerSlashCommands, slashCommands } = require('./utils/commandLoader');
 const { recordRolybotRequest, tooManyRolybotRequests, goAFK } = require('./utils/openaiHelper');
 const { classifyMessage } = require('./utils/messageClassifier.js');
+const { parseNaturalMove } = require('./utils/chess/naturalMoveParser.js');
 const { getInstance: getGameManager } = require('./utils/chess/gameManager');
 const MemoryManager = require('./utils/memoryManager');
 const { ensureMemoryInitialized, getMemoryRetriever } = require('./utils/memoryUtils');
@@ -149,6 +150,22 @@ client.once(Events.ClientReady, async () => {
 // Handle slash command interactions
 client.on(Events.InteractionCreate, async interaction => {
     logger.info(`[SlashCmd] Received interaction: ${interaction.commandName}`);
+    if (interaction.isButton()) {
+        try {
+            await slashCommands.get('chess')?.handleChessButton(interaction);
+        } catch (error) {
+            logger.error(`[SlashCmd] Error handling button ${interaction.customId}:`, error);
+        }
+        return;
+    }
+    if (interaction.isAutocomplete()) {
+        try {
+            await slashCommands.get(interaction.commandName)?.autocomplete?.(interaction);
+        } catch (error) {
+            logger.error(`[SlashCmd] Error autocompleting /${interaction.commandName}:`, error);
+        }
+        return;
+    }
     if (!interaction.isCommand()) return;
     const command = slashCommands.get(interaction.commandName);
     if (!command) return;
@@ -162,6 +179,30 @@ client.on(Events.InteractionCreate, async interaction => {
     }
 });
 
+/**
+ * Handles a move or resignation in the user's puzzle thread
+ * @param {Message} message - The user's message
+ * @param {Object} cmd - Chess command from the classifier
+ */
+async function handlePuzzleCommand(message, cmd) {
+    const { puzzleManager } = gameManager;
+    let result;
+    try {
+        result = cmd.command === 'resign'
+            ? puzzleManager.giveUp(message.author.id)
+            : await puzzleManager.submitMove(message.author.id, cmd.move);
+    } catch (err) {
+        logger.warn(`[Chess] Puzzle move rejected: ${err.message}`);
+        await message.channel.send(err.message);
+        return;
+    }
+
+    await message.channel.send(puzzleManager.buildMoveMessage(result));
+    if (result.status !== 'correct') {
+        await message.channel.setArchived(true).catch(e => logger.error('Error archiving puzzle thread:', e));
+    }
+}
+
 // Handle incoming messages
 client.on(Events.MessageCreate, async message => {
     if (message.content.startsWith('/')) return; // Ignore slash commands (handled by interactionCreate)
@@ -224,12 +265,18 @@ client.on(Events.MessageCreate, async message => {
         logger.warn("[RolyBot] Could not fetch message history:", err);
     }
 
+    // Puzzle moves are only taken in the user's own puzzle thread
+    const puzzleSession = gameManager?.puzzleManager.getActivePuzzle(message.author.id);
+    const inPuzzleThread = !!puzzleSession && puzzleSession.threadId === message.channel.id;
+
     // Get legal moves if this is a chess move
     let legalMoves = [];
     try {
-        const gameData = gameManager.getGameData(message.author.id);
-        if (gameData && gameData.gameInstance) {
-            legalMoves = gameData.gameInstance.moves({ verbose: true }).map(move => ({
+        const position = inPuzzleThread
+            ? gameManager.puzzleManager.getPosition(puzzleSession)
+            : gameManager.getGameData(message.author.id, message.channel.id)?.gameInstance;
+        if (position) {
+            legalMoves = position.moves({ verbose: true }).map(move => ({
                 uci: move.from + move.to + (move.promotion || ''),
                 san: move.san,
                 piece: move.piece,
@@ -264,8 +311,19 @@ client.on(Events.MessageCreate, async message => {
     
     logger.info(`Classification Input:\n${inputDetails}`);
     
+    // Moves the offline parser understands skip the classifier entirely; it only runs when the parser finds no match
+    const parsedMove = legalMoves.length > 0
+        ? parseNaturalMove(message.content, legalMoves)
+        : { status: 'no-match' };
+    if (parsedMove.status === 'ambiguous') {
+        await message.reply(`Which move do you mean: ${parsedMove.candidates.map(move => move.san).join(', ')}?`);
+        return;
+    }
+
     // Get classification
-    const classification = await classifyMessage(classificationInput);
+    const classification = parsedMove.status === 'match'
+        ? { respond: true, chess_commands: [{ command: 'move', move: parsedMove.move.san }] }
+        : await classifyMessage(classificationInput);
     
     // Log detailed output
     const outputDetails = `Input Length: ${message.content.length}\n` +
@@ -295,83 +353,61 @@ client.on(Events.MessageCreate, async message => {
         // Process each chess command in order
         for (const cmd of chessCommands) {
             try {
-                if (cmd.command === 'move') {
-                    // Make the move
+                if (inPuzzleThread && (cmd.command === 'move' || cmd.command === 'resign')) {
+                    await handlePuzzleCommand(message, cmd);
+                } else if (cmd.command === 'move') {
+                    // Make the move, posting the boards here (the same path as /chess move)
                     try {
                         await message.channel.send('Calculating move...');
-                        const moveResult = await gameManager.makeMove(message.author.id, cmd.move, message);
-                        
-                        // Get the game state after the player's move (before AI move)
-                        const playerMoveFen = moveResult.moveAfterPlayerMove || moveResult.gameData.fen;
-                        const playerMoveImageUrl = await gameManager.getBoardImageUrl(playerMoveFen);
-                        
-                        // Show the board after player's move
-                        const moveEmbed = new EmbedBuilder()
-                            .setTitle('Chess Board')
-                            .setColor(0x5865F2) // Discord blue
-                            .setImage(playerMoveImageUrl)
-                            .setDescription(`Your move: ${moveResult.move.san}`);
-                        
-                        // Send the player's move embed
-                        await message.channel.send({ embeds: [moveEmbed] });
-                        
-                        // If AI made a move, show its move
-                        if (moveResult.aiMove) {
-                            const aiMoveEmbed = new EmbedBuilder()
-                                .setTitle('Chess Board')
-                                .setColor(0x5865F2)
-                                .setImage(moveResult.aiMove.boardImageUrl)
-                                .setDescription(`AI moved: ${moveResult.aiMove.move.san}`);
-                            
-                            await message.channel.send({ embeds: [aiMoveEmbed] });
-                        }
+                        await gameManager.playMove(message.author.id, cmd.move, payload => message.channel.send(payload), message.channel.id);
                     } catch (err) {
                         logger.error(`[Chess] Error making move: ${err.message}`);
                         await message.channel.send('Invalid move. Please try again.');
                     }
-                } else if (cmd.command === 'resign') {
-                    // Handle resignation
+                } else if (cmd.command === 'show') {
                     try {
-                        const game = gameManager.getGame(message.author.id);
-                        if (!game) {
-                            await message.channel.send('You do not have an active game to resign from.');
-                            return;
+                        await message.channel.send(await gameManager.buildGameBoard(message.author.id, message.channel.id));
+                    } catch (error) {
+                        await message.channel.send(error.message);
+                    }
+                } else if (['offer_draw', 'takeback', 'abort', 'accept_offer', 'decline_offer'].includes(cmd.command)) {
+                    // Draw offers, takebacks and aborts
+                    try {
+                        const gameData = gameManager.getGameData(message.author.id, message.channel.id);
+                        const threadId = gameData?.threadId;
+                        let outcome;
+                        if (cmd.command === 'offer_draw') {
+                            outcome = await gameManager.offerDraw(message.author.id, message.channel.id);
+                        } else if (cmd.command === 'takeback') {
+                            outcome = await gameManager.requestTakeback(message.author.id, message.channel.id);
+                        } else if (cmd.command === 'abort') {
+                            outcome = await gameManager.abortGame(message.author.id, message.channel.id);
+                        } else {
+                            if (!gameData?.pendingOffer) {
+                                await message.channel.send('There is no offer to answer in your game.');
+                                continue;
+                            }
+                            outcome = await gameManager.respondToOffer(gameData.gameId, message.author.id, gameData.pendingOffer.type, cmd.command === 'accept_offer');
                         }
-                        
-                        // Get opponent's ID
-                        const opponentGame = gameManager.getOpponentGame(message.author.id);
-                        const opponentId = opponentGame?.opponent;
-                        
-                        // End the game
-                        gameManager.removeGame(message.author.id);
-                        if (opponentId) {
-                            gameManager.removeGame(opponentId);
+                        // The game thread already has the announcement
+                        if (!outcome.announced || message.channel.id !== threadId) {
+                            await message.channel.send(outcome.text);
                         }
-                        
-                        // Send resignation message
-                        const resignMessage = opponentId 
-                            ? `<@${message.author.id}> has resigned the game against <@${opponentId}>.`
-                            : `<@${message.author.id}> has resigned the game.`;
-                            
-                        await message.channel.send(resignMessage);
-                        
-                        // Clean up thread if it exists
-                        try {
-                            const threadId = game.threadId || (opponentGame?.threadId);
-                            if (threadId) {
-                                const thread = await message.guild.channels.fetch(threadId);
-                                if (thread) {
-                                    await thread.send(resignMessage);
-                                    // Optionally archive the thread
-                                    await thread.setArchived(true).catch(e => logger.error('Error archiving thread:', e));
-                                }
-                            }
-                        } catch (threadError) {
-                            logger.error('Error cleaning up thread after resignation:', threadError);
+                    } catch (error) {
+                        await message.channel.send(error.message);
+                    }
+                } else if (cmd.command === 'resign') {
+                    // Handle resignation
+                    try {
+                        const threadId = gameManager.getGameData(message.author.id, message.channel.id)?.threadId;
+                        const outcome = await gameManager.resignGame(message.author.id, message.channel.id);
+                        // The game thread already has the result
+                        if (!outcome.announced || message.channel.id !== threadId) {
+                            await message.channel.send(outcome.text);
                         }
                     } catch (error) {
                         logger.error('[Chess] Error processing resignation:', error);
-                        await message.channel.send('An error occurred while processing your resignation.');
+                        await message.channel.send(error.message);
                     }
                 }
             } catch (err) {
@@ -433,16 +469,15 @@ client.on(Events.MessageCreate, async message => {
         if (message.channel && message.channel.type === 11 && message.channel.name && message.channel.name.toLowerCase().includes('chess vs')) {
             chessRoom = `[in thread: ${message.channel.name.toLowerCase()}]\n`;
             
-            // Get all games that have this thread ID
-            const games = gameManager.gameStateManager.games;
-            const gameEntry = Object.entries(games).find(([_, game]) => 
-                game.threadId === message.channel.id
-            );
+            // Find the game played in this thread
+            const gameData = gameManager.gameStateManager.getGameByThread(message.channel.id);
             
-            if (gameEntry) {
-                const [playerId, gameData] = gameEntry;
-                // Get the chess context for both players in this thread
-                const context = generateChessContext(playerId);
+            if (gameData) {
+                // Describe the game from the author's side if they are playing in it
+                const playerId = [gameData.whiteId, gameData.blackId].includes(message.author.id)
+                    ? message.author.id
+                    : gameData.whiteId;
+                const context = await generateChessContext(playerId, message.channel.id);
                 if (context) {
                     chessContext = `\n\n--- Current Chess Game ---\n${context}\n\n`;
                 }
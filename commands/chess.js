@@ -1,9 +1,33 @@
-const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } = require('discord.js');
 const logger = require('../utils/logger');
 const { getGameManager } = require('../utils/chess/gameManager');
-const { getBoardImageUrl } = require('../utils/chess/gameManager');
+const { parseTimeControl } = require('../utils/chess/clockManager');
+const { getStartingPosition, describeVariant } = require('../utils/chess/variants');
+const { validateOdds, describeOdds } = require('../utils/chess/odds');
+const { formatOpening } = require('../utils/chess/openingBook');
+const { parseNaturalMove } = require('../utils/chess/naturalMoveParser');
+const threadManager = require('../utils/chess/threadManager');
 const Chess = require('chess.js').Chess;
 
+const OPENINGS_PER_COLOUR = 8; // Openings listed per colour by /chess openings
+const HISTORY_GAMES = 15; // Finished games listed by /chess history
+const MAX_AUTOCOMPLETE_CHOICES = 25; // Discord's limit
+const TURN_NOTIFICATION_LABELS = {
+    thread: 'Ping me in the game thread',
+    dm: 'Send me a DM',
+    off: 'Off (inactivity reminders still go to the thread)'
+};
+const COMMENTARY_LABELS = {
+    off: 'Off',
+    quiet: 'Quiet: only the biggest moments',
+    chatty: 'Chatty: swings, checks, big captures and endgames'
+};
+const EVALUATION_LABELS = {
+    bot: 'In games against RolyBot',
+    always: 'In all games (against people, only if they choose this too)',
+    off: 'Off'
+};
+
 const chessCommand = new SlashCommandBuilder()
     .setName('chess')
     .setDescription('Chess commands and game management')
@@ -23,7 +47,8 @@ const chessCommand = new SlashCommandBuilder()
                         { name: 'Beginner', value: 'beginner' },
                         { name: 'Intermediate', value: 'intermediate' },
                         { name: 'Advanced', value: 'advanced' },
-                        { name: 'Master', value: 'master' }
+                        { name: 'Master', value: 'master' },
+                        { name: 'Adaptive (adjusts to how you play)', value: 'adaptive' }
                     )
             )
             .addBooleanOption(option =>
@@ -31,8 +56,859 @@ const chessCommand = new SlashCommandBuilder()
                     .setDescription('Enable voice chat for this game (only one game can have voice chat at a time)')
                     .setRequired(false)
             )
+            .addStringOption(option =>
+                option.setName('time-control')
+                    .setDescription('Clock for this game (untimed if not specified)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Untimed', value: 'none' },
+                        { name: 'Bullet (1+0)', value: 'bullet' },
+                        { name: 'Blitz (3+2)', value: 'blitz' },
+                        { name: 'Rapid (10+5)', value: 'rapid' },
+                        { name: 'Correspondence (days per move)', value: 'correspondence' },
+                        { name: 'Custom (base + increment)', value: 'custom' }
+                    )
+            )
+            .addIntegerOption(option =>
+                option.setName('base-minutes')
+                    .setDescription('Base time in minutes (custom time control only)')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(180)
+            )
+            .addIntegerOption(option =>
+                option.setName('increment-seconds')
+                    .setDescription('Seconds added after each move (custom time control only)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(60)
+            )
+            .addIntegerOption(option =>
+                option.setName('days-per-move')
+                    .setDescription('Days allowed per move (correspondence only, default 3)')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(14)
+            )
+            .addStringOption(option =>
+                option.setName('color')
+                    .setDescription('Colour you want to play (random if not specified)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'White', value: 'w' },
+                        { name: 'Black', value: 'b' },
+                        { name: 'Random', value: 'random' }
+                    )
+            )
+            .addStringOption(option =>
+                option.setName('variant')
+                    .setDescription('Starting position (standard if not specified)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Standard', value: 'standard' },
+                        { name: 'Chess960 (random back rank)', value: 'chess960' },
+                        { name: 'From FEN', value: 'fen' }
+                    )
+            )
+            .addStringOption(option =>
+                option.setName('fen')
+                    .setDescription('Position to play out (From FEN variant only)')
+                    .setRequired(false)
+                    .setMaxLength(100)
+            )
+            .addBooleanOption(option =>
+                option.setName('coach')
+                    .setDescription('Warn me before moves that throw away material (games against RolyBot only)')
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option.setName('odds')
+                    .setDescription('Handicap RolyBot gives you (games against RolyBot only, unrated)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Knight odds', value: 'knight' },
+                        { name: 'Rook odds', value: 'rook' },
+                        { name: 'Queen odds', value: 'queen' },
+                        { name: 'Pawn and move (you play White)', value: 'move' },
+                        { name: 'Time odds (RolyBot gets a third of your clock)', value: 'time' }
+                    )
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('move')
+            .setDescription('Make a move in your current game')
+            .addStringOption(opt =>
+                opt.setName('move')
+                   .setDescription('Your move, e.g. e4, Nf3, e7e8q or "knight to f3"')
+                   .setRequired(true)
+                   .setAutocomplete(true)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('show')
+            .setDescription('Show the board of your current game')
+    )
+    .addSubcommand(sub =>
+        sub.setName('resign')
+            .setDescription('Resign your current game')
+    )
+    .addSubcommand(sub =>
+        sub.setName('hint')
+            .setDescription('Show RolyBot\'s best moves for your position (a few per game against RolyBot)')
+    )
+    .addSubcommand(sub =>
+        sub.setName('export')
+            .setDescription('Post your current game as a PGN file in the game thread')
+    )
+    .addSubcommand(sub =>
+        sub.setName('draw')
+            .setDescription('Offer a draw in your current game')
+    )
+    .addSubcommand(sub =>
+        sub.setName('takeback')
+            .setDescription('Ask to take back your last move')
+    )
+    .addSubcommand(sub =>
+        sub.setName('abort')
+            .setDescription('Abort your current game before both players have moved (not rated)')
+    )
+    .addSubcommand(sub =>
+        sub.setName('analyze')
+            .setDescription('Stockfish analysis of a finished game, with blunders, mistakes and accuracy')
+            .addStringOption(opt =>
+                opt.setName('game')
+                   .setDescription('Game ID (defaults to your most recent finished game)')
+                   .setRequired(false)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('replay')
+            .setDescription('Animated GIF replay of a finished game')
+            .addStringOption(opt =>
+                opt.setName('game')
+                   .setDescription('Game ID (defaults to your most recent finished game)')
+                   .setRequired(false)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('puzzle')
+            .setDescription('Solve a chess puzzle picked for your puzzle rating, or today\'s daily puzzle')
+            .addBooleanOption(opt =>
+                opt.setName('daily')
+                   .setDescription('Play the daily puzzle that everyone on the server can attempt once')
+                   .setRequired(false)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('watch')
+            .setDescription('Follow a game live on a board that updates after every move')
+            .addUserOption(opt =>
+                opt.setName('user')
+                   .setDescription('A player in the game to watch')
+                   .setRequired(true)
+            )
+            .addBooleanOption(opt =>
+                opt.setName('dm')
+                   .setDescription('Send the live board to your DMs instead of this channel')
+                   .setRequired(false)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('settings')
+            .setDescription('Show or change your chess settings')
+            .addStringOption(opt =>
+                opt.setName('turn-notifications')
+                   .setDescription('How you are told it\'s your move in games against other people')
+                   .setRequired(false)
+                   .addChoices(...Object.entries(TURN_NOTIFICATION_LABELS).map(([value, name]) => ({ name, value })))
+            )
+            .addStringOption(opt =>
+                opt.setName('commentary')
+                   .setDescription('How much RolyBot comments on your games as they are played')
+                   .setRequired(false)
+                   .addChoices(...Object.entries(COMMENTARY_LABELS).map(([value, name]) => ({ name, value })))
+            )
+            .addStringOption(opt =>
+                opt.setName('evaluations')
+                   .setDescription('When your move boards show the engine\'s evaluation bar and best line')
+                   .setRequired(false)
+                   .addChoices(...Object.entries(EVALUATION_LABELS).map(([value, name]) => ({ name, value })))
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('games')
+            .setDescription('List the chess games being played on this server')
+    )
+    .addSubcommand(sub =>
+        sub.setName('stats')
+            .setDescription('Show chess rating, record, favourite openings and streak')
+            .addUserOption(opt =>
+                opt.setName('user')
+                   .setDescription('Player to look up (defaults to you)')
+                   .setRequired(false)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('history')
+            .setDescription('List a player\'s recent finished games, with their IDs for replay and analyze')
+            .addUserOption(opt =>
+                opt.setName('user')
+                   .setDescription('Player to look up (defaults to you)')
+                   .setRequired(false)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('openings')
+            .setDescription('Show the openings a player has played as White and Black, with their results')
+            .addUserOption(opt =>
+                opt.setName('user')
+                   .setDescription('Player to look up (defaults to you)')
+                   .setRequired(false)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('leaderboard')
+            .setDescription('Show the highest rated chess players and RolyBot\'s rating at each difficulty')
+    )
+    .addSubcommandGroup(group =>
+        group.setName('tournament')
+            .setDescription('Swiss and round-robin tournaments')
+            .addSubcommand(sub =>
+                sub.setName('create')
+                    .setDescription('Create a tournament that players can join')
+                    .addStringOption(opt =>
+                        opt.setName('name')
+                           .setDescription('Tournament name')
+                           .setRequired(true)
+                           .setMaxLength(60)
+                    )
+                    .addStringOption(opt =>
+                        opt.setName('format')
+                           .setDescription('Pairing system (default Swiss)')
+                           .setRequired(false)
+                           .addChoices(
+                               { name: 'Swiss', value: 'swiss' },
+                               { name: 'Round robin', value: 'roundrobin' }
+                           )
+                    )
+                    .addIntegerOption(opt =>
+                        opt.setName('rounds')
+                           .setDescription('Number of Swiss rounds (default depends on the number of players)')
+                           .setRequired(false)
+                           .setMinValue(1)
+                           .setMaxValue(15)
+                    )
+                    .addStringOption(opt =>
+                        opt.setName('time-control')
+                           .setDescription('Clock for every game (untimed if not specified)')
+                           .setRequired(false)
+                           .addChoices(
+                               { name: 'Untimed', value: 'none' },
+                               { name: 'Bullet (1+0)', value: 'bullet' },
+                               { name: 'Blitz (3+2)', value: 'blitz' },
+                               { name: 'Rapid (10+5)', value: 'rapid' },
+                               { name: 'Correspondence (days per move)', value: 'correspondence' }
+                           )
+                    )
+            )
+            .addSubcommand(sub =>
+                sub.setName('join')
+                    .setDescription('Join a tournament before it starts')
+            .addStringOption(opt =>
+                opt.setName('id')
+                   .setDescription('Tournament ID (defaults to the latest one on this server)')
+                   .setRequired(false)
+            )
+            )
+            .addSubcommand(sub =>
+                sub.setName('start')
+                    .setDescription('Start your tournament and pair the first round')
+            .addStringOption(opt =>
+                opt.setName('id')
+                   .setDescription('Tournament ID (defaults to the latest one on this server)')
+                   .setRequired(false)
+            )
+            )
+            .addSubcommand(sub =>
+                sub.setName('standings')
+                    .setDescription('Show a tournament\'s standings and tiebreaks')
+            .addStringOption(opt =>
+                opt.setName('id')
+                   .setDescription('Tournament ID (defaults to the latest one on this server)')
+                   .setRequired(false)
+            )
+            )
+            .addSubcommand(sub =>
+                sub.setName('withdraw')
+                    .setDescription('Leave a tournament, forfeiting your remaining games')
+            .addStringOption(opt =>
+                opt.setName('id')
+                   .setDescription('Tournament ID (defaults to the latest one on this server)')
+                   .setRequired(false)
+            )
+            )
     );
 
+/**
+ * Formats a score as a percentage
+ * @param {number} score - Points scored
+ * @param {number} games - Games played
+ * @returns {string} e.g. "67%"
+ */
+function formatScore(score, games) {
+    return games > 0 ? `${Math.round((score / games) * 100)}%` : '-';
+}
+
+/**
+ * Offers a draw, asks for a takeback, aborts or resigns the user's current game
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ * @param {'draw'|'takeback'|'abort'|'resign'} action - Subcommand that was used
+ */
+async function handleGameActionCommand(interaction, gameManager, action) {
+    const userId = interaction.user.id;
+    // RolyBot may consult the engine before answering a draw offer
+    await interaction.deferReply({ flags: 64 });
+
+    try {
+        const channelId = interaction.channelId;
+        const outcome = action === 'draw'
+            ? await gameManager.offerDraw(userId, channelId)
+            : action === 'takeback'
+                ? await gameManager.requestTakeback(userId, channelId)
+                : action === 'resign'
+                    ? await gameManager.resignGame(userId, channelId)
+                    : await gameManager.abortGame(userId, channelId);
+        return await interaction.editReply({ content: outcome.text });
+    } catch (error) {
+        logger.warn(`[Chess] ${action} failed for ${userId}: ${error.message}`);
+        return await interaction.editReply({ content: error.message });
+    }
+}
+
+/**
+ * Shows the engine's best moves for the user's position, visible only to them
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleHintCommand(interaction, gameManager) {
+    await interaction.deferReply({ flags: 64 });
+    try {
+        const { hints, remaining } = await gameManager.getHint(interaction.user.id, interaction.channelId);
+        const lines = hints.map((hint, i) => `${i + 1}. **${hint.san}** (${hint.evaluation}) ${hint.explanation}`);
+        const embed = new EmbedBuilder()
+            .setTitle('💡 Hint')
+            .setDescription(lines.join('\n'))
+            .setColor(0xF1C40F)
+            .setFooter({ text: `${remaining} hint(s) left this game` });
+        return await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+        logger.warn(`[Chess] Hint failed for ${interaction.user.id}: ${error.message}`);
+        return await interaction.editReply({ content: error.message });
+    }
+}
+
+/**
+ * Posts a live board for another user's game in this channel or the user's DMs
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleWatchCommand(interaction, gameManager) {
+    const watched = interaction.options.getUser('user');
+    const useDm = interaction.options.getBoolean('dm') || false;
+    await interaction.deferReply({ flags: 64 });
+
+    try {
+        const channel = useDm ? await interaction.user.createDM() : interaction.channel;
+        const message = await gameManager.watchGame(watched.id, channel, interaction.user.id);
+        return await interaction.editReply({ content: `👀 Watching <@${watched.id}>'s game: ${message.url}` });
+    } catch (error) {
+        logger.warn(`[Chess] Watch failed for ${interaction.user.id}: ${error.message}`);
+        return await interaction.editReply({ content: error.message });
+    }
+}
+
+/**
+ * Plays a move in the user's current game and posts the boards in reply.
+ * Moves are read the same way as in chat: SAN or coordinates, or plain English.
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleMoveCommand(interaction, gameManager) {
+    const userId = interaction.user.id;
+    const input = interaction.options.getString('move').trim();
+    if (!gameManager.getGameData(userId, interaction.channelId)) {
+        const count = gameManager.gameStateManager.getGamesForUser(userId).length;
+        const content = count > 1
+            ? `You have ${count} games in progress. Use \`/chess move\` in the game's thread.`
+            : 'You do not have an active game. Start one with `/chess challenge`.';
+        return await interaction.reply({ content, flags: 64 });
+    }
+
+    const legalMoves = gameManager.getLegalMoves(userId, interaction.channelId);
+    const exact = legalMoves.find(move => move.san === input || move.uci === input.toLowerCase());
+    let move = exact ? exact.san : input;
+    if (!exact) {
+        const parsed = parseNaturalMove(input, legalMoves);
+        if (parsed.status === 'ambiguous') {
+            return await interaction.reply({ content: `Which move do you mean: ${parsed.candidates.map(m => m.san).join(', ')}?`, flags: 64 });
+        }
+        if (parsed.status === 'match') {
+            move = parsed.move.san;
+        }
+    }
+
+    // RolyBot's reply can take a few seconds; the first message replaces the "thinking" reply
+    await interaction.deferReply();
+    let replied = false;
+    const send = payload => {
+        if (replied) return interaction.followUp(payload);
+        replied = true;
+        return interaction.editReply(payload);
+    };
+
+    try {
+        await gameManager.playMove(userId, move, send, interaction.channelId);
+    } catch (error) {
+        logger.warn(`[Chess] Move ${input} failed for ${userId}: ${error.message}`);
+        if (!replied) {
+            await interaction.deleteReply().catch(() => {});
+        }
+        return await interaction.followUp({ content: error.message.replace(/^Failed to make move: /, ''), flags: 64 });
+    }
+}
+
+/**
+ * Shows the board of the user's current game
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleShowCommand(interaction, gameManager) {
+    try {
+        return await interaction.reply(await gameManager.buildGameBoard(interaction.user.id, interaction.channelId));
+    } catch (error) {
+        return await interaction.reply({ content: error.message, flags: 64 });
+    }
+}
+
+/**
+ * Shows the user's settings, changing any that were given
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleSettingsCommand(interaction, gameManager) {
+    const userId = interaction.user.id;
+    const changes = {};
+    const turnNotifications = interaction.options.getString('turn-notifications');
+    const commentary = interaction.options.getString('commentary');
+    const evaluations = interaction.options.getString('evaluations');
+    if (turnNotifications) changes.turnNotifications = turnNotifications;
+    if (commentary) changes.commentary = commentary;
+    if (evaluations) changes.evaluations = evaluations;
+    const changed = Object.keys(changes).length > 0;
+    const settings = changed
+        ? gameManager.playerSettings.update(userId, changes)
+        : gameManager.playerSettings.get(userId);
+
+    const embed = new EmbedBuilder()
+        .setTitle('⚙️ Chess settings')
+        .setColor(0x5865F2)
+        .addFields(
+            { name: 'Turn notifications', value: TURN_NOTIFICATION_LABELS[settings.turnNotifications], inline: false },
+            { name: 'Commentary', value: COMMENTARY_LABELS[settings.commentary], inline: false },
+            { name: 'Evaluations', value: EVALUATION_LABELS[settings.evaluations], inline: false }
+        )
+        .setFooter({ text: changed ? 'Settings saved' : 'Change these with the options of /chess settings' });
+    if (settings.turnNotifications === 'dm') {
+        embed.setDescription('If your DMs are closed, you\'ll be pinged in the game thread instead.');
+    }
+    return await interaction.reply({ embeds: [embed], flags: 64 });
+}
+
+/**
+ * Lists a player's most recent finished games
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleHistoryCommand(interaction, gameManager) {
+    const user = interaction.options.getUser('user') || interaction.user;
+    const games = gameManager.resultsManager.getGamesForPlayer(user.id);
+    if (games.length === 0) {
+        return await interaction.reply({ content: `<@${user.id}> has not finished any chess games yet.`, flags: 64 });
+    }
+
+    const lines = games.slice(-HISTORY_GAMES).reverse().map(record => {
+        const score = gameManager.resultsManager.getScore(record, user.id);
+        const icon = score === 1 ? '✅' : score === 0 ? '❌' : '🤝';
+        const isWhite = record.whiteId === user.id;
+        const opponentId = isWhite ? record.blackId : record.whiteId;
+        const opening = record.opening ? ` · ${formatOpening(record.opening)}` : '';
+        const odds = record.odds ? ` · ${describeOdds(record.odds)}` : '';
+        const endedAt = Math.floor(new Date(record.endedAt).getTime() / 1000);
+        return `${icon} \`${record.id}\` ${isWhite ? '⬜' : '⬛'} vs <@${opponentId}> · ${record.result} ${record.termination}${opening}${odds} · <t:${endedAt}:d>`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setTitle(`♟️ Recent games of ${user.username}`)
+        .setDescription(lines.join('\n'))
+        .setColor(0x5865F2)
+        .setFooter({ text: `${games.length} finished game(s) · Use the IDs with /chess replay and /chess analyze` });
+    return await interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+}
+
+/**
+ * Lists the active games in this server with links to their threads
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleGamesCommand(interaction, gameManager) {
+    await interaction.deferReply();
+    const games = await gameManager.getGamesInGuild(interaction.guildId);
+    if (games.length === 0) {
+        return await interaction.editReply({ content: 'No chess games are being played right now. Start one with `/chess challenge`.' });
+    }
+
+    const lines = games.slice(0, 20).map(gameData => {
+        const moves = gameData.gameInstance ? gameData.gameInstance.history().length : (gameData.moves || []).length;
+        const toMove = gameData.gameInstance?.turn() === 'b' ? 'Black' : 'White';
+        const thread = gameData.threadId ? ` · <#${gameData.threadId}>` : '';
+        const variant = gameData.variant && gameData.variant !== 'standard' ? ` · ${describeVariant(gameData.variant)}` : '';
+        const odds = gameData.odds ? ` · ${describeOdds(gameData.odds)}` : '';
+        return `<@${gameData.whiteId}> vs <@${gameData.blackId}>${variant}${odds} · move ${Math.floor(moves / 2) + 1}, ${toMove} to move${thread}`;
+    });
+    if (games.length > lines.length) {
+        lines.push(`…and ${games.length - lines.length} more`);
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('♟️ Active Games')
+        .setDescription(lines.join('\n'))
+        .setColor(0x5865F2)
+        .setFooter({ text: 'Use /chess watch to follow a game live' });
+    return await interaction.editReply({ embeds: [embed], allowedMentions: { parse: [] } });
+}
+
+/**
+ * Creates, joins, starts, withdraws from or shows the standings of a tournament
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ * @param {string} subcommand - Tournament subcommand that was used
+ */
+async function handleTournamentCommand(interaction, gameManager, subcommand) {
+    const { tournamentManager } = gameManager;
+    const userId = interaction.user.id;
+    if (!interaction.guildId) {
+        return await interaction.reply({ content: 'Tournaments can only be played in a server.', flags: 64 });
+    }
+
+    try {
+        if (subcommand === 'create') {
+            const tournament = tournamentManager.createTournament({
+                name: interaction.options.getString('name'),
+                format: interaction.options.getString('format') || 'swiss',
+                rounds: interaction.options.getInteger('rounds'),
+                timeControl: parseTimeControl(interaction.options.getString('time-control')),
+                guildId: interaction.guildId,
+                channelId: interaction.channelId,
+                creatorId: userId
+            });
+            return await interaction.reply({
+                content: `🏆 **${tournament.name}** created (ID \`${tournament.id}\`). ` +
+                    `Join with \`/chess tournament join\`, and <@${userId}> can start it with \`/chess tournament start\` once everyone is in.`
+            });
+        }
+
+        const tournament = tournamentManager.findTournament(interaction.guildId, interaction.options.getString('id'));
+
+        if (subcommand === 'join') {
+            const { rating } = gameManager.resultsManager.getStats(userId);
+            tournamentManager.joinTournament(tournament.id, userId, rating);
+            return await interaction.reply({
+                content: `<@${userId}> joined **${tournament.name}** (${tournament.players.length} player(s)).`
+            });
+        }
+
+        if (subcommand === 'start') {
+            await interaction.deferReply();
+            await gameManager.startTournament(tournament.id, userId);
+            return await interaction.editReply({
+                content: `🏆 **${tournament.name}** has started with ${tournament.players.length} players over ${tournament.totalRounds} round(s)!`
+            });
+        }
+
+        if (subcommand === 'withdraw') {
+            await interaction.deferReply();
+            await gameManager.withdrawFromTournament(tournament.id, userId);
+            return await interaction.editReply({ content: `<@${userId}> withdrew from **${tournament.name}**.` });
+        }
+
+        return await interaction.reply({
+            embeds: [tournamentManager.buildStandingsEmbed(tournament)],
+            allowedMentions: { parse: [] }
+        });
+    } catch (error) {
+        logger.warn(`[Chess] Tournament ${subcommand} failed for ${userId}: ${error.message}`);
+        const reply = { content: error.message, flags: 64 };
+        return interaction.deferred ? await interaction.editReply(reply) : await interaction.reply(reply);
+    }
+}
+
+/**
+ * Starts a puzzle in its own thread
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handlePuzzleCommand(interaction, gameManager) {
+    const { puzzleManager } = gameManager;
+    const userId = interaction.user.id;
+    const daily = interaction.options.getBoolean('daily') || false;
+
+    const active = puzzleManager.getActivePuzzle(userId);
+    if (active) {
+        const where = active.threadId ? ` in <#${active.threadId}>` : '';
+        return await interaction.reply({ content: `You already have a puzzle in progress${where}. Solve it or say "resign" there to give up.`, flags: 64 });
+    }
+
+    if (daily && !puzzleManager.canAttemptDaily(userId)) {
+        const { solvers } = puzzleManager.getDailyStatus(interaction.guildId);
+        const solvedBy = solvers.length > 0 ? solvers.map(id => `<@${id}>`).join(', ') : 'nobody yet';
+        return await interaction.reply({ content: `You have already attempted today's daily puzzle. Solved on this server by: ${solvedBy}.`, flags: 64 });
+    }
+
+    let started;
+    try {
+        started = puzzleManager.startPuzzle(userId, { daily, guildId: interaction.guildId });
+    } catch (error) {
+        return await interaction.reply({ content: error.message, flags: 64 });
+    }
+
+    const { puzzle, session } = started;
+    try {
+        const name = daily ? `🧩 Daily puzzle: ${interaction.user.username}` : `🧩 Puzzle ${puzzle.id}: ${interaction.user.username}`;
+        const thread = await threadManager.createPuzzleThread(interaction.channel, interaction.user, name);
+        puzzleManager.setThread(userId, thread.id);
+        await thread.send({ content: `<@${userId}>`, ...puzzleManager.buildStartMessage(puzzle, session) });
+        return await interaction.reply({ content: `Your puzzle is ready in <#${thread.id}>.`, flags: 64 });
+    } catch (error) {
+        logger.error(`[Chess] Error starting puzzle ${puzzle.id}: ${error.message}`);
+        puzzleManager.cancelPuzzle(userId);
+        return await interaction.reply({ content: 'Sorry, I could not set up a puzzle thread here.', flags: 64 });
+    }
+}
+
+/**
+ * Shows a player's rating, record, favourite openings and current streak
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleStatsCommand(interaction, gameManager) {
+    const user = interaction.options.getUser('user') || interaction.user;
+    const stats = gameManager.resultsManager.getStats(user.id);
+
+    const puzzleStats = gameManager.puzzleManager.getStats(user.id);
+
+    if (stats.games === 0 && !puzzleStats) {
+        return await interaction.reply({ content: `<@${user.id}> has not finished any rated chess games or puzzles yet.`, flags: 64 });
+    }
+
+    const streak = stats.streak
+        ? `${stats.streak.length} ${stats.streak.type}${stats.streak.length === 1 ? '' : stats.streak.type === 'loss' ? 'es' : 's'} in a row`
+        : '-';
+    const openings = stats.favouriteOpenings.length > 0
+        ? stats.favouriteOpenings.map(o => `${o.name} (${o.games} game${o.games === 1 ? '' : 's'}, ${formatScore(o.score, o.games)})`).join('\n')
+        : '-';
+
+    const embed = new EmbedBuilder()
+        .setTitle(`♟️ Chess stats for ${user.username}`)
+        .setColor(0x5865F2)
+        .addFields(
+            { name: 'Rating', value: `${stats.rating}`, inline: true },
+            { name: 'Record (W/L/D)', value: `${stats.wins}/${stats.losses}/${stats.draws}`, inline: true },
+            { name: 'Current streak', value: streak, inline: true },
+            { name: 'Favourite openings', value: openings, inline: false }
+        );
+
+    if (stats.adaptiveStrength) {
+        embed.addFields({ name: 'Adaptive RolyBot strength', value: `${stats.adaptiveStrength}`, inline: true });
+    }
+
+    if (puzzleStats) {
+        embed.addFields(
+            { name: 'Puzzle rating', value: `${puzzleStats.rating}`, inline: true },
+            { name: 'Puzzles (solved/failed)', value: `${puzzleStats.solved}/${puzzleStats.failed}`, inline: true },
+            { name: 'Puzzle streak', value: `${puzzleStats.streak} (best ${puzzleStats.bestStreak}, daily ${puzzleStats.dailyStreak})`, inline: true }
+        );
+    }
+
+    return await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Shows the openings a player has played with each colour, and how they scored in them
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleOpeningsCommand(interaction, gameManager) {
+    const user = interaction.options.getUser('user') || interaction.user;
+    const breakdown = gameManager.resultsManager.getOpeningBreakdown(user.id);
+
+    if (breakdown.white.length === 0 && breakdown.black.length === 0) {
+        return await interaction.reply({ content: `<@${user.id}> has not finished any chess games yet.`, flags: 64 });
+    }
+
+    const formatLines = openings => {
+        if (openings.length === 0) return '-';
+        const lines = openings.slice(0, OPENINGS_PER_COLOUR)
+            .map(o => `${o.name} — ${o.games} game${o.games === 1 ? '' : 's'}, ${o.wins}/${o.losses}/${o.draws}, ${formatScore(o.score, o.games)}`);
+        if (openings.length > OPENINGS_PER_COLOUR) {
+            lines.push(`…and ${openings.length - OPENINGS_PER_COLOUR} more`);
+        }
+        // Embed field values are limited to 1024 characters
+        return lines.join('\n').slice(0, 1024);
+    };
+
+    const embed = new EmbedBuilder()
+        .setTitle(`📖 Openings played by ${user.username}`)
+        .setColor(0x5865F2)
+        .addFields(
+            { name: '⬜ As White (W/L/D)', value: formatLines(breakdown.white), inline: false },
+            { name: '⬛ As Black (W/L/D)', value: formatLines(breakdown.black), inline: false }
+        );
+
+    return await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Shows the top rated players and the rating of each bot difficulty
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleLeaderboardCommand(interaction, gameManager) {
+    const leaders = gameManager.resultsManager.getLeaderboard(10);
+    const botRatings = gameManager.resultsManager.getBotRatings();
+
+    const leaderLines = leaders.length > 0
+        ? leaders.map((p, i) => `**${i + 1}.** <@${p.userId}> — ${p.rating} (${p.wins}/${p.losses}/${p.draws})`).join('\n')
+        : 'No rated games yet.';
+    const botLines = botRatings
+        .map(b => `${b.difficulty[0].toUpperCase() + b.difficulty.slice(1)} — ${b.rating}${b.games > 0 ? ` (${b.games} games)` : ''}`)
+        .join('\n');
+
+    const embed = new EmbedBuilder()
+        .setTitle('🏆 Chess Leaderboard')
+        .setColor(0xF1C40F)
+        .addFields(
+            { name: 'Players', value: leaderLines, inline: false },
+            { name: 'RolyBot by difficulty', value: botLines, inline: false }
+        );
+
+    return await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Posts the user's current game as a PGN attachment in its game thread
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleExportCommand(interaction, gameManager) {
+    const gameData = gameManager.getGameData(interaction.user.id, interaction.channelId);
+    if (!gameData) {
+        return await interaction.reply({ content: 'You do not have an active game to export here. With several games, use this in the game\'s thread.', flags: 64 });
+    }
+
+    const pgn = await gameManager.getGamePgn(interaction.user.id, interaction.channelId);
+    const file = new AttachmentBuilder(Buffer.from(pgn, 'utf8'), { name: `chess-${gameData.gameId}.pgn` });
+
+    // Post in the game thread if we can, otherwise attach it to the reply
+    if (gameData.threadId) {
+        try {
+            const thread = await interaction.client.channels.fetch(gameData.threadId);
+            if (thread) {
+                await thread.send({ content: `PGN export requested by <@${interaction.user.id}>`, files: [file] });
+                return await interaction.reply({ content: `PGN posted in <#${thread.id}>.`, flags: 64 });
+            }
+        } catch (error) {
+            logger.warn(`[Chess] Could not post PGN to thread ${gameData.threadId}: ${error.message}`);
+        }
+    }
+
+    return await interaction.reply({ content: 'Here is your game:', files: [file], flags: 64 });
+}
+
+/**
+ * Finds the finished game a command is about: the one given by the game option,
+ * or the user's most recent finished game. Replies with the reason if there is none.
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ * @param {'analyze'|'replay'} action - What the command does with the game, for the replies
+ * @returns {Promise<?Object>} The game record (see ResultsManager), or null if the user was told why not
+ */
+async function findFinishedGame(interaction, gameManager, action) {
+    const gameId = interaction.options.getString('game');
+    let record;
+    if (gameId) {
+        record = gameManager.resultsManager.getRecord(gameId.trim());
+        if (!record) {
+            await interaction.reply({ content: `No finished game found with ID \`${gameId}\`.`, flags: 64 });
+            return null;
+        }
+    } else {
+        record = gameManager.resultsManager.getGamesForPlayer(interaction.user.id).slice(-1)[0];
+        if (!record) {
+            const feature = action === 'analyze' ? 'Analysis is' : 'Replays are';
+            const hint = gameManager.gameStateManager.getGamesForUser(interaction.user.id).length > 0 ? ` ${feature} available once your current game is over.` : '';
+            await interaction.reply({ content: `You have no finished games to ${action}.${hint}`, flags: 64 });
+            return null;
+        }
+    }
+
+    if (record.moves.length === 0) {
+        await interaction.reply({ content: 'That game ended before any moves were played.', flags: 64 });
+        return null;
+    }
+    return record;
+}
+
+/**
+ * Posts an animated GIF replay of a finished game
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleReplayCommand(interaction, gameManager) {
+    const record = await findFinishedGame(interaction, gameManager, 'replay');
+    if (!record) return;
+
+    // Rendering every position takes a moment for long games
+    await interaction.deferReply();
+    try {
+        const message = await gameManager.buildReplayMessage(record, interaction.user.id);
+        return await interaction.editReply(message);
+    } catch (error) {
+        logger.error(`[Chess] Error rendering replay of game ${record.id}: ${error.message}`);
+        return await interaction.editReply({ content: 'Sorry, I could not render a replay of that game.' });
+    }
+}
+
+/**
+ * Posts the engine analysis of a finished game
+ * @param {CommandInteraction} interaction
+ * @param {GameManager} gameManager
+ */
+async function handleAnalyzeCommand(interaction, gameManager) {
+    const record = await findFinishedGame(interaction, gameManager, 'analyze');
+    if (!record) return;
+
+    // Analysis can take a while, especially for long games
+    await interaction.deferReply();
+    try {
+        const message = await gameManager.buildAnalysisMessage(record);
+        return await interaction.editReply(message);
+    } catch (error) {
+        logger.error(`[Chess] Error analyzing game ${record.id}: ${error.message}`);
+        return await interaction.editReply({ content: 'Sorry, the analysis engine is not available right now. Please try again later.' });
+    }
+}
+
 module.exports = {
     name: 'chess',
     data: chessCommand,
@@ -46,11 +922,99 @@ module.exports = {
                     ephemeral: true
                 });
             }
+
+            const subcommand = interaction.options.getSubcommand();
+            if (interaction.options.getSubcommandGroup(false) === 'tournament') {
+                return await handleTournamentCommand(interaction, gameManager, subcommand);
+            }
+            if (subcommand === 'export') {
+                return await handleExportCommand(interaction, gameManager);
+            }
+            if (subcommand === 'move') {
+                return await handleMoveCommand(interaction, gameManager);
+            }
+            if (subcommand === 'show') {
+                return await handleShowCommand(interaction, gameManager);
+            }
+            if (['draw', 'takeback', 'abort', 'resign'].includes(subcommand)) {
+                return await handleGameActionCommand(interaction, gameManager, subcommand);
+            }
+            if (subcommand === 'hint') {
+                return await handleHintCommand(interaction, gameManager);
+            }
+            if (subcommand === 'replay') {
+                return await handleReplayCommand(interaction, gameManager);
+            }
+            if (subcommand === 'analyze') {
+                return await handleAnalyzeCommand(interaction, gameManager);
+            }
+            if (subcommand === 'puzzle') {
+                return await handlePuzzleCommand(interaction, gameManager);
+            }
+            if (subcommand === 'watch') {
+                return await handleWatchCommand(interaction, gameManager);
+            }
+            if (subcommand === 'settings') {
+                return await handleSettingsCommand(interaction, gameManager);
+            }
+            if (subcommand === 'history') {
+                return await handleHistoryCommand(interaction, gameManager);
+            }
+            if (subcommand === 'games') {
+                return await handleGamesCommand(interaction, gameManager);
+            }
+            if (subcommand === 'stats') {
+                return await handleStatsCommand(interaction, gameManager);
+            }
+            if (subcommand === 'openings') {
+                return await handleOpeningsCommand(interaction, gameManager);
+            }
+            if (subcommand === 'leaderboard') {
+                return await handleLeaderboardCommand(interaction, gameManager);
+            }
             
             const opponent = interaction.options.getUser('opponent');
             const useVoiceChat = interaction.options.getBoolean('voice-chat') || false;
             const difficulty = interaction.options.getString('difficulty') || 'intermediate'; // Default to intermediate if not specified
 
+            let timeControl;
+            let startingPosition;
+            try {
+                timeControl = parseTimeControl(interaction.options.getString('time-control'), {
+                    baseMinutes: interaction.options.getInteger('base-minutes'),
+                    incrementSeconds: interaction.options.getInteger('increment-seconds'),
+                    daysPerMove: interaction.options.getInteger('days-per-move')
+                });
+                startingPosition = getStartingPosition(interaction.options.getString('variant'), interaction.options.getString('fen'));
+            } catch (error) {
+                return await interaction.reply({ content: error.message, flags: 64 });
+            }
+            const color = interaction.options.getString('color');
+            const coach = interaction.options.getBoolean('coach') || false;
+            if (coach && opponent && opponent.id !== interaction.client.user.id) {
+                return await interaction.reply({ content: 'Coach mode is only available in games against RolyBot.', flags: 64 });
+            }
+            const odds = interaction.options.getString('odds');
+            const isBotGame = !opponent || opponent.id === interaction.client.user.id;
+            try {
+                validateOdds(odds, {
+                    isBotGame,
+                    variant: startingPosition.variant,
+                    timeControl,
+                    difficulty,
+                    playerColor: color === 'w' || color === 'b' ? color : null
+                });
+            } catch (error) {
+                return await interaction.reply({ content: error.message, flags: 64 });
+            }
+            const gameOptions = {
+                timeControl,
+                ...startingPosition,
+                player1Color: color === 'w' || color === 'b' ? color : undefined,
+                coach,
+                odds
+            };
+
             if (opponent) {
                 logger.info(`Challenger: ${interaction.user.id}`);
                 logger.info(`Challenged (raw): ${opponent.id}`);
@@ -59,7 +1023,7 @@ module.exports = {
                 if (opponent.id === interaction.client.user.id) {
                     logger.info('Bot challenged: auto-accepting');
                     if (gameManager && gameManager.handleChallenge) {
-                        return await gameManager.handleChallenge(interaction.user.id, opponent.id, interaction, useVoiceChat, difficulty);
+                        return await gameManager.handleChallenge(interaction.user.id, opponent.id, interaction, useVoiceChat, difficulty, gameOptions);
                     } else {
                         logger.error('GameManager or handleChallenge is not available');
                         return await interaction.reply({
@@ -69,52 +1033,105 @@ module.exports = {
                     }
                 }
 
-                // Create challenge message
-                const challengeEmbed = new EmbedBuilder()
-                    .setTitle('Chess Challenge!')
-                    .setDescription(`<@${interaction.user.id}> has challenged <@${opponent.id}> to a chess match!`)
-                    .setColor(0x5865F2);
-
-                await interaction.reply({ embeds: [challengeEmbed], flags: 64 });
+                if (opponent.id === interaction.user.id) {
+                    return await interaction.reply({ content: 'You can\'t challenge yourself.', flags: 64 });
+                }
+                if (opponent.bot) {
+                    return await interaction.reply({ content: 'You can\'t challenge other bots. Challenge a person, or leave out the opponent to play RolyBot.', flags: 64 });
+                }
 
-                // Store challenge in game manager
-                gameManager.storeChallenge(interaction.user.id, opponent.id);
+                // Post the challenge for the opponent to accept or decline
+                return await gameManager.postChallenge(interaction, opponent.id, gameOptions);
             } else {
                 logger.info(`Challenged defaulted to bot: ${interaction.client.user.id}`);
-                return await gameManager.handleChallenge(interaction.user.id, interaction.client.user.id, interaction, useVoiceChat);
+                return await gameManager.handleChallenge(interaction.user.id, interaction.client.user.id, interaction, useVoiceChat, difficulty, gameOptions);
             }
         } catch (err) {
             logger.error('Error in chess.js execute:', err);
             throw err;
         }
     },
+    /**
+     * Suggests the user's legal moves while they type /chess move
+     * @param {AutocompleteInteraction} interaction
+     */
+    async autocomplete(interaction) {
+        const gameManager = getGameManager();
+        const userId = interaction.user.id;
+        const gameData = gameManager?.getGameData(userId, interaction.channelId);
+        if (!gameData?.gameInstance || gameData.gameInstance.turn() !== gameManager.gameStateManager.getPlayerColor(gameData, userId)) {
+            return await interaction.respond([]);
+        }
+
+        const typed = interaction.options.getFocused().trim().toLowerCase();
+        const choices = gameManager.getLegalMoves(userId, interaction.channelId)
+            .filter(move => move.san.toLowerCase().startsWith(typed) || move.uci.startsWith(typed))
+            .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+            .map(move => ({ name: move.san, value: move.san }));
+        return await interaction.respond(choices);
+    },
     async handleChessButton(interaction) {
         if (!interaction.isButton()) return false;
         const customId = interaction.customId;
-        if (!customId.startsWith('chess_accept_') && !customId.startsWith('chess_decline_')) return false;
+        const gameManager = getGameManager();
 
-        const challengerId = customId.split('_').pop();
-        const challengedUserId = interaction.user.id;
-        const challenge = gameManager.getChallenge(challengedUserId);
-        if (!challenge || challenge.challengerId !== challengerId) {
-            await interaction.reply({ content: 'No pending challenge found for you.', flags: 64 });
+        // Draw offers and takeback requests: chess_<draw|takeback>_<accept|decline>_<gameId>
+        const offerMatch = customId.match(/^chess_(draw|takeback)_(accept|decline)_/);
+        if (offerMatch) {
+            const [, type, answer] = offerMatch;
+            const gameId = customId.split('_').pop();
+            try {
+                gameManager.getPendingOffer(gameId, interaction.user.id, type);
+            } catch (error) {
+                await interaction.reply({ content: error.message, flags: 64 });
+                return true;
+            }
+            // Remove the buttons before answering, since accepting a draw archives the thread
+            await interaction.update({ components: [] });
+            try {
+                await gameManager.respondToOffer(gameId, interaction.user.id, type, answer === 'accept');
+            } catch (error) {
+                await interaction.followUp({ content: error.message, flags: 64 });
+            }
             return true;
         }
 
-        if (customId.startsWith('chess_accept_')) {
-            gameManager.removeChallenge(challengedUserId);
-            await startChessMatch(challengerId, challengedUserId, interaction);
-        } else if (customId.startsWith('chess_decline_')) {
-            gameManager.removeChallenge(challengedUserId);
-            // Try to DM the challenger, otherwise reply in channel
+        // Rematch after a finished game: chess_rematch_<gameId>
+        if (customId.startsWith('chess_rematch_')) {
+            const gameId = customId.split('_').pop();
+            await interaction.deferUpdate();
             try {
-                const challenger = await interaction.client.users.fetch(challengerId);
-                await challenger.send(`Your chess challenge to <@${challengedUserId}> was declined.`);
-            } catch (e) {
-                // Fallback: reply in channel
-                await interaction.channel.send(`<@${challengerId}>, your chess challenge was declined by <@${challengedUserId}>.`);
+                const outcome = await gameManager.requestRematch(gameId, interaction.user.id, interaction.channel);
+                if (outcome.started) {
+                    await interaction.editReply({ components: [] });
+                }
+                await interaction.followUp({ content: outcome.text });
+            } catch (error) {
+                await interaction.followUp({ content: error.message, flags: 64 });
             }
-            await interaction.reply({ content: 'Challenge declined.', flags: 64 });
+            return true;
+        }
+
+        // Challenges between players: chess_challenge_<accept|decline|cancel>_<challengeId>
+        const challengeMatch = customId.match(/^chess_challenge_(accept|decline|cancel)_/);
+        if (!challengeMatch) return false;
+
+        const action = challengeMatch[1];
+        const challengeId = customId.split('_').pop();
+        try {
+            gameManager.getPendingChallenge(challengeId, interaction.user.id, action);
+        } catch (error) {
+            await interaction.reply({ content: error.message, flags: 64 });
+            return true;
+        }
+        // Creating the game thread can take a moment
+        await interaction.deferUpdate();
+        try {
+            const payload = await gameManager.respondToChallenge(challengeId, interaction.user.id, action, interaction.guild, interaction.channel);
+            await interaction.editReply(payload);
+        } catch (error) {
+            logger.warn(`[Chess] Challenge ${challengeId} ${action} failed: ${error.message}`);
+            await interaction.followUp({ content: error.message, flags: 64 });
         }
         return true;
     }
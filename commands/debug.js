@@ -1,4 +1,5 @@
 const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+const { instance: aiMoveService } = require('../utils/chess/aiMoveService');
 
 module.exports = {
     name: 'debug',
@@ -20,11 +21,22 @@ module.exports = {
             `🧠 Heap Used: ${(memoryUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`,
         ];
 
+        const pool = aiMoveService.getPoolStats();
+        lines.push(
+            `♟️ Engines: ${pool.engines}/${pool.size} (${pool.busy} busy, ${pool.idle} idle${pool.dead ? `, ${pool.dead} down` : ''}), ${pool.queued} queued`,
+            `📈 Engine requests: ${pool.completed} ok, ${pool.failed} failed, ${pool.rejected} rejected, ${pool.restarts} restarts`,
+            `⏳ Engine timing: ${pool.avgRunMs}ms avg run, ${pool.avgWaitMs}ms avg wait`
+        );
+
         const embed = new EmbedBuilder()
             .setTitle('🛠️ Bot Debug Info')
             .setColor(0x3498db)
             .setDescription(lines.join('\n'));
 
-        await message.channel.send({ embeds: [embed] });
+        if (interaction) {
+            await interaction.reply({ embeds: [embed], flags: 64 });
+        } else {
+            await message.channel.send({ embeds: [embed] });
+        }
     }
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PNG } = require('pngjs');
+const { Chess } = require('chess.js');
+const { renderBoardPng, renderBoardPixels, squareToCoords, findCheckedKing, DEFAULT_SQUARE_SIZE } = require('../utils/chess/boardRenderer');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Scholar's mate, Black is checkmated on e8
+const MATED = 'r1bqkb1r/pppp1Qpp/2n2n2/4p3/2B1P3/8/PPPP1PPP/RNB1K1NR b KQkq - 0 4';
+
+/**
+ * Reads the colour of a pixel
+ * @param {{width: number, data: Buffer}} image
+ * @param {number} x
+ * @param {number} y
+ * @returns {Array<number>} RGB
+ */
+function pixelAt(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return [image.data[i], image.data[i + 1], image.data[i + 2]];
+}
+
+/**
+ * Copies the pixels of one square of a rendered board
+ * @param {{width: number, data: Buffer}} image
+ * @param {string} square
+ * @param {'w'|'b'} orientation
+ * @returns {Array<number>} RGB values, row by row
+ */
+function squarePixels(image, square, orientation) {
+    const border = (image.width - DEFAULT_SQUARE_SIZE * 8) / 2;
+    const { col, row } = squareToCoords(square, orientation);
+    const pixels = [];
+    for (let y = 0; y < DEFAULT_SQUARE_SIZE; y++) {
+        for (let x = 0; x < DEFAULT_SQUARE_SIZE; x++) {
+            pixels.push(...pixelAt(image, border + col * DEFAULT_SQUARE_SIZE + x, border + row * DEFAULT_SQUARE_SIZE + y));
+        }
+    }
+    return pixels;
+}
+
+test('squares map to image coordinates from either side', () => {
+    assert.deepStrictEqual(squareToCoords('a1', 'w'), { col: 0, row: 7 });
+    assert.deepStrictEqual(squareToCoords('h8', 'w'), { col: 7, row: 0 });
+    assert.deepStrictEqual(squareToCoords('a1', 'b'), { col: 7, row: 0 });
+    assert.deepStrictEqual(squareToCoords('e8', 'b'), { col: 3, row: 7 });
+});
+
+test('findCheckedKing finds the king of the side in check', () => {
+    assert.strictEqual(findCheckedKing(new Chess(MATED)), 'e8');
+    assert.strictEqual(findCheckedKing(new Chess()), null);
+});
+
+test('a checked position renders to a PNG from Black\'s side with the last move highlighted', () => {
+    const options = { orientation: 'b', lastMove: { from: 'h5', to: 'f7' } };
+    const png = renderBoardPng(MATED, options);
+    assert.ok(png.subarray(0, 8).equals(PNG_SIGNATURE), 'PNG file signature');
+
+    const image = PNG.sync.read(png);
+    const size = DEFAULT_SQUARE_SIZE * 8 + Math.round(DEFAULT_SQUARE_SIZE * 0.4) * 2;
+    assert.strictEqual(image.width, size);
+    assert.strictEqual(image.height, size);
+
+    // h5 is empty, so its middle shows the highlight over a light square
+    const border = (size - DEFAULT_SQUARE_SIZE * 8) / 2;
+    const h5 = squareToCoords('h5', 'b');
+    const middle = DEFAULT_SQUARE_SIZE / 2;
+    assert.deepStrictEqual(
+        pixelAt(image, border + h5.col * DEFAULT_SQUARE_SIZE + middle, border + h5.row * DEFAULT_SQUARE_SIZE + middle),
+        [219, 213, 136]
+    );
+
+    // The same pieces with White to move: nobody is in check, so only e8 loses its glow
+    const unchecked = renderBoardPixels(MATED.replace(' b ', ' w '), options);
+    assert.notDeepStrictEqual(squarePixels(image, 'e8', 'b'), squarePixels(unchecked, 'e8', 'b'));
+    assert.deepStrictEqual(squarePixels(image, 'd8', 'b'), squarePixels(unchecked, 'd8', 'b'));
+});
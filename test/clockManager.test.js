@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTimeControl, createClocks, applyMoveToClocks, formatClock } = require('../utils/chess/clockManager');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WHITE_TO_MOVE = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+test('formatClock switches format at its boundaries', () => {
+    assert.strictEqual(formatClock(0), '0:00.0');
+    assert.strictEqual(formatClock(-500), '0:00.0');
+    assert.strictEqual(formatClock(9990), '0:09.9');
+    assert.strictEqual(formatClock(9999), '0:09.9');
+    assert.strictEqual(formatClock(10000), '0:10');
+    assert.strictEqual(formatClock(65000), '1:05');
+    assert.strictEqual(formatClock(60 * 60 * 1000 - 1), '59:59');
+    assert.strictEqual(formatClock(60 * 60 * 1000), '1:00:00');
+    assert.strictEqual(formatClock(DAY_MS - 1), '23:59:59');
+    assert.strictEqual(formatClock(DAY_MS), '1d 0h');
+    assert.strictEqual(formatClock(2 * DAY_MS + 3 * 60 * 60 * 1000), '2d 3h');
+});
+
+test('a move deducts the time used and adds the increment', () => {
+    const start = new Date('2026-01-01T00:00:00Z');
+    const gameData = { fen: WHITE_TO_MOVE, ...createClocks(parseTimeControl('blitz'), start) };
+
+    const updates = applyMoveToClocks(gameData, 'w', new Date(start.getTime() + 30 * 1000));
+    assert.deepStrictEqual(updates.clocks, { w: 3 * 60 * 1000 - 30 * 1000 + 2000, b: 3 * 60 * 1000 });
+    assert.strictEqual(updates.turnStartedAt, '2026-01-01T00:00:30.000Z');
+});
+
+test('a move without an increment only deducts the time used', () => {
+    const start = new Date('2026-01-01T00:00:00Z');
+    const gameData = { fen: WHITE_TO_MOVE, ...createClocks(parseTimeControl('bullet'), start) };
+
+    const updates = applyMoveToClocks(gameData, 'w', new Date(start.getTime() + 1500));
+    assert.strictEqual(updates.clocks.w, 60 * 1000 - 1500);
+});
+
+test('correspondence clocks reset to the full time per move', () => {
+    const start = new Date('2026-01-01T00:00:00Z');
+    const gameData = { fen: WHITE_TO_MOVE, ...createClocks(parseTimeControl('correspondence', { daysPerMove: 2 }), start) };
+    assert.deepStrictEqual(gameData.clocks, { w: 2 * DAY_MS, b: 2 * DAY_MS });
+
+    const updates = applyMoveToClocks(gameData, 'w', new Date(start.getTime() + 1.5 * DAY_MS));
+    assert.deepStrictEqual(updates.clocks, { w: 2 * DAY_MS, b: 2 * DAY_MS });
+});
+
+test('untimed games have no clocks to update', () => {
+    assert.deepStrictEqual(createClocks(parseTimeControl('none')), {});
+    assert.deepStrictEqual(applyMoveToClocks({ fen: WHITE_TO_MOVE }, 'w'), {});
+});
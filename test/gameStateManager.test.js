@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const gameStateManager = require('../utils/chess/gameStateManager');
+
+const GameStateManager = gameStateManager.constructor;
+const LEGACY_GAMES = path.join(__dirname, 'fixtures', 'legacyGames.json');
+
+/**
+ * Copies the old one-entry-per-player games.json into a temporary directory
+ * @returns {string} Path of the copy
+ */
+function copyLegacyGames() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rolybot-games-'));
+    const savePath = path.join(dir, 'games.json');
+    fs.copyFileSync(LEGACY_GAMES, savePath);
+    return savePath;
+}
+
+test('legacy games migrate to one game per pair, continuing from the saved position', async () => {
+    const savePath = copyLegacyGames();
+    const legacy = JSON.parse(fs.readFileSync(LEGACY_GAMES, 'utf8'));
+    const [whiteId, entry] = Object.entries(legacy).find(([, e]) => e.playerColor === 'w');
+
+    const manager = new GameStateManager(savePath);
+    await manager.initialize();
+    const games = manager.getAllGames();
+    assert.strictEqual(games.length, 1);
+    const [game] = games;
+    assert.strictEqual(game.whiteId, whiteId);
+    assert.strictEqual(game.blackId, entry.opponent);
+    assert.strictEqual(game.initialFen, entry.fen);
+    assert.deepStrictEqual(game.moves, []);
+    assert.strictEqual(game.gameInstance.fen(), entry.fen);
+
+    const saved = JSON.parse(fs.readFileSync(savePath, 'utf8'));
+    assert.ok(saved.games[game.gameId], 'the migrated file is keyed by game ID');
+});
+
+test('a move played after migration survives a reload', async () => {
+    const savePath = copyLegacyGames();
+    const manager = new GameStateManager(savePath);
+    await manager.initialize();
+    const [game] = manager.getAllGames();
+    game.gameInstance.move('Nf3');
+    manager.updateGame(game.gameId, { fen: game.gameInstance.fen(), gameInstance: game.gameInstance });
+    const expectedFen = game.gameInstance.fen();
+
+    const reloaded = new GameStateManager(savePath);
+    await reloaded.initialize();
+    const restored = reloaded.getGameById(game.gameId);
+    assert.strictEqual(restored.gameInstance.fen(), expectedFen);
+    assert.deepStrictEqual(restored.moves, ['Nf3']);
+});
+
+test('moves that do not lead to the saved position fall back to the saved FEN', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rolybot-games-'));
+    const savePath = path.join(dir, 'games.json');
+    const fen = 'r1bqkb1r/pp1p1pp1/n1p4p/3pP3/3P4/2P2NP1/PP3P1P/R1BQKB1R b KQkq - 2 8';
+    fs.writeFileSync(savePath, JSON.stringify({
+        games: { abc: { gameId: 'abc', whiteId: 'a', blackId: 'b', fen, moves: ['Nf3'] } }
+    }));
+
+    const manager = new GameStateManager(savePath);
+    await manager.initialize();
+    const game = manager.getGameById('abc');
+    assert.strictEqual(game.gameInstance.fen(), fen);
+    assert.strictEqual(game.initialFen, fen);
+});
+
+test('the same two players can have several games stored at once', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rolybot-games-'));
+    const manager = new GameStateManager(path.join(dir, 'games.json'));
+    await manager.initialize();
+    const first = manager.createGame('user', 'bot');
+    const second = manager.createGame('bot', 'user');
+
+    assert.notStrictEqual(first.gameId, second.gameId);
+    assert.deepStrictEqual(manager.findGamesBetween('user', 'bot').map(game => game.gameId).sort(), [first.gameId, second.gameId].sort());
+    assert.strictEqual(manager.getGamesForUser('user').length, 2);
+});
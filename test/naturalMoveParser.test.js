@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Chess } = require('chess.js');
+const { parseNaturalMove } = require('../utils/chess/naturalMoveParser');
+
+/**
+ * Gets the legal moves of a position, the way GameManager.getLegalMoves passes them
+ * @param {string} [fen] - Position, the standard start by default
+ * @param {Array<string>} [moves] - Moves to play first, in SAN
+ * @returns {Array<Object>} chess.js verbose moves
+ */
+function legalMoves(fen, moves = []) {
+    const game = new Chess(fen);
+    moves.forEach(move => game.move(move));
+    return game.moves({ verbose: true });
+}
+
+/**
+ * Parses input and returns the SAN of the matched move
+ * @param {string} input
+ * @param {Array<Object>} moves - Output of legalMoves()
+ * @returns {string}
+ */
+function parseSan(input, moves) {
+    const parsed = parseNaturalMove(input, moves);
+    assert.strictEqual(parsed.status, 'match', `"${input}" is a move`);
+    return parsed.move.san;
+}
+
+const CASTLING = 'r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R w KQkq - 0 1';
+
+test('plain English moves are matched', () => {
+    assert.strictEqual(parseSan('knight to f3', legalMoves()), 'Nf3');
+    assert.strictEqual(parseSan('pawn takes on d5', legalMoves(undefined, ['e4', 'd5'])), 'exd5');
+    assert.strictEqual(parseSan('bishop c4', legalMoves(undefined, ['e4', 'e5'])), 'Bc4');
+    assert.strictEqual(parseSan('castle queenside', legalMoves(CASTLING)), 'O-O-O');
+    assert.strictEqual(parseSan('queen takes the rook', legalMoves('4k3/8/8/8/3r4/8/8/3QK3 w - - 0 1')), 'Qxd4');
+});
+
+test('notation is matched whatever its case and check symbols', () => {
+    assert.strictEqual(parseSan('nf3', legalMoves()), 'Nf3');
+    assert.strictEqual(parseSan('g1f3', legalMoves()), 'Nf3');
+    assert.strictEqual(parseSan('O-O', legalMoves(CASTLING)), 'O-O');
+});
+
+test('promotions default to a queen unless another piece is named', () => {
+    const moves = legalMoves('8/4P3/8/8/8/k7/8/K7 w - - 0 1');
+    assert.strictEqual(parseSan('e8', moves), 'e8=Q');
+    assert.strictEqual(parseSan('e8 promote to knight', moves), 'e8=N');
+    assert.strictEqual(parseSan('e8 rook', moves), 'e8=R');
+});
+
+test('input that fits several moves returns them as candidates', () => {
+    const knights = parseNaturalMove('knight to d2', legalMoves(undefined, ['e4', 'e5', 'Nf3', 'Nc6', 'd3', 'd6']));
+    assert.strictEqual(knights.status, 'ambiguous');
+    assert.deepStrictEqual(knights.candidates.map(move => move.san).sort(), ['Nbd2', 'Nfd2']);
+
+    const castle = parseNaturalMove('castle', legalMoves(CASTLING));
+    assert.strictEqual(castle.status, 'ambiguous');
+    assert.deepStrictEqual(castle.candidates.map(move => move.san).sort(), ['O-O', 'O-O-O']);
+});
+
+test('chat is not read as a move', () => {
+    const moves = legalMoves(undefined, ['e4', 'd5']);
+    for (const input of ['nice move lol', 'good game', 'what do you think about this', 'hello there', '']) {
+        assert.strictEqual(parseNaturalMove(input, moves).status, 'no-match', `"${input}"`);
+    }
+});
+
+test('"short" and "long" only mean castling next to a castle word or the king', () => {
+    const moves = legalMoves(CASTLING);
+    for (const input of ['short', 'long', 'that was a long game', 'short on time']) {
+        assert.strictEqual(parseNaturalMove(input, moves).status, 'no-match', `"${input}"`);
+    }
+    assert.strictEqual(parseSan('castle short', moves), 'O-O');
+    assert.strictEqual(parseSan('castle long', moves), 'O-O-O');
+    assert.strictEqual(parseSan('king short', moves), 'O-O');
+});
+
+test('a bare capture word is not read as a move', () => {
+    const moves = legalMoves(undefined, ['e4', 'd5']);
+    for (const input of ['take', 'takes', 'x', 'take it']) {
+        assert.strictEqual(parseNaturalMove(input, moves).status, 'no-match', `"${input}"`);
+    }
+    assert.strictEqual(parseSan('e takes d5', moves), 'exd5');
+    assert.strictEqual(parseSan('pawn takes', moves), 'exd5');
+});
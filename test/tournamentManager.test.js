@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tournamentManager = require('../utils/chess/tournamentManager');
+
+const TournamentManager = tournamentManager.constructor;
+
+/**
+ * Starts a tournament with players seeded p1 (highest rated) to pN
+ * @param {'swiss'|'roundrobin'} format
+ * @param {number} playerCount
+ * @returns {{manager: TournamentManager, tournament: Object, round: Object}}
+ */
+function startTournament(format, playerCount) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rolybot-tournaments-'));
+    const manager = new TournamentManager(path.join(dir, 'tournaments.json'));
+    const tournament = manager.createTournament({ name: 'Test', format, guildId: 'g', channelId: 'c', creatorId: 'p1' });
+    for (let i = 1; i <= playerCount; i++) {
+        manager.joinTournament(tournament.id, `p${i}`, 2000 - i * 10);
+    }
+    const { round } = manager.startTournament(tournament.id, 'p1');
+    return { manager, tournament, round };
+}
+
+/**
+ * Lists a round's games as "white-black", leaving out byes
+ * @param {Object} round
+ * @returns {Array<string>}
+ */
+function describeGames(round) {
+    return round.pairings
+        .filter(pairing => pairing.blackId)
+        .map(pairing => [pairing.whiteId, pairing.blackId].sort().join('-'))
+        .sort();
+}
+
+test('aborted tournament games are not recorded as results', () => {
+    const { manager, tournament, round } = startTournament('roundrobin', 4);
+    const pairing = round.pairings[0];
+    manager.setPairingGame(pairing, 'game1');
+
+    assert.strictEqual(manager.recordResult(tournament.id, 'game1', '*'), null);
+    assert.strictEqual(pairing.result, null);
+    assert.strictEqual(manager.isRoundComplete(tournament), false);
+    const scores = manager.getStandings(tournament).map(entry => entry.score);
+    assert.deepStrictEqual(scores, [0, 0, 0, 0]);
+
+    manager.recordResult(tournament.id, 'game1', '1-0');
+    assert.strictEqual(pairing.result, '1-0');
+});
+
+test('Swiss rounds pair the top half of a score group against the bottom half', () => {
+    const { manager, tournament, round } = startTournament('swiss', 7);
+    assert.deepStrictEqual(describeGames(round), ['p1-p4', 'p2-p5', 'p3-p6']);
+    assert.ok(round.pairings.some(pairing => pairing.whiteId === 'p7' && !pairing.blackId), 'the lowest seed gets the bye');
+
+    // Top seeds win, so p1, p2, p3 and p7 (bye) lead on 1 point
+    round.pairings.filter(pairing => pairing.blackId).forEach((pairing, i) => {
+        manager.setPairingGame(pairing, `r1g${i}`);
+        const winnerIsWhite = ['p1', 'p2', 'p3'].includes(pairing.whiteId);
+        manager.recordResult(tournament.id, `r1g${i}`, winnerIsWhite ? '1-0' : '0-1');
+    });
+    const next = manager.pairNextRound(tournament);
+    const games = describeGames(next);
+    const played = new Set(describeGames(round));
+    assert.ok(games.every(game => !played.has(game)), 'no rematches');
+    const leaders = new Set(['p1', 'p2', 'p3', 'p7']);
+    const leaderGames = next.pairings.filter(pairing => leaders.has(pairing.whiteId) && leaders.has(pairing.blackId));
+    assert.strictEqual(leaderGames.length, 2, 'the leaders play each other');
+});
+
+test('Swiss pairing avoids rematches when the preferred opponent was already played', () => {
+    const { manager, tournament, round } = startTournament('swiss', 4);
+    assert.deepStrictEqual(describeGames(round), ['p1-p3', 'p2-p4']);
+    round.pairings.forEach((pairing, i) => {
+        manager.setPairingGame(pairing, `r1g${i}`);
+        manager.recordResult(tournament.id, `r1g${i}`, '1/2-1/2');
+    });
+    const next = manager.pairNextRound(tournament);
+    const played = new Set(describeGames(round));
+    assert.ok(describeGames(next).every(game => !played.has(game)));
+});
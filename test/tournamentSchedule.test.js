@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildRoundRobinSchedule } = require('../utils/chess/tournamentManager');
+
+test('round-robin schedules balance colours for 4 to 10 players', () => {
+    for (let count = 4; count <= 10; count++) {
+        const playerIds = Array.from({ length: count }, (_, i) => `p${i + 1}`);
+        const colours = Object.fromEntries(playerIds.map(id => [id, { white: 0, black: 0 }]));
+        const opponents = Object.fromEntries(playerIds.map(id => [id, new Set()]));
+
+        for (const round of buildRoundRobinSchedule(playerIds)) {
+            for (const [whiteId, blackId] of round) {
+                if (!whiteId || !blackId) continue; // Bye
+                colours[whiteId].white++;
+                colours[blackId].black++;
+                opponents[whiteId].add(blackId);
+                opponents[blackId].add(whiteId);
+            }
+        }
+
+        for (const id of playerIds) {
+            assert.strictEqual(opponents[id].size, count - 1, `${id} meets everyone once with ${count} players`);
+            const { white, black } = colours[id];
+            assert.ok(Math.abs(white - black) <= 1, `${id} has ${white} Whites and ${black} Blacks with ${count} players`);
+        }
+    }
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChess, generateChess960Position } = require('../utils/chess/variants');
+
+/**
+ * Counts the leaf positions of the legal move tree
+ * @param {Chess} game
+ * @param {number} depth
+ * @returns {number}
+ */
+function perft(game, depth) {
+    if (depth === 0) return 1;
+    let count = 0;
+    for (const move of game.moves({ verbose: true })) {
+        game.move(move);
+        count += perft(game, depth - 1);
+        game.undo();
+    }
+    return count;
+}
+
+// Chess960 subclasses chess.js and relies on its internals, so these catch a chess.js upgrade that changes them
+test('Chess960 perft counts match the reference values', () => {
+    const positions = [
+        // Position 518 is the standard start
+        [generateChess960Position(518).fen, [20, 400, 8902]],
+        // Reference positions with castling rights on both sides (X-FEN rights written as KQkq)
+        ['bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w KQkq - 2 9', [21, 528, 12189]],
+        ['2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w KQkq - 1 9', [21, 807, 18002]]
+    ];
+    for (const [fen, counts] of positions) {
+        const game = createChess(fen, 'chess960');
+        counts.forEach((count, i) => assert.strictEqual(perft(game, i + 1), count, `perft ${i + 1} of ${fen}`));
+        assert.strictEqual(game.fen(), fen, 'perft leaves the position as it was');
+    }
+});
+
+test('Chess960 castling moves the king and rook, and undo puts them back', () => {
+    const cases = [
+        // King already on g1: castling short only moves the rook
+        ['1r4kr/pppppppp/8/8/8/8/PPPPPPPP/1R4KR w KQkq - 0 1', 'O-O', '1r4kr/pppppppp/8/8/8/8/PPPPPPPP/1R3RK1 b kq - 1 1'],
+        ['1r4kr/pppppppp/8/8/8/8/PPPPPPPP/1R4KR w KQkq - 0 1', 'O-O-O', '1r4kr/pppppppp/8/8/8/8/PPPPPPPP/2KR3R b kq - 1 1'],
+        // King takes rook, as UCI engines write Chess960 castling
+        ['rk5r/8/8/8/8/8/8/RK5R w KQkq - 0 1', { from: 'b1', to: 'h1' }, 'rk5r/8/8/8/8/8/8/R4RK1 b kq - 1 1'],
+        ['rk5r/8/8/8/8/8/8/RK5R w KQkq - 0 1', 'O-O-O', 'rk5r/8/8/8/8/8/8/2KR3R b kq - 1 1']
+    ];
+    for (const [fen, move, after] of cases) {
+        const game = createChess(fen, 'chess960');
+        const played = game.move(move);
+        assert.match(played.san, /^O-O/);
+        assert.strictEqual(game.fen(), after, `${JSON.stringify(move)} from ${fen}`);
+        game.undo();
+        assert.strictEqual(game.fen(), fen, `undoing ${JSON.stringify(move)} from ${fen}`);
+        assert.deepStrictEqual(game.moves().filter(san => san.startsWith('O-O')).sort(), ['O-O', 'O-O-O']);
+    }
+});
+
+test('moving a Chess960 castling rook loses castling on that side only', () => {
+    const game = createChess('rk5r/8/8/8/8/8/8/RK5R w KQkq - 0 1', 'chess960');
+    game.move('Rh2');
+    game.move('Rh7');
+    assert.deepStrictEqual(game.moves().filter(san => san.startsWith('O-O')), ['O-O-O']);
+    game.undo();
+    game.undo();
+    assert.deepStrictEqual(game.moves().filter(san => san.startsWith('O-O')).sort(), ['O-O', 'O-O-O']);
+});
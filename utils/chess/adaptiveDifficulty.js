@@ -0,0 +1,126 @@
+/**
+ * Adaptive difficulty for games against RolyBot.
+ * Each player has an adaptive strength, an Elo-like number stored with their stats,
+ * which RolyBot plays at when the "adaptive" difficulty is chosen. It aims for the
+ * player to score about 50%:
+ * - during a game, the strength eases off while the player is clearly losing and
+ *   tightens up while they are clearly winning, within ADAPTIVE_GAME_RANGE;
+ * - after a game, the result and the player's recent adaptive results move it up or down;
+ * - once the game has been analysed, the player's accuracy compared to RolyBot's nudges it again.
+ *
+ * Strengths the engine can play with UCI_Elo use Stockfish's own strength limit.
+ * Below that, the presets are blended instead: lower Skill Level, shallower search
+ * and more random moves.
+ *
+ * @typedef {Object} AdaptiveGame
+ * @property {number} startStrength - Player's adaptive strength when the game started
+ * @property {number} strength - Strength RolyBot is currently playing at
+ */
+
+const ADAPTIVE_DIFFICULTY = 'adaptive';
+const MIN_STRENGTH = 400;
+const MAX_STRENGTH = 3000;
+const ENGINE_MIN_ELO = 1320;          // Lowest UCI_Elo Stockfish accepts
+const ADAPTIVE_GAME_RANGE = 200;      // How far the strength may drift from its starting value during one game
+const ADAPTIVE_GAME_STEP = 40;        // Strength change after a bot move when the game is one-sided
+const ADAPTIVE_SWING_CP = 300;        // A game counts as one-sided when the evaluation is beyond this
+const ADAPTIVE_RESULT_K = 80;         // Scale of the change after each game
+const ADAPTIVE_RECENT_GAMES = 5;      // Adaptive games that make up a player's recent results
+const ADAPTIVE_ACCURACY_K = 2;        // Strength change per point of accuracy difference
+const ADAPTIVE_ACCURACY_MAX = 40;     // Largest change from one game's accuracy
+
+/**
+ * Keeps a strength within the supported range
+ * @param {number} strength
+ * @returns {number} Rounded strength
+ */
+function clampStrength(strength) {
+    return Math.round(Math.max(MIN_STRENGTH, Math.min(MAX_STRENGTH, strength)));
+}
+
+/**
+ * Gets the engine settings that play at a strength
+ * @param {number} strength - Adaptive strength
+ * @returns {{skill: number, depth: number, time: number, randomize: number, elo: ?number}}
+ *          Settings for AIMoveService._getBestMove()
+ */
+function getAdaptiveSettings(strength) {
+    const elo = clampStrength(strength);
+    if (elo >= ENGINE_MIN_ELO) {
+        return { skill: 20, depth: 20, time: 1000, randomize: 0, elo };
+    }
+
+    // Blend from the beginner preset at MIN_STRENGTH to just below the engine's Elo floor
+    const t = (elo - MIN_STRENGTH) / (ENGINE_MIN_ELO - MIN_STRENGTH);
+    return {
+        skill: Math.round(t * 10),
+        depth: 1 + Math.round(t * 9),
+        time: Math.round(100 + t * 900),
+        randomize: Math.round((0.3 - t * 0.25) * 100) / 100,
+        elo: null
+    };
+}
+
+/**
+ * Creates the adaptive state of a new game
+ * @param {number} strength - Player's adaptive strength
+ * @returns {AdaptiveGame}
+ */
+function createAdaptiveGame(strength) {
+    const start = clampStrength(strength);
+    return { startStrength: start, strength: start };
+}
+
+/**
+ * Adjusts a game's strength after a bot move, from the engine's evaluation
+ * @param {AdaptiveGame} adaptive - The game's adaptive state
+ * @param {number} playerScore - Evaluation in centipawns from the player's point of view
+ * @returns {AdaptiveGame} The updated state (the same object if nothing changed)
+ */
+function adjustDuringGame(adaptive, playerScore) {
+    let strength = adaptive.strength;
+    if (playerScore < -ADAPTIVE_SWING_CP) {
+        strength -= ADAPTIVE_GAME_STEP;
+    } else if (playerScore > ADAPTIVE_SWING_CP) {
+        strength += ADAPTIVE_GAME_STEP;
+    } else {
+        return adaptive;
+    }
+
+    strength = Math.max(adaptive.startStrength - ADAPTIVE_GAME_RANGE, Math.min(adaptive.startStrength + ADAPTIVE_GAME_RANGE, strength));
+    strength = clampStrength(strength);
+    return strength === adaptive.strength ? adaptive : { ...adaptive, strength };
+}
+
+/**
+ * Works out a player's adaptive strength after a game
+ * @param {number} strength - Strength RolyBot finished the game at
+ * @param {number} score - Player's score in the game (1, 0.5 or 0)
+ * @param {number} recentScore - Player's average score over their recent adaptive games, including this one
+ * @returns {number} New strength. A win on top of a winning run raises it most.
+ */
+function adjustAfterGame(strength, score, recentScore) {
+    return clampStrength(strength + ADAPTIVE_RESULT_K * ((score - 0.5) + (recentScore - 0.5)));
+}
+
+/**
+ * Works out a player's adaptive strength once their game has been analysed
+ * @param {number} strength - Player's adaptive strength
+ * @param {number} playerAccuracy - Player's move accuracy (0-100)
+ * @param {number} botAccuracy - RolyBot's move accuracy (0-100)
+ * @returns {number} New strength, higher when the player played more accurately than RolyBot
+ */
+function adjustForAccuracy(strength, playerAccuracy, botAccuracy) {
+    const change = ADAPTIVE_ACCURACY_K * (playerAccuracy - botAccuracy);
+    return clampStrength(strength + Math.max(-ADAPTIVE_ACCURACY_MAX, Math.min(ADAPTIVE_ACCURACY_MAX, change)));
+}
+
+module.exports = {
+    ADAPTIVE_DIFFICULTY,
+    ADAPTIVE_RECENT_GAMES,
+    getAdaptiveSettings,
+    createAdaptiveGame,
+    adjustDuringGame,
+    adjustAfterGame,
+    adjustForAccuracy
+};
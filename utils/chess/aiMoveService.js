@@ -1,12 +1,13 @@
 /**
  * Service for handling AI moves in chess games using Stockfish engine.
  * Handles move generation, difficulty levels, and game state management.
+ * Engine processes come from a shared EnginePool rather than being started per move.
  */
 
-const { Engine } = require('node-uci');
 const path = require('path');
 const logger = require('../logger');
-const { Chess } = require('chess.js');
+const { EnginePool } = require('./enginePool');
+const { createChess } = require('./variants');
 
 const DIFFICULTY_LEVELS = {
     beginner: {
@@ -36,10 +37,15 @@ const DIFFICULTY_LEVELS = {
 };
 
 const DEFAULT_DIFFICULTY = 'intermediate';
+const MIN_THINK_TIME = 50; // Never think for less than this, even when nearly flagging
+const ANALYSIS_DEPTH = 14; // Search depth used when evaluating positions for game analysis
+const HINT_DEPTH = 12;     // Search depth used for hints and coach warnings
+const MATE_SCORE = 10000;  // Centipawn value used for forced mates
 
 class AIMoveService {
     constructor() {
         this.difficulty = DEFAULT_DIFFICULTY;
+        this.pool = new EnginePool(() => this._getStockfishPath());
     }
 
     _getStockfishPath() {
@@ -56,30 +62,49 @@ class AIMoveService {
         return 'stockfish';
     }
 
-    async _getBestMove(fen, difficulty = this.difficulty) {
+    /**
+     * Works out how long the engine may think given its remaining clock.
+     * Spends roughly 1/30th of the remaining time plus most of the increment,
+     * never more than the difficulty allows.
+     * @param {Object} settings - Difficulty settings
+     * @param {number} remainingMs - Engine's remaining clock time
+     * @param {number} [incrementMs=0] - Increment added after each move
+     * @returns {number} Think time in milliseconds
+     */
+    getThinkTime(settings, remainingMs, incrementMs = 0) {
+        const budget = remainingMs / 30 + incrementMs * 0.75;
+        return Math.round(Math.max(MIN_THINK_TIME, Math.min(settings.time, budget)));
+    }
+
+    /**
+     * Asks the engine for a move at a difficulty level
+     * @param {string} fen - Position to move in
+     * @param {string|Object} [difficulty] - Difficulty level, or custom settings (skill, depth, time, randomize and optionally elo)
+     * @param {?Object} [clock] - Engine's clock ({remainingMs, incrementMs}) in timed games
+     * @param {string} [variant='standard'] - Game variant, Chess960 positions need the engine's Chess960 mode
+     * @returns {Promise<Object>} The move ({from, to, promotion}) and the engine's raw result
+     */
+    async _getBestMove(fen, difficulty = this.difficulty, clock = null, variant = 'standard') {
         const settings = typeof difficulty === 'string' 
             ? { ...DIFFICULTY_LEVELS[difficulty] || DIFFICULTY_LEVELS[DEFAULT_DIFFICULTY] }
             : { ...difficulty };
 
+        // Adapt think time to the engine's clock in timed games
+        if (clock && typeof clock.remainingMs === 'number') {
+            settings.time = this.getThinkTime(settings, clock.remainingMs, clock.incrementMs);
+        }
+
         logger.info(`[AIMoveService] Getting best move for ${fen} at difficulty: ${JSON.stringify(settings)}`);
         
-        const engine = new Engine(this._getStockfishPath());
-        
         try {
-            await engine.init();
-            await engine.isready();
-            
-            // Set up the engine with our difficulty settings
-            await engine.setoption('Skill Level', settings.skill);
-            
-            // Set position
-            await engine.position(fen);
-            
-            // Get the best move
-            const result = await engine.go({
-                depth: settings.depth,
-                movetime: settings.time
-            });
+            // The pool resets the engine and applies our skill level before running the search
+            const result = await this.pool.run(async engine => {
+                await engine.position(fen);
+                return engine.go({
+                    depth: settings.depth,
+                    movetime: settings.time
+                });
+            }, { skill: settings.skill, elo: settings.elo || null, chess960: variant === 'chess960' });
             
             if (!result || !result.bestmove) {
                 throw new Error('Stockfish did not return a move');
@@ -89,7 +114,7 @@ class AIMoveService {
             if (settings.randomize > 0 && Math.random() < settings.randomize) {
                 try {
                     // Get legal moves using chess.js
-                    const chess = new Chess(fen);
+                    const chess = createChess(fen, variant);
                     const moves = chess.moves({ verbose: true });
                     if (moves && moves.length > 0) {
                         const randomIndex = Math.floor(Math.random() * moves.length);
@@ -117,15 +142,139 @@ class AIMoveService {
         } catch (error) {
             logger.error(`[AIMoveService] Error getting best move: ${error.message}`);
             throw error;
-        } finally {
-            try { 
-                await engine.quit(); 
-            } catch (e) {
-                logger.error('[AIMoveService] Error quitting engine:', e);
+        }
+    }
+
+    /**
+     * Converts the engine's last reported score into an evaluation from White's point of view
+     * @param {Object} result - Result of engine.go()
+     * @param {'w'|'b'} turn - Side to move in the evaluated position
+     * @returns {{score: number, mate: ?number, bestMove: ?string, pv: Array<string>}}
+     *          score is in centipawns with forced mates mapped close to ±MATE_SCORE,
+     *          mate is moves to mate (positive when White mates)
+     */
+    _parseEvaluation(result, turn) {
+        const info = [...(result.info || [])].reverse().find(line => line.score && (!line.multipv || line.multipv === 1));
+        if (!info) {
+            throw new Error('Stockfish did not return an evaluation');
+        }
+
+        return {
+            ...this._parseScore(info, turn),
+            bestMove: result.bestmove && result.bestmove !== '(none)' ? result.bestmove : null,
+            pv: typeof info.pv === 'string' ? info.pv.split(' ') : []
+        };
+    }
+
+    /**
+     * Converts the score of one engine info line to White's point of view
+     * @param {Object} info - Info line with a score
+     * @param {'w'|'b'} turn - Side to move in the evaluated position
+     * @returns {{score: number, mate: ?number}} See _parseEvaluation()
+     */
+    _parseScore(info, turn) {
+        const sign = turn === 'w' ? 1 : -1;
+        const { unit, value } = info.score;
+        const mate = unit === 'mate' ? sign * value : null;
+        const score = unit === 'mate'
+            ? Math.sign(mate || -sign) * (MATE_SCORE - Math.abs(value))
+            : sign * value;
+        return { score, mate };
+    }
+
+    /**
+     * Gets the engine's best few moves in a position, for hints
+     * @param {string} fen - Position to search
+     * @param {Object} [options]
+     * @param {number} [options.count=3] - Number of candidate moves
+     * @param {number} [options.depth=HINT_DEPTH] - Search depth
+     * @param {string} [options.variant='standard'] - Game variant the position comes from
+     * @returns {Promise<Array<{move: string, score: number, mate: ?number, pv: Array<string>}>>}
+     *          Candidates best first, with UCI moves and evaluations from White's point of view
+     */
+    async getCandidateMoves(fen, { count = 3, depth = HINT_DEPTH, variant = 'standard' } = {}) {
+        const chess = createChess(fen, variant);
+        if (chess.isGameOver()) return [];
+
+        try {
+            const result = await this.pool.run(async engine => {
+                await engine.position(fen);
+                return engine.go({ depth });
+            }, { chess960: variant === 'chess960', multiPv: count });
+
+            // Info lines arrive shallowest first, so the last one for each line is the deepest
+            const lines = new Map();
+            for (const info of result.info || []) {
+                if (!info.score || typeof info.pv !== 'string') continue;
+                lines.set(Number(info.multipv) || 1, info);
+            }
+            return [...lines.entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([, info]) => {
+                    const pv = info.pv.split(' ');
+                    return { move: pv[0], ...this._parseScore(info, chess.turn()), pv };
+                });
+        } catch (error) {
+            logger.error(`[AIMoveService] Error getting candidate moves: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Evaluates a list of positions. Each position is a separate pool request,
+     * so bot moves in other games don't wait for a whole game to be analysed.
+     * @param {Array<string>} fens - Positions to evaluate
+     * @param {Object} [options]
+     * @param {number} [options.depth=ANALYSIS_DEPTH] - Search depth per position
+     * @param {string} [options.variant='standard'] - Game variant the positions come from
+     * @returns {Promise<Array<{score: number, mate: ?number, bestMove: ?string, pv: Array<string>}>>}
+     *          One evaluation per position, from White's point of view
+     */
+    async evaluatePositions(fens, { depth = ANALYSIS_DEPTH, variant = 'standard' } = {}) {
+        logger.info(`[AIMoveService] Evaluating ${fens.length} positions at depth ${depth}`);
+
+        try {
+            const evaluations = [];
+            for (const fen of fens) {
+                // Finished positions have nothing to search
+                const chess = createChess(fen, variant);
+                if (chess.isCheckmate()) {
+                    evaluations.push({ score: chess.turn() === 'w' ? -MATE_SCORE : MATE_SCORE, mate: 0, bestMove: null, pv: [] });
+                    continue;
+                }
+                if (chess.isDraw()) {
+                    evaluations.push({ score: 0, mate: null, bestMove: null, pv: [] });
+                    continue;
+                }
+
+                const result = await this.pool.run(async engine => {
+                    await engine.position(fen);
+                    return engine.go({ depth });
+                }, { chess960: variant === 'chess960' });
+                evaluations.push(this._parseEvaluation(result, chess.turn()));
             }
+            return evaluations;
+        } catch (error) {
+            logger.error(`[AIMoveService] Error evaluating positions: ${error.message}`);
+            throw error;
         }
     }
 
+    /**
+     * Gets engine pool statistics for /debug
+     * @returns {Object} See EnginePool.getStats()
+     */
+    getPoolStats() {
+        return this.pool.getStats();
+    }
+
+    /**
+     * Stops every pooled engine process
+     */
+    async shutdown() {
+        await this.pool.shutdown();
+    }
+
     setDifficulty(difficulty) {
         if (DIFFICULTY_LEVELS[difficulty]) {
             this.difficulty = difficulty;
@@ -211,5 +360,8 @@ const aiMoveService = new AIMoveService();
 module.exports = {
     instance: aiMoveService,
     DIFFICULTY_LEVELS,
-    DEFAULT_DIFFICULTY
+    DEFAULT_DIFFICULTY,
+    ANALYSIS_DEPTH,
+    HINT_DEPTH,
+    MATE_SCORE
 };
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * Post-game analysis.
+ * Evaluates every position of a finished game with Stockfish, classifies each move
+ * by its centipawn loss and works out an accuracy percentage for both players.
+ * Reports can be turned into an embed summary and an annotated PGN.
+ *
+ * @typedef {Object} MoveAnalysis
+ * @property {number} ply - Index of the move in the game (0-based)
+ * @property {'w'|'b'} color - Colour that played the move
+ * @property {string} san - Move played
+ * @property {?string} bestSan - Engine's preferred move, if different from the move played
+ * @property {number} evalBefore - Evaluation before the move (centipawns, White's point of view)
+ * @property {number} evalAfter - Evaluation after the move
+ * @property {?number} mateAfter - Moves to mate after the move (positive when White mates)
+ * @property {number} cpLoss - Centipawns lost by the move, from the mover's point of view
+ * @property {number} accuracy - Move accuracy (0-100)
+ * @property {'best'|'good'|'inaccuracy'|'mistake'|'blunder'} classification
+ *
+ * @typedef {Object} AnalysisReport
+ * @property {Array<MoveAnalysis>} moves - One entry per ply
+ * @property {{w: SideSummary, b: SideSummary}} summary - Totals for each side
+ * @property {number} depth - Search depth used
+ * @property {string} analyzedAt - ISO timestamp
+ *
+ * @typedef {Object} SideSummary
+ * @property {?number} accuracy - Average move accuracy, or null if the side made no moves
+ * @property {?number} averageCpLoss - Average centipawn loss
+ * @property {number} best
+ * @property {number} inaccuracies
+ * @property {number} mistakes
+ * @property {number} blunders
+ */
+
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { createChess } = require('./variants');
+const logger = require('../logger');
+const { instance: aiMoveService, ANALYSIS_DEPTH } = require('./aiMoveService');
+const { DEFAULT_FEN, replayMoves, buildAnnotatedPgn } = require('./pgnUtils');
+
+const EVAL_CAP = 1000; // Evaluations are capped so a missed mate doesn't dwarf everything else
+
+// Centipawn loss thresholds for each classification
+const THRESHOLDS = {
+    blunder: 300,
+    mistake: 100,
+    inaccuracy: 50
+};
+
+const GLYPHS = {
+    blunder: '??',
+    mistake: '?',
+    inaccuracy: '?!'
+};
+
+const LABELS = {
+    blunder: 'Blunder',
+    mistake: 'Mistake',
+    inaccuracy: 'Inaccuracy'
+};
+
+/**
+ * Chance of winning for White implied by an evaluation (lichess model)
+ * @param {number} cp - Evaluation in centipawns from White's point of view
+ * @returns {number} Win percentage (0-100)
+ */
+function winPercent(cp) {
+    const capped = Math.max(-EVAL_CAP, Math.min(EVAL_CAP, cp));
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * capped)) - 1);
+}
+
+/**
+ * Accuracy of a move from the drop in the mover's winning chances (lichess model)
+ * @param {number} winBefore - Mover's win percentage before the move
+ * @param {number} winAfter - Mover's win percentage after the move
+ * @returns {number} Accuracy (0-100)
+ */
+function moveAccuracy(winBefore, winAfter) {
+    const drop = Math.max(0, winBefore - winAfter);
+    return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+}
+
+/**
+ * Classifies a move by its centipawn loss
+ * @param {number} cpLoss - Centipawns lost
+ * @param {boolean} isBest - Whether the move was the engine's first choice
+ * @returns {'best'|'good'|'inaccuracy'|'mistake'|'blunder'}
+ */
+function classifyMove(cpLoss, isBest) {
+    if (isBest) return 'best';
+    if (cpLoss >= THRESHOLDS.blunder) return 'blunder';
+    if (cpLoss >= THRESHOLDS.mistake) return 'mistake';
+    if (cpLoss >= THRESHOLDS.inaccuracy) return 'inaccuracy';
+    return 'good';
+}
+
+/**
+ * Formats an evaluation for display, e.g. "+1.25", "-0.40" or "#-3"
+ * @param {number} score - Evaluation in centipawns from White's point of view
+ * @param {?number} mate - Moves to mate, if any
+ * @returns {string}
+ */
+function formatEval(score, mate) {
+    if (mate !== null && mate !== undefined && mate !== 0) {
+        return `#${mate}`;
+    }
+    const pawns = (score / 100).toFixed(2);
+    return score > 0 ? `+${pawns}` : pawns;
+}
+
+/**
+ * Converts a UCI move into SAN in the given position
+ * @param {string} fen - Position before the move
+ * @param {?string} uci - Move in UCI notation, e.g. "e2e4" or "e7e8q"
+ * @param {string} [variant='standard'] - Game variant, for Chess960 castling
+ * @returns {?string} The move in SAN, or null if it can't be played
+ */
+function uciToSan(fen, uci, variant = 'standard') {
+    if (!uci) return null;
+    try {
+        const move = createChess(fen, variant).move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+        return move.san;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Converts an engine line into SAN, stopping at the first move that can't be played
+ * @param {string} fen - Position the line starts from
+ * @param {Array<string>} pv - Moves in UCI notation
+ * @param {string} [variant='standard'] - Game variant, for Chess960 castling
+ * @param {number} [maxPlies=Infinity] - Maximum number of moves to convert
+ * @returns {Array<string>} The moves in SAN
+ */
+function pvToSan(fen, pv, variant = 'standard', maxPlies = Infinity) {
+    const chess = createChess(fen, variant);
+    const moves = [];
+    for (const uci of pv.slice(0, maxPlies)) {
+        try {
+            moves.push(chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] }).san);
+        } catch (error) {
+            break;
+        }
+    }
+    return moves;
+}
+
+/**
+ * Totals the analysed moves of one side
+ * @param {Array<MoveAnalysis>} moves - Analysed moves of that side
+ * @returns {SideSummary}
+ */
+function summarizeSide(moves) {
+    const count = type => moves.filter(m => m.classification === type).length;
+    const average = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+    const accuracy = average(moves.map(m => m.accuracy));
+    const averageCpLoss = average(moves.map(m => m.cpLoss));
+
+    return {
+        accuracy: accuracy === null ? null : Math.round(accuracy * 10) / 10,
+        averageCpLoss: averageCpLoss === null ? null : Math.round(averageCpLoss),
+        best: count('best'),
+        inaccuracies: count('inaccuracy'),
+        mistakes: count('mistake'),
+        blunders: count('blunder')
+    };
+}
+
+class AnalysisService {
+    constructor() {
+        this.depth = ANALYSIS_DEPTH;
+        /** @type {Map<string, Promise<AnalysisReport>>} Analyses in progress, by game ID */
+        this.pending = new Map();
+    }
+
+    /**
+     * Analyses every move of a game
+     * @param {Object} gameData - Game state or game record with initialFen and moves
+     * @returns {Promise<AnalysisReport>}
+     */
+    async analyzeGame(gameData) {
+        const key = gameData.gameId || gameData.id;
+        if (key && this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        const analysis = this._analyze(gameData);
+        if (key) {
+            this.pending.set(key, analysis);
+            analysis.finally(() => this.pending.delete(key)).catch(() => {});
+        }
+        return analysis;
+    }
+
+    async _analyze(gameData) {
+        const moves = gameData.moves || gameData.gameInstance?.history() || [];
+        if (moves.length === 0) {
+            throw new Error('There are no moves to analyse.');
+        }
+
+        // Collect the position before every move and the final position
+        const game = replayMoves(gameData.initialFen, [], gameData.variant);
+        const fens = [game.fen()];
+        const played = [];
+        for (const san of moves) {
+            const move = game.move(san);
+            played.push(move);
+            fens.push(game.fen());
+        }
+
+        logger.info(`[AnalysisService] Analysing ${moves.length} plies of game ${gameData.gameId || gameData.id}`);
+        const evaluations = await aiMoveService.evaluatePositions(fens, { depth: this.depth, variant: gameData.variant });
+
+        const analysed = played.map((move, ply) => {
+            const before = evaluations[ply];
+            const after = evaluations[ply + 1];
+            const sign = move.color === 'w' ? 1 : -1;
+
+            const cappedBefore = Math.max(-EVAL_CAP, Math.min(EVAL_CAP, before.score));
+            const cappedAfter = Math.max(-EVAL_CAP, Math.min(EVAL_CAP, after.score));
+            const cpLoss = Math.max(0, sign * (cappedBefore - cappedAfter));
+
+            // Compare in SAN, since engines write Chess960 castling as king-takes-rook
+            const bestSan = uciToSan(fens[ply], before.bestMove, gameData.variant);
+            const isBest = bestSan === move.san;
+            const winBefore = move.color === 'w' ? winPercent(before.score) : 100 - winPercent(before.score);
+            const winAfter = move.color === 'w' ? winPercent(after.score) : 100 - winPercent(after.score);
+
+            return {
+                ply,
+                color: move.color,
+                san: move.san,
+                bestSan: isBest ? null : bestSan,
+                evalBefore: before.score,
+                evalAfter: after.score,
+                mateAfter: after.mate,
+                cpLoss: Math.round(cpLoss),
+                accuracy: Math.round(moveAccuracy(winBefore, winAfter) * 10) / 10,
+                classification: classifyMove(cpLoss, isBest)
+            };
+        });
+
+        return {
+            moves: analysed,
+            summary: {
+                w: summarizeSide(analysed.filter(m => m.color === 'w')),
+                b: summarizeSide(analysed.filter(m => m.color === 'b'))
+            },
+            depth: this.depth,
+            analyzedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Gets the move number label for an analysed move, e.g. "12." or "12..."
+     * @param {Object} gameData - Game state or record with initialFen
+     * @param {MoveAnalysis} move
+     * @returns {string}
+     */
+    getMoveLabel(gameData, move) {
+        const [, startTurn, , , , startNumber] = (gameData.initialFen || DEFAULT_FEN).split(' ');
+        const offset = startTurn === 'b' ? 1 : 0;
+        const moveNumber = Number(startNumber || 1) + Math.floor((move.ply + offset) / 2);
+        return move.color === 'w' ? `${moveNumber}.` : `${moveNumber}...`;
+    }
+
+    /**
+     * Builds an annotated PGN from an analysis report.
+     * Every move gets an [%eval] comment; inaccuracies, mistakes and blunders also get
+     * a glyph and the engine's preferred move.
+     * @param {Object} gameData - Game state or record with initialFen, moves and players
+     * @param {AnalysisReport} report
+     * @param {Object} [names] - Display names for the players
+     * @returns {string} The PGN text
+     */
+    buildAnnotatedPgn(gameData, report, names = {}) {
+        const annotations = report.moves.map(move => {
+            // Checkmate ends the game, so there is nothing to evaluate
+            if (move.mateAfter === 0) return {};
+
+            const evalTag = `[%eval ${move.mateAfter ? `#${move.mateAfter}` : (move.evalAfter / 100).toFixed(2)}]`;
+            if (!GLYPHS[move.classification]) {
+                return { comment: evalTag };
+            }
+            const best = move.bestSan ? ` ${move.bestSan} was best.` : '';
+            return {
+                glyph: GLYPHS[move.classification],
+                comment: `${evalTag} ${LABELS[move.classification]} (${formatEval(move.evalBefore)} → ${formatEval(move.evalAfter, move.mateAfter)}).${best}`
+            };
+        });
+
+        const moves = gameData.moves || gameData.gameInstance?.history() || [];
+        return buildAnnotatedPgn({ ...gameData, moves }, annotations, names, { Annotator: `Stockfish (depth ${report.depth})` });
+    }
+
+    /**
+     * Builds the analysis message: an embed summary and the annotated PGN
+     * @param {Object} gameData - Game state or record with initialFen, moves and players
+     * @param {AnalysisReport} report
+     * @param {Object} [names] - Display names for the players
+     * @returns {{embeds: Array<EmbedBuilder>, files: Array<AttachmentBuilder>}} Payload for channel.send()
+     */
+    buildAnalysisMessage(gameData, report, names = {}) {
+        const gameId = gameData.gameId || gameData.id;
+        const white = names.white || `<@${gameData.whiteId}>`;
+        const black = names.black || `<@${gameData.blackId}>`;
+
+        const describeSide = summary => [
+            `Accuracy: **${summary.accuracy === null ? '-' : `${summary.accuracy}%`}**`,
+            `Avg. centipawn loss: ${summary.averageCpLoss === null ? '-' : summary.averageCpLoss}`,
+            `Inaccuracies: ${summary.inaccuracies} · Mistakes: ${summary.mistakes} · Blunders: ${summary.blunders}`
+        ].join('\n');
+
+        // Show the costliest errors so players know where to look
+        const keyMoments = report.moves
+            .filter(m => m.classification === 'blunder' || m.classification === 'mistake')
+            .sort((a, b) => b.cpLoss - a.cpLoss)
+            .slice(0, 5)
+            .sort((a, b) => a.ply - b.ply)
+            .map(m => `${this.getMoveLabel(gameData, m)} ${m.san}${GLYPHS[m.classification]} `
+                + `(${formatEval(m.evalBefore)} → ${formatEval(m.evalAfter, m.mateAfter)})`
+                + (m.bestSan ? ` — best was **${m.bestSan}**` : ''));
+
+        const embed = new EmbedBuilder()
+            .setTitle('📊 Game Analysis')
+            .setColor(0x3498DB)
+            .setDescription(`${white} vs ${black}${gameData.result && gameData.result !== '*' ? ` · ${gameData.result}` : ''}`)
+            .addFields(
+                { name: '⬜ White', value: describeSide(report.summary.w), inline: true },
+                { name: '⬛ Black', value: describeSide(report.summary.b), inline: true },
+                { name: 'Key moments', value: keyMoments.length > 0 ? keyMoments.join('\n') : 'No mistakes or blunders. Well played!', inline: false }
+            )
+            .setFooter({ text: `Stockfish depth ${report.depth} · Full annotations in the attached PGN` });
+
+        const pgn = this.buildAnnotatedPgn(gameData, report, names);
+        const file = new AttachmentBuilder(Buffer.from(pgn, 'utf8'), { name: `chess-${gameId}-analysis.pgn` });
+
+        return { embeds: [embed], files: [file] };
+    }
+}
+
+// Export singleton instance and helpers
+const analysisService = new AnalysisService();
+module.exports = {
+    instance: analysisService,
+    THRESHOLDS,
+    classifyMove,
+    winPercent,
+    moveAccuracy,
+    formatEval,
+    uciToSan,
+    pvToSan
+};
@@ -0,0 +1,145 @@
+/**
+ * Builds Discord messages that show a chess board.
+ * Boards are rendered locally by boardRenderer and sent as attachments,
+ * so move embeds keep working without any third-party image service.
+ */
+
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { renderBoardPng } = require('./boardRenderer');
+const { getRemainingTime, formatClock, describeTimeControl } = require('./clockManager');
+const { winPercent, formatEval, pvToSan } = require('./analysisService');
+
+const BOARD_IMAGE_NAME = 'board.png';
+const EVAL_BAR_LENGTH = 10;
+const BEST_LINE_PLIES = 6; // Moves of the engine's best line shown under the evaluation bar
+
+/**
+ * Renders a board image as a Discord attachment
+ * @param {string} fen - Position to render
+ * @param {Object} [options] - Render options (orientation, lastMove, squareSize)
+ * @returns {AttachmentBuilder} The PNG attachment
+ */
+function createBoardAttachment(fen, options = {}) {
+    const png = renderBoardPng(fen, options);
+    return new AttachmentBuilder(png, { name: BOARD_IMAGE_NAME });
+}
+
+/**
+ * Formats both players' remaining time
+ * @param {Object} gameData - Game state with clocks
+ * @param {{w: number, b: number}} [clocks] - Snapshot to show instead of the live clocks
+ * @returns {string} e.g. "⬜ White: 2:31 · ⬛ Black: 1:58"
+ */
+function formatClocks(gameData, clocks) {
+    const remaining = clocks
+        ? clocks
+        : { w: getRemainingTime(gameData, 'w'), b: getRemainingTime(gameData, 'b') };
+    return `⬜ White: ${formatClock(remaining.w)} · ⬛ Black: ${formatClock(remaining.b)}`;
+}
+
+/**
+ * Builds a message payload with a board embed and its image attachment
+ * @param {Object} options
+ * @param {string} options.fen - Position to show
+ * @param {string} [options.title='Chess Board'] - Embed title
+ * @param {string} [options.description] - Embed description
+ * @param {'w'|'b'} [options.orientation='w'] - Colour shown at the bottom of the board
+ * @param {{from: string, to: string}} [options.lastMove] - Move to highlight
+ * @param {number} [options.color=0x5865F2] - Embed colour
+ * @param {Object} [options.gameData] - Game state, used to show clocks for timed games
+ * @param {{w: number, b: number}} [options.clocks] - Clock snapshot to show instead of the live clocks
+ * @param {?string} [options.opening] - Opening name to show (see openingBook.formatOpening)
+ * @param {?{score: number, mate: ?number, pv: Array<string>}} [options.evaluation] - Engine evaluation of the
+ *        position, shown as an evaluation bar with the best line (see AIMoveService.evaluatePositions)
+ * @returns {{embeds: Array<EmbedBuilder>, files: Array<AttachmentBuilder>}} Payload for channel.send()
+ */
+function buildBoardMessage({ fen, title = 'Chess Board', description, orientation = 'w', lastMove, color = 0x5865F2, gameData, clocks, opening, evaluation }) {
+    const attachment = createBoardAttachment(fen, { orientation, lastMove });
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setColor(color)
+        .setImage(`attachment://${BOARD_IMAGE_NAME}`);
+
+    if (description) {
+        embed.setDescription(description);
+    }
+
+    if (opening) {
+        embed.addFields({ name: '📖 Opening', value: opening, inline: false });
+    }
+
+    if (gameData?.timeControl) {
+        embed.addFields({
+            name: `⏱️ ${describeTimeControl(gameData.timeControl)}`,
+            value: formatClocks(gameData, clocks),
+            inline: false
+        });
+    }
+
+    if (evaluation) {
+        embed.addFields({ name: '📊 Evaluation', value: formatEvaluation(fen, evaluation, gameData?.variant), inline: false });
+    }
+
+    return { embeds: [embed], files: [attachment] };
+}
+
+/**
+ * Formats an evaluation as a text bar, filled with White's share of the winning chances
+ * @param {{score: number, mate: ?number}} evaluation - Evaluation from White's point of view
+ * @returns {string} e.g. "⬜⬜⬜⬜⬜⬜⬛⬛⬛⬛ +0.85"
+ */
+function formatEvalBar({ score, mate }) {
+    const white = mate !== null && mate !== undefined
+        ? (score > 0 ? EVAL_BAR_LENGTH : 0)
+        : Math.round((winPercent(score) / 100) * EVAL_BAR_LENGTH);
+    const label = mate === 0 ? 'Checkmate' : formatEval(score, mate);
+    return `${'⬜'.repeat(white)}${'⬛'.repeat(EVAL_BAR_LENGTH - white)} ${label}`;
+}
+
+/**
+ * Formats an evaluation bar with the engine's best line below it
+ * @param {string} fen - Evaluated position
+ * @param {{score: number, mate: ?number, pv: Array<string>}} evaluation - Evaluation from White's point of view
+ * @param {string} [variant='standard'] - Game variant
+ * @returns {string} e.g. "⬜⬜⬜⬜⬜⬜⬛⬛⬛⬛ +0.85\nBest line: 12. Nf3 Nc6 13. O-O"
+ */
+function formatEvaluation(fen, evaluation, variant = 'standard') {
+    const bestLine = pvToSan(fen, evaluation.pv || [], variant, BEST_LINE_PLIES);
+    const bar = formatEvalBar(evaluation);
+    return bestLine.length > 0 ? `${bar}\nBest line: ${formatMoveList(bestLine, fen)}` : bar;
+}
+
+/**
+ * Formats a move list with move numbers, keeping only the most recent moves
+ * @param {Array<string>} moves - Moves in SAN
+ * @param {?string} [initialFen] - Starting position, which may have Black to move
+ * @param {number} [maxPlies=40] - Maximum number of moves to show
+ * @returns {string} e.g. "1. e4 e5 2. Nf3 Nc6", prefixed with "…" when moves were left out
+ */
+function formatMoveList(moves, initialFen, maxPlies = 40) {
+    const [, startTurn = 'w', , , , startNumber = '1'] = (initialFen || '').split(' ');
+    const offset = startTurn === 'b' ? 1 : 0;
+    const first = Math.max(0, moves.length - maxPlies);
+
+    const parts = [];
+    for (let ply = first; ply < moves.length; ply++) {
+        const moveNumber = Number(startNumber) + Math.floor((ply + offset) / 2);
+        if ((ply + offset) % 2 === 0) {
+            parts.push(`${moveNumber}. ${moves[ply]}`);
+        } else if (ply === first) {
+            parts.push(`${moveNumber}... ${moves[ply]}`);
+        } else {
+            parts.push(moves[ply]);
+        }
+    }
+    return (first > 0 ? '… ' : '') + parts.join(' ');
+}
+
+module.exports = {
+    BOARD_IMAGE_NAME,
+    createBoardAttachment,
+    buildBoardMessage,
+    formatEvalBar,
+    formatEvaluation,
+    formatMoveList
+};
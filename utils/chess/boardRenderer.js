@@ -0,0 +1,417 @@
+/**
+ * Board Renderer - Draws chess positions to PNG entirely in-process.
+ * Pieces are simple vector shapes rasterized with supersampling, so no fonts,
+ * native modules or network services are needed.
+ *
+ * Main Functions:
+ * - renderBoardPixels: Renders a FEN to a raw RGBA pixel buffer
+ * - renderBoardPng: Renders a FEN to a PNG buffer
+ */
+
+const { PNG } = require('pngjs');
+const { Chess } = require('chess.js');
+
+const DEFAULT_SQUARE_SIZE = 60;
+const BORDER_RATIO = 0.4; // Border width relative to square size, holds the coordinate labels
+const SUPERSAMPLE = 4;    // Samples per pixel along each axis when rasterizing pieces
+
+const COLORS = {
+    light: [240, 217, 181],
+    dark: [181, 136, 99],
+    border: [49, 46, 43],
+    label: [200, 195, 185],
+    highlight: [205, 210, 106],
+    check: [220, 40, 40],
+    whiteFill: [255, 255, 255],
+    whiteOutline: [20, 20, 20],
+    blackFill: [40, 40, 40],
+    blackOutline: [10, 10, 10],
+    blackDetail: [225, 225, 225]
+};
+
+// --- Piece shapes -----------------------------------------------------------
+// Shapes are defined on a 45x45 grid per square (y grows downwards).
+// `body` is filled with the piece colour and outlined, `detail` is drawn on top in the outline colour.
+
+const poly = (...points) => ({ type: 'poly', points });
+const circle = (cx, cy, r) => ({ type: 'circle', cx, cy, r });
+const rect = (x1, y1, x2, y2) => poly([x1, y1], [x2, y1], [x2, y2], [x1, y2]);
+const line = (x1, y1, x2, y2, w = 1.2) => ({ type: 'line', x1, y1, x2, y2, w });
+
+const PIECE_SHAPES = {
+    p: {
+        body: [
+            circle(22.5, 14, 5.5),
+            poly([18.5, 18], [26.5, 18], [29.5, 32], [15.5, 32]),
+            poly([14, 32], [31, 32], [34, 39], [11, 39])
+        ],
+        detail: []
+    },
+    r: {
+        body: [
+            rect(9, 35, 36, 39),
+            rect(12, 31, 33, 35),
+            rect(14, 16, 31, 31),
+            poly([11, 9], [15, 9], [15, 12], [20, 12], [20, 9], [25, 9], [25, 12], [30, 12], [30, 9], [34, 9], [34, 16], [11, 16])
+        ],
+        detail: [line(14, 16, 31, 16), line(14, 31, 31, 31), line(12, 35, 33, 35)]
+    },
+    n: {
+        body: [
+            rect(11, 35, 37, 39),
+            poly(
+                [14, 35], [36, 35], [36, 26], [34, 18], [29, 12], [23, 10], [21, 6], [18, 10],
+                [15, 13], [12, 19], [8, 26], [9, 30], [12, 31], [16, 27], [20, 25], [22, 24],
+                [18, 29]
+            )
+        ],
+        detail: [circle(16.5, 17.5, 1.5), line(9.5, 28.5, 11.5, 27)]
+    },
+    b: {
+        body: [
+            rect(9, 36, 36, 39),
+            rect(15, 31, 30, 36),
+            circle(22.5, 24, 7.5),
+            poly([15.2, 22.5], [29.8, 22.5], [22.5, 11]),
+            circle(22.5, 8.5, 2.8)
+        ],
+        detail: [line(15, 31, 30, 31), line(22.5, 17, 22.5, 27), line(19, 22, 26, 22)]
+    },
+    q: {
+        body: [
+            rect(11, 35, 34, 39),
+            poly([11, 35], [7, 14], [13, 26], [15, 10], [19, 25], [22.5, 8], [26, 25], [30, 10], [32, 26], [38, 14], [34, 35]),
+            circle(7, 13, 2.6),
+            circle(15, 9.5, 2.6),
+            circle(22.5, 7.5, 2.6),
+            circle(30, 9.5, 2.6),
+            circle(38, 13, 2.6)
+        ],
+        detail: [line(11, 35, 34, 35), line(12, 31, 33, 31)]
+    },
+    k: {
+        body: [
+            rect(11, 35, 34, 39),
+            poly([11, 35], [34, 35], [37, 25], [34, 20], [27, 21], [22.5, 16], [18, 21], [11, 20], [8, 25]),
+            rect(21, 5, 24, 17),
+            rect(18, 8, 27, 11)
+        ],
+        detail: [line(11, 35, 34, 35), line(12, 30, 33, 30), line(22.5, 16, 22.5, 30)]
+    }
+};
+
+// --- Geometry -----------------------------------------------------------------
+
+function pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function distanceToSegment(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSq));
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+/**
+ * Tests whether a point lies within a shape, optionally grown outwards by `grow` units
+ */
+function shapeContains(shape, x, y, grow = 0) {
+    switch (shape.type) {
+        case 'circle':
+            return Math.hypot(x - shape.cx, y - shape.cy) <= shape.r + grow;
+        case 'line':
+            return distanceToSegment(x, y, shape.x1, shape.y1, shape.x2, shape.y2) <= shape.w / 2 + grow;
+        case 'poly': {
+            if (pointInPolygon(x, y, shape.points)) return true;
+            if (grow <= 0) return false;
+            const pts = shape.points;
+            for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+                if (distanceToSegment(x, y, pts[j][0], pts[j][1], pts[i][0], pts[i][1]) <= grow) return true;
+            }
+            return false;
+        }
+        default:
+            return false;
+    }
+}
+
+// --- Piece sprites ------------------------------------------------------------
+
+const spriteCache = new Map();
+
+/**
+ * Rasterizes a piece into per-pixel coverage maps for its outline, body and details
+ * @param {string} type - Piece type (p, n, b, r, q, k)
+ * @param {number} size - Square size in pixels
+ * @returns {{outline: Float32Array, body: Float32Array, detail: Float32Array}} Coverage values (0-1) per pixel
+ */
+function getPieceSprite(type, size) {
+    const key = `${type}:${size}`;
+    if (spriteCache.has(key)) return spriteCache.get(key);
+
+    const shape = PIECE_SHAPES[type];
+    const outline = new Float32Array(size * size);
+    const body = new Float32Array(size * size);
+    const detail = new Float32Array(size * size);
+    const scale = 45 / size;
+    const samples = SUPERSAMPLE * SUPERSAMPLE;
+    const outlineWidth = 1.5;
+
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            let o = 0, b = 0, d = 0;
+            for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+                for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+                    const x = (px + (sx + 0.5) / SUPERSAMPLE) * scale;
+                    const y = (py + (sy + 0.5) / SUPERSAMPLE) * scale;
+                    if (shape.body.some(s => shapeContains(s, x, y))) b++;
+                    if (shape.body.some(s => shapeContains(s, x, y, outlineWidth))) o++;
+                    if (shape.detail.some(s => shapeContains(s, x, y))) d++;
+                }
+            }
+            const i = py * size + px;
+            outline[i] = o / samples;
+            body[i] = b / samples;
+            detail[i] = d / samples;
+        }
+    }
+
+    const sprite = { outline, body, detail };
+    spriteCache.set(key, sprite);
+    return sprite;
+}
+
+// --- Coordinate labels ----------------------------------------------------------
+// A tiny 3x5 bitmap font, only the characters needed for file and rank labels and results.
+
+const GLYPHS = {
+    a: ['010', '101', '111', '101', '101'],
+    b: ['110', '101', '110', '101', '110'],
+    c: ['011', '100', '100', '100', '011'],
+    d: ['110', '101', '101', '101', '110'],
+    e: ['111', '100', '110', '100', '111'],
+    f: ['111', '100', '110', '100', '100'],
+    g: ['011', '100', '101', '101', '011'],
+    h: ['101', '101', '111', '101', '101'],
+    1: ['010', '110', '010', '010', '111'],
+    2: ['110', '001', '010', '100', '111'],
+    3: ['110', '001', '010', '001', '110'],
+    4: ['101', '101', '111', '001', '001'],
+    5: ['111', '100', '110', '001', '110'],
+    6: ['011', '100', '110', '101', '010'],
+    7: ['111', '001', '010', '010', '010'],
+    8: ['010', '101', '010', '101', '010'],
+    0: ['010', '101', '101', '101', '010'],
+    '-': ['000', '000', '111', '000', '000'],
+    '/': ['001', '001', '010', '100', '100']
+};
+
+// --- Drawing helpers ------------------------------------------------------------
+
+function blendPixel(data, width, x, y, color, alpha) {
+    if (alpha <= 0) return;
+    const i = (y * width + x) * 4;
+    data[i] = Math.round(data[i] + (color[0] - data[i]) * alpha);
+    data[i + 1] = Math.round(data[i + 1] + (color[1] - data[i + 1]) * alpha);
+    data[i + 2] = Math.round(data[i + 2] + (color[2] - data[i + 2]) * alpha);
+    data[i + 3] = 255;
+}
+
+function fillRect(data, width, x, y, w, h, color, alpha = 1) {
+    for (let py = y; py < y + h; py++) {
+        for (let px = x; px < x + w; px++) {
+            blendPixel(data, width, px, py, color, alpha);
+        }
+    }
+}
+
+function drawGlyph(data, width, char, x, y, pixelSize, color) {
+    const glyph = GLYPHS[char];
+    if (!glyph) return;
+    glyph.forEach((row, gy) => {
+        [...row].forEach((bit, gx) => {
+            if (bit === '1') {
+                fillRect(data, width, x + gx * pixelSize, y + gy * pixelSize, pixelSize, pixelSize, color);
+            }
+        });
+    });
+}
+
+function drawPiece(data, width, piece, x, y, size) {
+    const sprite = getPieceSprite(piece.type, size);
+    const isWhite = piece.color === 'w';
+    const fill = isWhite ? COLORS.whiteFill : COLORS.blackFill;
+    const outline = isWhite ? COLORS.whiteOutline : COLORS.blackOutline;
+    const detail = isWhite ? COLORS.whiteOutline : COLORS.blackDetail;
+
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            const i = py * size + px;
+            blendPixel(data, width, x + px, y + py, outline, sprite.outline[i]);
+            blendPixel(data, width, x + px, y + py, fill, sprite.body[i]);
+            blendPixel(data, width, x + px, y + py, detail, sprite.detail[i] * sprite.body[i]);
+        }
+    }
+}
+
+function drawCheckGlow(data, width, x, y, size) {
+    const center = size / 2;
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            const dist = Math.hypot(px + 0.5 - center, py + 0.5 - center) / (center * Math.SQRT2);
+            blendPixel(data, width, x + px, y + py, COLORS.check, Math.max(0, 1 - dist) * 0.9);
+        }
+    }
+}
+
+/**
+ * Draws a line of text centred in a dark band across the image
+ * @param {Buffer} data - RGBA image
+ * @param {number} width - Image width (the image is square)
+ * @param {string} text - Text to draw, using the characters in GLYPHS
+ * @param {number} y - Top of the band
+ * @param {number} height - Height of the band
+ */
+function drawCaption(data, width, text, y, height) {
+    fillRect(data, width, 0, y, width, height, COLORS.border, 0.85);
+    const chars = [...String(text)];
+    const pixelSize = Math.max(1, Math.min(Math.floor(height / 7), Math.floor(width / (chars.length * 4 + 2))));
+    const textWidth = chars.length * 4 * pixelSize - pixelSize;
+    const x = Math.floor((width - textWidth) / 2);
+    const top = y + Math.floor((height - pixelSize * 5) / 2);
+    chars.forEach((char, i) => drawGlyph(data, width, char, x + i * 4 * pixelSize, top, pixelSize, COLORS.whiteFill));
+}
+
+/**
+ * Converts a square name to board coordinates for the given orientation
+ * @param {string} square - Square name, e.g. "e4"
+ * @param {'w'|'b'} orientation - Colour shown at the bottom of the board
+ * @returns {{col: number, row: number}} Column and row from the top-left of the image
+ */
+function squareToCoords(square, orientation) {
+    const file = square.charCodeAt(0) - 97;
+    const rank = parseInt(square[1], 10) - 1;
+    return orientation === 'b'
+        ? { col: 7 - file, row: rank }
+        : { col: file, row: 7 - rank };
+}
+
+/**
+ * Finds the square of the king that is in check, if any
+ * @param {Chess} game - chess.js instance for the position
+ * @returns {string|null} The square, or null if the side to move is not in check
+ */
+function findCheckedKing(game) {
+    if (!game.inCheck()) return null;
+    const turn = game.turn();
+    for (const row of game.board()) {
+        for (const piece of row) {
+            if (piece && piece.type === 'k' && piece.color === turn) return piece.square;
+        }
+    }
+    return null;
+}
+
+// --- Public API -----------------------------------------------------------------
+
+/**
+ * Renders a position to a raw RGBA pixel buffer
+ * @param {string} fen - Position to render
+ * @param {Object} [options]
+ * @param {'w'|'b'} [options.orientation='w'] - Colour shown at the bottom of the board
+ * @param {{from: string, to: string}} [options.lastMove] - Move to highlight
+ * @param {number} [options.squareSize=60] - Size of each square in pixels
+ * @param {string} [options.caption] - Text shown in a band across the middle of the board, e.g. a result like "1-0"
+ * @returns {{width: number, height: number, data: Buffer}} The rendered image
+ */
+function renderBoardPixels(fen, options = {}) {
+    if (!fen || typeof fen !== 'string') throw new Error('Invalid FEN string');
+
+    const game = new Chess(fen, { skipValidation: true });
+    const orientation = options.orientation === 'b' ? 'b' : 'w';
+    const squareSize = options.squareSize || DEFAULT_SQUARE_SIZE;
+    const border = Math.round(squareSize * BORDER_RATIO);
+    const size = squareSize * 8 + border * 2;
+    const data = Buffer.alloc(size * size * 4);
+
+    fillRect(data, size, 0, 0, size, size, COLORS.border);
+
+    const highlighted = options.lastMove ? [options.lastMove.from, options.lastMove.to] : [];
+    const checkedKing = findCheckedKing(game);
+
+    // Squares, highlights and pieces
+    for (let rank = 0; rank < 8; rank++) {
+        for (let file = 0; file < 8; file++) {
+            const square = String.fromCharCode(97 + file) + (rank + 1);
+            const { col, row } = squareToCoords(square, orientation);
+            const x = border + col * squareSize;
+            const y = border + row * squareSize;
+            const isLight = (file + rank) % 2 === 1;
+
+            fillRect(data, size, x, y, squareSize, squareSize, isLight ? COLORS.light : COLORS.dark);
+            if (highlighted.includes(square)) {
+                fillRect(data, size, x, y, squareSize, squareSize, COLORS.highlight, 0.6);
+            }
+            if (square === checkedKing) {
+                drawCheckGlow(data, size, x, y, squareSize);
+            }
+
+            const piece = game.get(square);
+            if (piece) {
+                drawPiece(data, size, piece, x, y, squareSize);
+            }
+        }
+    }
+
+    // File and rank labels in the border
+    const glyphPixel = Math.max(1, Math.floor(border / 9));
+    const glyphWidth = glyphPixel * 3;
+    const glyphHeight = glyphPixel * 5;
+    for (let i = 0; i < 8; i++) {
+        const file = orientation === 'w' ? 'abcdefgh'[i] : 'hgfedcba'[i];
+        const rank = orientation === 'w' ? String(8 - i) : String(i + 1);
+        const fileX = border + i * squareSize + Math.floor((squareSize - glyphWidth) / 2);
+        const rankY = border + i * squareSize + Math.floor((squareSize - glyphHeight) / 2);
+        const edge = Math.floor((border - glyphHeight) / 2);
+
+        drawGlyph(data, size, file, fileX, size - border + edge, glyphPixel, COLORS.label);
+        drawGlyph(data, size, rank, Math.floor((border - glyphWidth) / 2), rankY, glyphPixel, COLORS.label);
+    }
+
+    if (options.caption) {
+        drawCaption(data, size, options.caption, border + squareSize * 3, squareSize * 2);
+    }
+
+    return { width: size, height: size, data };
+}
+
+/**
+ * Renders a position to a PNG image
+ * @param {string} fen - Position to render
+ * @param {Object} [options] - See renderBoardPixels
+ * @returns {Buffer} PNG file contents
+ */
+function renderBoardPng(fen, options = {}) {
+    const { width, height, data } = renderBoardPixels(fen, options);
+    const png = new PNG({ width, height });
+    data.copy(png.data);
+    return PNG.sync.write(png);
+}
+
+module.exports = {
+    renderBoardPixels,
+    renderBoardPng,
+    squareToCoords,
+    findCheckedKing,
+    DEFAULT_SQUARE_SIZE
+};
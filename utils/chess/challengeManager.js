@@ -1,59 +1,110 @@
+const crypto = require('crypto');
 const logger = require('../logger');
 
 /**
- * Manages chess challenges between players
+ * @typedef {Object} Challenge
+ * @property {string} challengeId - Unique challenge ID, used in the challenge message's buttons
+ * @property {string} challengerId - ID of the user issuing the challenge
+ * @property {string} challengedUserId - ID of the user being challenged
+ * @property {number} timestamp - When the challenge was made, in ms
+ * @property {Object} gameOptions - Settings for the game (see GameManager.createGameForPlayers)
+ * @property {?string} channelId - Channel the challenge message was posted in
+ * @property {?string} messageId - The challenge message, edited when the challenge expires
+ */
+
+/**
+ * Manages chess challenges between players.
+ * A challenge is open for challengeTimeout, after which it is dropped and handed to the
+ * expiry handler (see setExpiryHandler).
  */
 class ChallengeManager {
     constructor() {
-        /** @type {Map<string, {challengerId: string, challengedUserId: string, timestamp: number}>} */
+        /** @type {Map<string, Challenge>} Pending challenges by challenge ID */
         this.pendingChallenges = new Map();
+        /** @type {Map<string, NodeJS.Timeout>} Expiry timers by challenge ID */
+        this.timers = new Map();
         this.challengeTimeout = 5 * 60 * 1000; // 5 minutes in milliseconds
-        this.cleanupInterval = setInterval(() => this.cleanupExpiredChallenges(), 60 * 1000); // Check every minute
+        /** @type {?function(Challenge): Promise<void>} */
+        this.onExpire = null;
+    }
+
+    /**
+     * Set the callback invoked with a challenge when it expires unanswered
+     * @param {function(Challenge): Promise<void>} callback
+     */
+    setExpiryHandler(callback) {
+        this.onExpire = callback;
     }
 
     /**
      * Add a new challenge
      * @param {string} challengerId - ID of the user issuing the challenge
      * @param {string} challengedUserId - ID of the user being challenged
-     * @returns {boolean} True if challenge was added, false if a challenge already exists
+     * @param {Object} [details]
+     * @param {Object} [details.gameOptions] - Settings for the game
+     * @param {?string} [details.channelId] - Channel the challenge is posted in
+     * @returns {Challenge|null} The challenge, or null if the two players already have one pending
      */
-    addChallenge(challengerId, challengedUserId) {
-        // Check if there's already a pending challenge for either user
-        for (const [userId, challenge] of this.pendingChallenges.entries()) {
-            if (userId === challengerId || userId === challengedUserId || 
-                challenge.challengerId === challengerId || challenge.challengedUserId === challengedUserId) {
-                return false;
-            }
+    addChallenge(challengerId, challengedUserId, { gameOptions = {}, channelId = null } = {}) {
+        if (this.findChallenge(challengerId, challengedUserId)) {
+            return null;
         }
 
-        this.pendingChallenges.set(challengedUserId, {
+        const challenge = {
+            challengeId: crypto.randomBytes(4).toString('hex'),
             challengerId,
             challengedUserId,
-            timestamp: Date.now()
-        });
-        logger.info(`[ChallengeManager] Challenge created: ${challengerId} -> ${challengedUserId}`);
-        return true;
+            timestamp: Date.now(),
+            gameOptions,
+            channelId,
+            messageId: null
+        };
+        this.pendingChallenges.set(challenge.challengeId, challenge);
+
+        const timer = setTimeout(() => this.expireChallenge(challenge.challengeId), this.challengeTimeout);
+        // Don't keep the process alive just to expire a challenge
+        timer.unref?.();
+        this.timers.set(challenge.challengeId, timer);
+
+        logger.info(`[ChallengeManager] Challenge ${challenge.challengeId} created: ${challengerId} -> ${challengedUserId}`);
+        return challenge;
     }
 
     /**
-     * Get a challenge for a user
-     * @param {string} userId - ID of the user to check for challenges
-     * @returns {Object|null} Challenge object or null if none exists
+     * Get a challenge
+     * @param {string} challengeId - Challenge ID
+     * @returns {Challenge|null} Challenge object or null if none exists
      */
-    getChallenge(userId) {
-        return this.pendingChallenges.get(userId) || null;
+    getChallenge(challengeId) {
+        return this.pendingChallenges.get(challengeId) || null;
+    }
+
+    /**
+     * Find the pending challenge between two players, whoever made it
+     * @param {string} player1 - User ID
+     * @param {string} player2 - User ID
+     * @returns {Challenge|null}
+     */
+    findChallenge(player1, player2) {
+        for (const challenge of this.pendingChallenges.values()) {
+            const players = [challenge.challengerId, challenge.challengedUserId];
+            if (players.includes(player1) && players.includes(player2)) {
+                return challenge;
+            }
+        }
+        return null;
     }
 
     /**
      * Remove a challenge
-     * @param {string} userId - ID of the user whose challenge to remove
+     * @param {string} challengeId - Challenge ID
      * @returns {boolean} True if a challenge was removed, false otherwise
      */
-    removeChallenge(userId) {
-        const challenge = this.pendingChallenges.get(userId);
-        if (challenge) {
-            this.pendingChallenges.delete(userId);
-            logger.info(`[ChallengeManager] Challenge removed for user: ${userId}`);
+    removeChallenge(challengeId) {
+        clearTimeout(this.timers.get(challengeId));
+        this.timers.delete(challengeId);
+        if (this.pendingChallenges.delete(challengeId)) {
+            logger.info(`[ChallengeManager] Challenge ${challengeId} removed`);
             return true;
         }
         return false;
@@ -61,29 +112,37 @@ class ChallengeManager {
 
     /**
      * Get all pending challenges
-     * @returns {Array<Object>} Array of all pending challenges
+     * @returns {Array<Challenge>} Array of all pending challenges
      */
     getAllChallenges() {
         return Array.from(this.pendingChallenges.values());
     }
 
     /**
-     * Clean up expired challenges
+     * Get when a challenge expires
+     * @param {Challenge} challenge
+     * @returns {number} Time in ms
+     */
+    getExpiresAt(challenge) {
+        return challenge.timestamp + this.challengeTimeout;
+    }
+
+    /**
+     * Drop a challenge that timed out and pass it to the expiry handler
+     * @param {string} challengeId - Challenge ID
      * @private
      */
-    cleanupExpiredChallenges() {
-        const now = Date.now();
-        let expiredCount = 0;
-
-        for (const [userId, challenge] of this.pendingChallenges.entries()) {
-            if (now - challenge.timestamp > this.challengeTimeout) {
-                this.pendingChallenges.delete(userId);
-                expiredCount++;
-            }
-        }
+    async expireChallenge(challengeId) {
+        const challenge = this.getChallenge(challengeId);
+        if (!challenge) return;
+        this.removeChallenge(challengeId);
+        logger.info(`[ChallengeManager] Challenge ${challengeId} expired`);
 
-        if (expiredCount > 0) {
-            logger.info(`[ChallengeManager] Cleaned up ${expiredCount} expired challenges`);
+        if (!this.onExpire) return;
+        try {
+            await this.onExpire(challenge);
+        } catch (error) {
+            logger.error(`[ChallengeManager] Error handling expired challenge ${challengeId}: ${error.message}`);
         }
     }
 
@@ -91,7 +150,10 @@ class ChallengeManager {
      * Clean up resources
      */
     destroy() {
-        clearInterval(this.cleanupInterval);
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
     }
 }
 
@@ -0,0 +1,251 @@
+const logger = require('../logger');
+
+/**
+ * Time control presets offered on /chess challenge.
+ * Correspondence games use a fixed number of days per move instead of a running clock.
+ */
+const TIME_CONTROLS = {
+    bullet: { type: 'bullet', baseMs: 60 * 1000, incrementMs: 0 },
+    blitz: { type: 'blitz', baseMs: 3 * 60 * 1000, incrementMs: 2 * 1000 },
+    rapid: { type: 'rapid', baseMs: 10 * 60 * 1000, incrementMs: 5 * 1000 },
+    correspondence: { type: 'correspondence', daysPerMove: 3 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout overflows past ~24.8 days
+
+/**
+ * Builds a time control from the /chess challenge options
+ * @param {string|null} preset - One of TIME_CONTROLS, 'custom', or null/'none' for an untimed game
+ * @param {Object} [custom] - Custom settings
+ * @param {number} [custom.baseMinutes] - Base time in minutes (custom games)
+ * @param {number} [custom.incrementSeconds] - Increment per move in seconds (custom games)
+ * @param {number} [custom.daysPerMove] - Days per move (correspondence games)
+ * @returns {Object|null} The time control, or null for an untimed game
+ */
+function parseTimeControl(preset, custom = {}) {
+    if (!preset || preset === 'none') return null;
+
+    if (preset === 'custom') {
+        const baseMinutes = custom.baseMinutes ?? 5;
+        const incrementSeconds = custom.incrementSeconds ?? 0;
+        if (baseMinutes <= 0 || incrementSeconds < 0) {
+            throw new Error('Custom time controls need a positive base time and a non-negative increment.');
+        }
+        return { type: 'custom', baseMs: baseMinutes * 60 * 1000, incrementMs: incrementSeconds * 1000 };
+    }
+
+    const timeControl = TIME_CONTROLS[preset];
+    if (!timeControl) {
+        throw new Error(`Unknown time control: ${preset}`);
+    }
+
+    if (timeControl.type === 'correspondence' && custom.daysPerMove) {
+        return { ...timeControl, daysPerMove: custom.daysPerMove };
+    }
+    return { ...timeControl };
+}
+
+/**
+ * Gets the time a player has for a move after their clock is reset or started
+ * @param {Object} timeControl - The game's time control
+ * @returns {number} Milliseconds
+ */
+function getStartingTime(timeControl) {
+    return timeControl.type === 'correspondence'
+        ? timeControl.daysPerMove * DAY_MS
+        : timeControl.baseMs;
+}
+
+/**
+ * Creates the initial clock state for a new game
+ * @param {Object|null} timeControl - The game's time control
+ * @param {Date} [now] - Current time
+ * @returns {Object} Fields to merge into the game state (empty for untimed games)
+ */
+function createClocks(timeControl, now = new Date()) {
+    if (!timeControl) return {};
+    const start = getStartingTime(timeControl);
+    return {
+        timeControl,
+        clocks: { w: start, b: start },
+        turnStartedAt: now.toISOString()
+    };
+}
+
+/**
+ * Gets a player's remaining time, counting the time spent on the current move if it is their turn
+ * @param {Object} gameData - Game state with clocks
+ * @param {'w'|'b'} color - Player colour
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Remaining milliseconds, or null for untimed games
+ */
+function getRemainingTime(gameData, color, now = Date.now()) {
+    if (!gameData?.timeControl || !gameData.clocks) return null;
+    const stored = gameData.clocks[color];
+    const turn = gameData.gameInstance ? gameData.gameInstance.turn() : gameData.fen?.split(' ')[1];
+    if (turn !== color || !gameData.turnStartedAt) return stored;
+    return stored - (now - new Date(gameData.turnStartedAt).getTime());
+}
+
+/**
+ * Computes the clock updates after a player completes a move
+ * @param {Object} gameData - Game state with clocks
+ * @param {'w'|'b'} moverColor - Colour of the player who just moved
+ * @param {Date} [now] - Current time
+ * @returns {Object} Fields to merge into the game state (empty for untimed games)
+ */
+function applyMoveToClocks(gameData, moverColor, now = new Date()) {
+    if (!gameData?.timeControl || !gameData.clocks) return {};
+    const { timeControl } = gameData;
+    const remaining = getRemainingTime(gameData, moverColor, now.getTime());
+
+    // Correspondence clocks reset every move, otherwise deduct the time used and add the increment
+    const updated = timeControl.type === 'correspondence'
+        ? getStartingTime(timeControl)
+        : remaining + (timeControl.incrementMs || 0);
+
+    return {
+        clocks: { ...gameData.clocks, [moverColor]: updated },
+        turnStartedAt: now.toISOString()
+    };
+}
+
+/**
+ * Formats a clock value for display
+ * @param {number} ms - Remaining milliseconds
+ * @returns {string} e.g. "4:05", "0:09.3" or "2d 3h"
+ */
+function formatClock(ms) {
+    const clamped = Math.max(0, ms);
+    if (clamped >= DAY_MS) {
+        const days = Math.floor(clamped / DAY_MS);
+        const hours = Math.floor((clamped % DAY_MS) / (60 * 60 * 1000));
+        return `${days}d ${hours}h`;
+    }
+    const totalSeconds = Math.floor(clamped / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+    if (clamped < 10 * 1000) {
+        // Floor to tenths, so 9.99s shows as 0:09.9 rather than rounding up to 10
+        return `0:${(Math.floor(clamped / 100) / 10).toFixed(1).padStart(4, '0')}`;
+    }
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Describes a time control for display
+ * @param {Object|null} timeControl - The game's time control
+ * @returns {string} e.g. "Blitz 3+2" or "Correspondence (3 days/move)"
+ */
+function describeTimeControl(timeControl) {
+    if (!timeControl) return 'Untimed';
+    if (timeControl.type === 'correspondence') {
+        return `Correspondence (${timeControl.daysPerMove} day${timeControl.daysPerMove === 1 ? '' : 's'}/move)`;
+    }
+    const name = timeControl.type[0].toUpperCase() + timeControl.type.slice(1);
+    return `${name} ${timeControl.baseMs / 60000}+${timeControl.incrementMs / 1000}`;
+}
+
+/**
+ * Schedules flag-fall checks for timed games
+ */
+class ClockManager {
+    constructor() {
+        /** @type {Map<string, NodeJS.Timeout>} */
+        this.timers = new Map();
+        /** @type {?function(string): Promise<void>} */
+        this.onFlagFall = null;
+    }
+
+    /**
+     * Set the callback invoked with a game ID when the side to move runs out of time
+     * @param {function(string): Promise<void>} callback
+     */
+    setFlagFallHandler(callback) {
+        this.onFlagFall = callback;
+    }
+
+    /**
+     * Schedule (or reschedule) the flag-fall check for a game
+     * @param {Object} gameData - Game state with clocks
+     */
+    schedule(gameData) {
+        if (!gameData?.gameId) return;
+        this.cancel(gameData.gameId);
+        if (!gameData.timeControl || !gameData.clocks || gameData.result && gameData.result !== '*') return;
+
+        const turn = gameData.gameInstance ? gameData.gameInstance.turn() : gameData.fen?.split(' ')[1];
+        const remaining = getRemainingTime(gameData, turn);
+        const delay = Math.min(Math.max(remaining, 0), MAX_TIMER_MS);
+        const gameId = gameData.gameId;
+
+        const timer = setTimeout(async () => {
+            this.timers.delete(gameId);
+            if (!this.onFlagFall) return;
+            try {
+                await this.onFlagFall(gameId);
+            } catch (error) {
+                logger.error(`[ClockManager] Error handling flag fall for game ${gameId}: ${error.message}`);
+            }
+        }, delay);
+        this.timers.set(gameId, timer);
+
+        logger.debug(`[ClockManager] Scheduled flag check for game ${gameId} in ${delay}ms`);
+    }
+
+    /**
+     * Cancel the flag-fall check for a game
+     * @param {string} gameId - The game ID
+     */
+    cancel(gameId) {
+        const timer = this.timers.get(gameId);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(gameId);
+        }
+    }
+
+    /**
+     * Reschedule all timed games, e.g. after a restart. Games whose flag fell while
+     * the bot was offline are handled immediately.
+     * @param {Array<Object>} games - One game state per game
+     */
+    restore(games) {
+        let count = 0;
+        for (const gameData of games) {
+            if (gameData.timeControl) {
+                this.schedule(gameData);
+                count++;
+            }
+        }
+        logger.info(`[ClockManager] Restored clocks for ${count} timed games`);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+}
+
+// Export singleton instance and helpers
+const clockManager = new ClockManager();
+module.exports = {
+    instance: clockManager,
+    TIME_CONTROLS,
+    parseTimeControl,
+    createClocks,
+    getRemainingTime,
+    applyMoveToClocks,
+    formatClock,
+    describeTimeControl
+};
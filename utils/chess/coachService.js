@@ -0,0 +1,173 @@
+/**
+ * Coaching for games against RolyBot.
+ * Hints show the engine's best few moves with a short explanation of each, and
+ * coach mode reviews a player's move before it is played, warning them when it
+ * throws away more than COACH_WARNING_CP centipawns so they can reconsider.
+ * Explanations are built from what the move does on the board (captures, checks,
+ * threats, development), so they don't need the LLM.
+ */
+
+const logger = require('../logger');
+const { instance: aiMoveService, HINT_DEPTH } = require('./aiMoveService');
+const { formatEval, uciToSan } = require('./analysisService');
+const { createChess } = require('./variants');
+
+const HINTS_PER_GAME = 3;       // Hints a player can ask for in one game, at most one per move
+const HINT_CANDIDATES = 3;      // Candidate moves shown in a hint
+const COACH_WARNING_CP = 150;   // Coach mode warns about moves that lose more than this many centipawns
+const EVAL_CAP = 1000;          // Evaluations are capped so a missed mate doesn't count as a huge drop
+
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+const CENTRE_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+
+/**
+ * Plays a UCI move on a chess.js instance
+ * @param {Chess} chess - Game instance
+ * @param {string} uci - Move in UCI notation
+ * @returns {?Object} The verbose move, or null if it can't be played
+ */
+function playUci(chess, uci) {
+    try {
+        return chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Finds the most valuable piece a move newly attacks with the piece that moved
+ * @param {Chess} chess - Position after the move
+ * @param {Object} move - The verbose move
+ * @returns {?string} Piece type, if the moved piece attacks something worth mentioning
+ */
+function findThreat(chess, move) {
+    const opponent = move.color === 'w' ? 'b' : 'w';
+    let threat = null;
+    for (const square of chess.board().flat()) {
+        if (!square || square.color !== opponent || square.type === 'k') continue;
+        if (!chess.attackers(square.square, move.color).includes(move.to)) continue;
+
+        // Only mention pieces worth more than the attacker, or ones left undefended
+        const worthIt = PIECE_VALUES[square.type] > PIECE_VALUES[move.piece] || !chess.isAttacked(square.square, opponent);
+        if (worthIt && (!threat || PIECE_VALUES[square.type] > PIECE_VALUES[threat])) {
+            threat = square.type;
+        }
+    }
+    return threat;
+}
+
+/**
+ * Explains a candidate move in a few words
+ * @param {string} fen - Position before the move
+ * @param {{move: string, mate: ?number, pv: Array<string>}} candidate - Engine candidate (see AIMoveService.getCandidateMoves)
+ * @param {string} [variant='standard'] - Game variant
+ * @returns {?{san: string, explanation: string}} The move in SAN and why it is good
+ */
+function explainMove(fen, candidate, variant = 'standard') {
+    const chess = createChess(fen, variant);
+    const move = playUci(chess, candidate.move);
+    if (!move) return null;
+    if (chess.isCheckmate()) {
+        return { san: move.san, explanation: 'Checkmate!' };
+    }
+
+    const reasons = [];
+    const moverSign = move.color === 'w' ? 1 : -1;
+    if (candidate.mate && Math.sign(candidate.mate) === moverSign) {
+        reasons.push(`forces mate in ${Math.abs(candidate.mate)}`);
+    }
+    if (move.promotion) {
+        reasons.push(`promotes to a ${PIECE_NAMES[move.promotion]}`);
+    }
+    if (move.flags.includes('k') || move.flags.includes('q')) {
+        reasons.push('tucks the king away safely');
+    } else if (move.captured) {
+        reasons.push(`captures the ${PIECE_NAMES[move.captured]}`);
+    }
+    if (chess.inCheck()) {
+        reasons.push('gives check');
+    }
+    const threat = findThreat(chess, move);
+    if (threat) {
+        reasons.push(`attacks the ${PIECE_NAMES[threat]}`);
+    }
+    if (reasons.length === 0 && (move.piece === 'n' || move.piece === 'b') && move.from[1] === (move.color === 'w' ? '1' : '8')) {
+        reasons.push(`develops the ${PIECE_NAMES[move.piece]}`);
+    }
+    if (reasons.length === 0 && move.piece === 'p' && CENTRE_SQUARES.includes(move.to)) {
+        reasons.push('claims the centre');
+    }
+    if (reasons.length === 0 && candidate.pv.length >= 3 && playUci(chess, candidate.pv[1])) {
+        const followUp = playUci(chess, candidate.pv[2]);
+        if (followUp) {
+            reasons.push(`prepares ${followUp.san}`);
+        }
+    }
+    if (reasons.length === 0) {
+        reasons.push('improves the position');
+    }
+
+    const explanation = reasons.slice(0, 2).join(' and ');
+    return { san: move.san, explanation: explanation.charAt(0).toUpperCase() + explanation.slice(1) };
+}
+
+class CoachService {
+    /**
+     * Gets the engine's best moves for the side to move, with explanations
+     * @param {string} fen - Current position
+     * @param {string} [variant='standard'] - Game variant
+     * @returns {Promise<Array<{san: string, evaluation: string, explanation: string}>>} Best first
+     */
+    async getHints(fen, variant = 'standard') {
+        const candidates = await aiMoveService.getCandidateMoves(fen, { count: HINT_CANDIDATES, variant });
+        return candidates
+            .map(candidate => {
+                const explained = explainMove(fen, candidate, variant);
+                return explained && { ...explained, evaluation: formatEval(candidate.score, candidate.mate) };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Reviews a move before it is played, for coach mode
+     * @param {string} fen - Position before the move
+     * @param {string} move - The move the player wants to play
+     * @param {string} [variant='standard'] - Game variant
+     * @param {?string} [allowed] - Move (SAN) the player was already warned about and confirmed
+     * @returns {Promise<?{san: string, drop: number, replySan: ?string}>}
+     *          A warning if the move loses more than COACH_WARNING_CP centipawns, otherwise null
+     */
+    async reviewMove(fen, move, variant = 'standard', allowed = null) {
+        const chess = createChess(fen, variant);
+        let played;
+        try {
+            played = chess.move(move);
+        } catch (error) {
+            return null; // Illegal moves are reported when the move is actually played
+        }
+        if (chess.isCheckmate() || played.san === allowed) return null;
+
+        const fenAfter = chess.fen();
+        const [before, after] = await aiMoveService.evaluatePositions([fen, fenAfter], { depth: HINT_DEPTH, variant });
+        const cap = score => Math.max(-EVAL_CAP, Math.min(EVAL_CAP, score));
+        const drop = (played.color === 'w' ? 1 : -1) * (cap(before.score) - cap(after.score));
+        if (drop <= COACH_WARNING_CP) return null;
+
+        logger.info(`[CoachService] ${played.san} in ${fen} drops ${drop} centipawns`);
+        return {
+            san: played.san,
+            drop,
+            replySan: uciToSan(fenAfter, after.bestMove, variant)
+        };
+    }
+}
+
+// Export singleton instance and constants
+const coachService = new CoachService();
+module.exports = {
+    instance: coachService,
+    explainMove,
+    HINTS_PER_GAME,
+    COACH_WARNING_CP
+};
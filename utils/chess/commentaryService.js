@@ -0,0 +1,259 @@
+/**
+ * Live commentary: RolyBot chimes in, in character, after the moments of a game worth
+ * talking about: big swings in the engine's evaluation, captures of a queen or rook,
+ * checks and the move into an endgame. Lines are written by the persona model
+ * (responseConfig.models.primary), so they sound like RolyBot in chat.
+ *
+ * Players pick off, quiet or chatty in /chess settings (see PlayerSettings). Quiet only
+ * mentions the biggest moments and leaves a long gap between comments; chatty also
+ * picks up checks and smaller swings. Games between people use the quieter of the two
+ * players' choices, so nobody gets commentary they didn't ask for. Swings are only
+ * noticed in games whose players see evaluations (see GameManager.showsEvaluations),
+ * so the commentary doesn't give away what the engine thinks.
+ */
+
+const logger = require('../logger');
+const { openai } = require('../openaiHelper');
+const config = require('../../config/responseConfig');
+const { instance: aiMoveService } = require('./aiMoveService');
+const { instance: playerSettings, COMMENTARY } = require('./playerSettings');
+const { formatEval } = require('./analysisService');
+
+const COMMENTARY_EVAL_DEPTH = 10;   // Search depth for the evaluations that swings are measured with
+const COMMENTARY_MAX_TOKENS = 80;   // Comments are a line or two
+const EVAL_CAP = 1000;              // Evaluations are capped so a mate score doesn't count as a huge swing
+const ENDGAME_MATERIAL = 20;        // Positions with at most this much non-pawn material on the board are endgames
+
+/**
+ * What each level comments on, and how often
+ * @type {Object<string, {swingCp: number, captures: Array<string>, checks: boolean, cooldownMs: number, minPlies: number}>}
+ */
+const LEVEL_RULES = {
+    quiet: { swingCp: 300, captures: ['q'], checks: false, cooldownMs: 5 * 60 * 1000, minPlies: 8 },
+    chatty: { swingCp: 150, captures: ['q', 'r'], checks: true, cooldownMs: 60 * 1000, minPlies: 2 }
+};
+
+// Most important first: when several moments come at once, RolyBot talks about the first
+const MOMENT_PRIORITY = ['swing', 'capture', 'endgame', 'check'];
+
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+const COLOR_NAMES = { w: 'White', b: 'Black' };
+
+/**
+ * Adds up the knights, bishops, rooks and queens on the board, for both sides
+ * @param {string} fen - Position
+ * @returns {number} Material in pawns
+ */
+function countPieceMaterial(fen) {
+    const placement = fen.split(' ')[0].toLowerCase();
+    let total = 0;
+    for (const piece of placement) {
+        if (piece !== 'p') total += PIECE_VALUES[piece] || 0;
+    }
+    return total;
+}
+
+/**
+ * Caps an evaluation, from White's point of view
+ * @param {{score: number}} evaluation - Engine evaluation (see AIMoveService.evaluatePositions)
+ * @returns {number} Centipawns
+ */
+function capScore(evaluation) {
+    return Math.max(-EVAL_CAP, Math.min(EVAL_CAP, evaluation.score));
+}
+
+/**
+ * Finds what's worth talking about in a move
+ * @param {Object} move - The verbose move, with the positions before and after it (chess.js history)
+ * @param {Object} rules - What the level comments on (see LEVEL_RULES)
+ * @param {?{score: number, mate: ?number}} before - Evaluation before the move, if known
+ * @param {?{score: number, mate: ?number}} after - Evaluation after the move, if known
+ * @returns {Array<{type: string, description: string}>} The move's moments, most important first
+ */
+function detectMoments(move, rules, before, after) {
+    const moments = [];
+    const mover = COLOR_NAMES[move.color];
+    const opponent = COLOR_NAMES[move.color === 'w' ? 'b' : 'w'];
+
+    if (before && after) {
+        const swing = capScore(after) - capScore(before);
+        if (Math.abs(swing) >= rules.swingCp) {
+            const favoured = swing > 0 ? 'White' : 'Black';
+            moments.push({
+                type: 'swing',
+                description: `${move.san} swung the evaluation from ${formatEval(before.score, before.mate)} to ${formatEval(after.score, after.mate)} (White's point of view), in ${favoured}'s favour`
+            });
+        }
+    }
+    if (move.captured && rules.captures.includes(move.captured)) {
+        moments.push({ type: 'capture', description: `${mover} took ${opponent}'s ${PIECE_NAMES[move.captured]} with ${move.san}` });
+    }
+
+    // Material before the move: put back what was captured and take away what was promoted to
+    const materialAfter = countPieceMaterial(move.after);
+    const materialBefore = materialAfter
+        + (move.captured && move.captured !== 'p' ? PIECE_VALUES[move.captured] : 0)
+        - (move.promotion ? PIECE_VALUES[move.promotion] : 0);
+    if (materialAfter <= ENDGAME_MATERIAL && materialBefore > ENDGAME_MATERIAL) {
+        moments.push({ type: 'endgame', description: `${move.san} took the game into an endgame` });
+    }
+    if (rules.checks && move.san.includes('+')) {
+        moments.push({ type: 'check', description: `${mover} gave check with ${move.san}` });
+    }
+
+    return moments.sort((a, b) => MOMENT_PRIORITY.indexOf(a.type) - MOMENT_PRIORITY.indexOf(b.type));
+}
+
+class CommentaryService {
+    constructor() {
+        this.aiMoveService = aiMoveService;
+        this.playerSettings = playerSettings;
+        /** @type {Map<string, {fen: string, evaluation: Object}>} Last position evaluated in each game, by game ID */
+        this.lastEvaluations = new Map();
+        /** @type {Map<string, {at: number, ply: number}>} When RolyBot last commented in each game, by game ID */
+        this.lastComments = new Map();
+    }
+
+    /**
+     * Gets how much commentary a game gets
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {?string} botId - RolyBot's user ID, whose own settings don't count
+     * @returns {'off'|'quiet'|'chatty'} The quietest level among the game's human players
+     */
+    getLevel(gameData, botId) {
+        const levels = [gameData.whiteId, gameData.blackId]
+            .filter(id => id !== botId)
+            .map(id => COMMENTARY.indexOf(this.playerSettings.get(id).commentary));
+        return COMMENTARY[Math.max(0, Math.min(...levels))];
+    }
+
+    /**
+     * Checks whether RolyBot has commented in a game too recently to say anything else
+     * @param {string} gameId - Game ID
+     * @param {Object} rules - The game's level rules (see LEVEL_RULES)
+     * @param {number} ply - Number of moves played so far
+     * @param {number} [now] - Current time in ms
+     * @returns {boolean}
+     */
+    isRateLimited(gameId, rules, ply, now = Date.now()) {
+        const last = this.lastComments.get(gameId);
+        if (!last) return false;
+        return now - last.at < rules.cooldownMs || ply - last.ply < rules.minPlies;
+    }
+
+    /**
+     * Looks at the moves just played in a game and writes a comment on them, if anything
+     * worth talking about happened and the game's commentary level and rate limit allow it
+     * @param {Object} gameData - Game state (see GameStateManager), after the moves
+     * @param {number} plies - How many of the game's latest moves to look at
+     * @param {Object} [options]
+     * @param {?string} [options.botId] - RolyBot's user ID
+     * @param {function(string): Promise<string>} [options.resolveName] - Gets a player's display name
+     * @param {boolean} [options.useEngine=true] - Whether the engine's evaluation can be used and mentioned
+     * @returns {Promise<?string>} The comment, or null if RolyBot has nothing to say
+     */
+    async commentOnMoves(gameData, plies, { botId = null, resolveName = async id => id, useEngine = true } = {}) {
+        const level = this.getLevel(gameData, botId);
+        if (level === 'off') {
+            this.lastEvaluations.delete(gameData.gameId);
+            return null;
+        }
+        const rules = LEVEL_RULES[level];
+        const history = gameData.gameInstance.history({ verbose: true });
+        const moves = history.slice(-plies);
+        if (moves.length === 0) return null;
+
+        // Evaluate after each move, and before the first unless it's the position we evaluated last
+        // (it isn't after a takeback)
+        let before = null;
+        let evaluations = [];
+        if (useEngine) {
+            const last = this.lastEvaluations.get(gameData.gameId);
+            before = last?.fen === moves[0].before ? last.evaluation : null;
+            const fens = moves.map(move => move.after);
+            evaluations = await this.aiMoveService.evaluatePositions(before ? fens : [moves[0].before, ...fens], {
+                depth: COMMENTARY_EVAL_DEPTH,
+                variant: gameData.variant
+            });
+            if (!before) before = evaluations.shift();
+        }
+
+        const moments = [];
+        moves.forEach((move, i) => {
+            moments.push(...detectMoments(move, rules, before, evaluations[i] || null));
+            before = evaluations[i] || null;
+        });
+        if (before) {
+            this.lastEvaluations.set(gameData.gameId, { fen: moves[moves.length - 1].after, evaluation: before });
+        }
+
+        if (moments.length === 0 || this.isRateLimited(gameData.gameId, rules, history.length)) {
+            return null;
+        }
+        moments.sort((a, b) => MOMENT_PRIORITY.indexOf(a.type) - MOMENT_PRIORITY.indexOf(b.type));
+        // Claim the slot before waiting on the model, so moves played meanwhile don't comment too
+        this.lastComments.set(gameData.gameId, { at: Date.now(), ply: history.length });
+
+        const [white, black] = await Promise.all([
+            gameData.whiteId === botId ? 'RolyBot (you)' : resolveName(gameData.whiteId),
+            gameData.blackId === botId ? 'RolyBot (you)' : resolveName(gameData.blackId)
+        ]);
+        const comment = await this.generateComment(gameData, moments[0], { white, black, evaluation: before });
+        logger.info(`[CommentaryService] Commented on ${moments[0].type} in game ${gameData.gameId}`);
+        return comment;
+    }
+
+    /**
+     * Has the persona model write a line about a moment, in RolyBot's voice
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {{type: string, description: string}} moment - What happened (see detectMoments)
+     * @param {Object} context
+     * @param {string} context.white - White's name
+     * @param {string} context.black - Black's name
+     * @param {?{score: number, mate: ?number}} context.evaluation - Evaluation of the current position, if it can be mentioned
+     * @returns {Promise<?string>} The comment, or null if the model gave nothing usable
+     */
+    async generateComment(gameData, moment, { white, black, evaluation }) {
+        const recentMoves = gameData.gameInstance.history().slice(-6).join(' ');
+        const prompt = [
+            `White: ${white}. Black: ${black}.`,
+            `Recent moves: ${recentMoves}`,
+            `What just happened: ${moment.description}.`,
+            evaluation && `Engine evaluation now: ${formatEval(evaluation.score, evaluation.mate)} (White's point of view).`,
+            `${COLOR_NAMES[gameData.gameInstance.turn()]} to move.`
+        ].filter(Boolean).join('\n');
+
+        const response = await openai.chat.completions.create({
+            model: config.models.primary,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You are RolyBot, watching a chess game in its Discord thread and reacting live. '
+                        + 'Reply with one short line in your usual voice about what just happened. '
+                        + 'Don\'t suggest moves, don\'t use mentions, and stick to the facts given.'
+                },
+                { role: 'user', content: prompt }
+            ],
+            temperature: config.generation.temperature,
+            max_tokens: COMMENTARY_MAX_TOKENS
+        });
+        return response.choices[0]?.message?.content?.trim() || null;
+    }
+
+    /**
+     * Drops what the service remembers about a game, once it's over
+     * @param {string} gameId - Game ID
+     */
+    forgetGame(gameId) {
+        this.lastEvaluations.delete(gameId);
+        this.lastComments.delete(gameId);
+    }
+}
+
+// Export singleton instance and helpers
+const commentaryService = new CommentaryService();
+module.exports = {
+    instance: commentaryService,
+    detectMoments
+};
@@ -0,0 +1,366 @@
+/**
+ * Pool of long-lived Stockfish processes shared by every game.
+ * Engines are started on demand up to the pool size and then kept running.
+ * Requests beyond the pool size wait in a FIFO queue. Before each request the
+ * engine is reset (ucinewgame and skill level) so no state leaks between games.
+ * Idle engines are health-checked periodically and engines that crash or stop
+ * responding are replaced automatically.
+ */
+
+const { Engine } = require('node-uci');
+const logger = require('../logger');
+
+const DEFAULT_POOL_SIZE = 2;          // Maximum number of engine processes (the concurrency cap)
+const MAX_QUEUE_LENGTH = 50;          // Requests beyond this are rejected rather than queued
+const REQUEST_TIMEOUT_MS = 30 * 1000; // An engine that takes longer than this is considered hung
+const READY_TIMEOUT_MS = 10 * 1000;   // Time allowed for init and isready
+const HEALTH_CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_SKILL_LEVEL = 20;           // Full strength, used when a request doesn't set a skill level
+
+/**
+ * Rejects if a promise doesn't settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} what - Description used in the error message
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @typedef {Object} EngineSlot
+ * @property {number} id - Slot number, for logs and stats
+ * @property {?Engine} engine - The node-uci engine, null while (re)starting
+ * @property {'starting'|'idle'|'busy'|'dead'} state
+ * @property {number} jobs - Requests served by this slot
+ * @property {number} restarts - Times this slot's engine was replaced
+ * @property {?number} startedAt - When the current process was started
+ */
+
+class EnginePool {
+    /**
+     * @param {Function} getEnginePath - Returns the Stockfish binary path
+     * @param {Object} [options]
+     * @param {number} [options.size] - Maximum number of engine processes
+     * @param {number} [options.maxQueue] - Maximum number of waiting requests
+     * @param {number} [options.requestTimeoutMs] - Time limit for a single request
+     * @param {number} [options.healthCheckIntervalMs] - How often idle engines are checked
+     */
+    constructor(getEnginePath, options = {}) {
+        this.getEnginePath = getEnginePath;
+        this.size = Math.max(1, options.size || Number(process.env.STOCKFISH_POOL_SIZE) || DEFAULT_POOL_SIZE);
+        this.maxQueue = options.maxQueue ?? MAX_QUEUE_LENGTH;
+        this.requestTimeoutMs = options.requestTimeoutMs || REQUEST_TIMEOUT_MS;
+        this.healthCheckIntervalMs = options.healthCheckIntervalMs || HEALTH_CHECK_INTERVAL_MS;
+
+        /** @type {Array<EngineSlot>} */
+        this.slots = [];
+        /** @type {Array<{resolve: Function, reject: Function, queuedAt: number}>} */
+        this.queue = [];
+        this.healthTimer = null;
+        this.shuttingDown = false;
+        this.stats = { completed: 0, failed: 0, rejected: 0, restarts: 0, totalWaitMs: 0, totalRunMs: 0 };
+    }
+
+    /**
+     * Starts (or restarts) the engine process for a slot
+     * @param {EngineSlot} slot
+     * @param {'idle'|'busy'} [readyState='idle'] - State once started, 'busy' when a request is waiting for it
+     */
+    async _startEngine(slot, readyState = 'idle') {
+        slot.state = 'starting';
+        const engine = new Engine(this.getEnginePath());
+        try {
+            await withTimeout(engine.init().then(() => engine.isready()), READY_TIMEOUT_MS, 'Engine startup');
+        } catch (error) {
+            this._killEngine(engine);
+            slot.state = 'dead';
+            throw error;
+        }
+
+        // Notice crashes between requests so the next request gets a fresh engine
+        engine.proc.once('exit', (code, signal) => {
+            if (slot.engine !== engine) return;
+            logger.warn(`[EnginePool] Engine ${slot.id} exited (code ${code}, signal ${signal})`);
+            slot.engine = null;
+            slot.state = 'dead';
+        });
+
+        slot.engine = engine;
+        slot.startedAt = Date.now();
+        slot.state = readyState;
+        logger.info(`[EnginePool] Engine ${slot.id} started`);
+    }
+
+    /**
+     * Stops an engine process without waiting for it to answer
+     * @param {?Engine} engine
+     */
+    _killEngine(engine) {
+        try {
+            if (engine?.proc) {
+                engine.proc.removeAllListeners('exit');
+                engine.proc.kill();
+            }
+        } catch (error) {
+            logger.warn(`[EnginePool] Error stopping engine: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replaces a slot's engine with a fresh process
+     * @param {EngineSlot} slot
+     * @param {string} reason - Logged reason for the restart
+     */
+    async _restart(slot, reason) {
+        logger.warn(`[EnginePool] Restarting engine ${slot.id}: ${reason}`);
+        const old = slot.engine;
+        slot.engine = null;
+        this._killEngine(old);
+        slot.restarts++;
+        this.stats.restarts++;
+        await this._startEngine(slot);
+    }
+
+    /**
+     * Gets a slot for a request, starting an engine or waiting in the queue if needed
+     * @returns {Promise<EngineSlot>} A slot marked busy
+     */
+    async _acquire() {
+        if (this.shuttingDown) {
+            throw new Error('Engine pool is shutting down');
+        }
+        this._ensureHealthChecks();
+
+        const idle = this.slots.find(slot => slot.state === 'idle');
+        if (idle) {
+            idle.state = 'busy';
+            return idle;
+        }
+
+        // Dead slots are restarted before new ones are added
+        let slot = this.slots.find(s => s.state === 'dead');
+        if (!slot && this.slots.length < this.size) {
+            slot = { id: this.slots.length + 1, engine: null, state: 'starting', jobs: 0, restarts: 0, startedAt: null };
+            this.slots.push(slot);
+        }
+        if (slot) {
+            const wasDead = slot.state === 'dead';
+            slot.state = 'starting';
+            if (wasDead) {
+                slot.restarts++;
+                this.stats.restarts++;
+            }
+            try {
+                await this._startEngine(slot, 'busy');
+            } catch (error) {
+                // Let a queued request retry the slot later
+                this._dispatch();
+                throw error;
+            }
+            return slot;
+        }
+
+        if (this.queue.length >= this.maxQueue) {
+            this.stats.rejected++;
+            throw new Error('All chess engines are busy, please try again in a moment');
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ resolve, reject, queuedAt: Date.now() });
+        });
+    }
+
+    /**
+     * Returns a slot to the pool and hands it to the next queued request
+     * @param {EngineSlot} slot
+     */
+    _release(slot) {
+        if (slot.state === 'busy') {
+            slot.state = 'idle';
+        }
+        this._dispatch();
+    }
+
+    /**
+     * Hands free slots to queued requests
+     */
+    _dispatch() {
+        while (this.queue.length > 0) {
+            const slot = this.slots.find(s => s.state === 'idle') || this.slots.find(s => s.state === 'dead');
+            if (!slot) return;
+
+            const waiter = this.queue.shift();
+            this.stats.totalWaitMs += Date.now() - waiter.queuedAt;
+            if (slot.state === 'idle') {
+                slot.state = 'busy';
+                waiter.resolve(slot);
+                continue;
+            }
+
+            // Restart a dead slot for the waiting request
+            slot.state = 'starting';
+            slot.restarts++;
+            this.stats.restarts++;
+            this._startEngine(slot, 'busy')
+                .then(() => waiter.resolve(slot))
+                .catch(error => {
+                    waiter.reject(error);
+                    this._dispatch();
+                });
+        }
+    }
+
+    /**
+     * Runs a request on a pooled engine. The engine is reset with ucinewgame, the
+     * requested skill level or Elo, Chess960 mode and number of lines first. Engines that fail or time out are restarted.
+     * @param {Function} task - async (engine) => result, given a ready node-uci Engine
+     * @param {Object} [options]
+     * @param {number} [options.skill=MAX_SKILL_LEVEL] - Stockfish Skill Level for this request
+     * @param {boolean} [options.chess960=false] - Whether the position is from a Chess960 game
+     * @param {number} [options.multiPv=1] - Number of best lines the engine reports (MultiPV)
+     * @param {?number} [options.elo=null] - Limit the engine to this Elo (UCI_Elo), or null for no limit
+     * @param {number} [options.timeoutMs] - Time limit for the request
+     * @returns {Promise<*>} Whatever the task returns
+     */
+    async run(task, { skill = MAX_SKILL_LEVEL, chess960 = false, multiPv = 1, elo = null, timeoutMs = this.requestTimeoutMs } = {}) {
+        const slot = await this._acquire();
+        const startedAt = Date.now();
+
+        try {
+            const { engine } = slot;
+            const result = await withTimeout((async () => {
+                await engine.ucinewgame();
+                await engine.setoption('Skill Level', skill);
+                await engine.setoption('UCI_Chess960', chess960 ? 'true' : 'false');
+                await engine.setoption('MultiPV', multiPv);
+                await engine.setoption('UCI_LimitStrength', elo ? 'true' : 'false');
+                if (elo) {
+                    await engine.setoption('UCI_Elo', elo);
+                }
+                await engine.isready();
+                return task(engine);
+            })(), timeoutMs, `Engine ${slot.id} request`);
+
+            slot.jobs++;
+            this.stats.completed++;
+            this.stats.totalRunMs += Date.now() - startedAt;
+            return result;
+        } catch (error) {
+            this.stats.failed++;
+            // The engine may be hung or dead, so don't give it to the next request
+            this._restart(slot, error.message)
+                .catch(restartError => logger.error(`[EnginePool] Could not restart engine ${slot.id}: ${restartError.message}`))
+                .finally(() => this._release(slot));
+            throw error;
+        } finally {
+            if (slot.state === 'busy') {
+                this._release(slot);
+            }
+        }
+    }
+
+    /**
+     * Starts the periodic health check the first time the pool is used
+     */
+    _ensureHealthChecks() {
+        if (this.healthTimer || this.healthCheckIntervalMs <= 0) return;
+        this.healthTimer = setInterval(() => {
+            this.healthCheck().catch(error => logger.error(`[EnginePool] Health check failed: ${error.message}`));
+        }, this.healthCheckIntervalMs);
+        // Don't keep the process alive just for health checks
+        this.healthTimer.unref?.();
+    }
+
+    /**
+     * Pings every idle engine and restarts the ones that don't answer
+     * @returns {Promise<number>} Number of engines restarted
+     */
+    async healthCheck() {
+        let restarted = 0;
+        for (const slot of this.slots) {
+            if (slot.state !== 'idle' && slot.state !== 'dead') continue;
+
+            let reason = 'engine is down';
+            if (slot.state === 'idle') {
+                slot.state = 'busy';
+                try {
+                    await withTimeout(slot.engine.isready(), READY_TIMEOUT_MS, 'Health check');
+                    slot.state = 'idle';
+                    continue;
+                } catch (error) {
+                    slot.state = 'dead';
+                    reason = `failed health check (${error.message})`;
+                }
+            }
+
+            try {
+                await this._restart(slot, reason);
+                restarted++;
+            } catch (error) {
+                logger.error(`[EnginePool] Could not restart engine ${slot.id}: ${error.message}`);
+            }
+            this._release(slot);
+        }
+        return restarted;
+    }
+
+    /**
+     * Gets pool statistics for /debug
+     * @returns {Object} Pool size, engine states, queue length and request counters
+     */
+    getStats() {
+        const count = state => this.slots.filter(slot => slot.state === state).length;
+        const served = this.stats.completed + this.stats.failed;
+        return {
+            size: this.size,
+            engines: this.slots.length,
+            idle: count('idle'),
+            busy: count('busy'),
+            starting: count('starting'),
+            dead: count('dead'),
+            queued: this.queue.length,
+            completed: this.stats.completed,
+            failed: this.stats.failed,
+            rejected: this.stats.rejected,
+            restarts: this.stats.restarts,
+            avgRunMs: this.stats.completed > 0 ? Math.round(this.stats.totalRunMs / this.stats.completed) : 0,
+            avgWaitMs: served > 0 ? Math.round(this.stats.totalWaitMs / served) : 0
+        };
+    }
+
+    /**
+     * Stops every engine and rejects waiting requests
+     */
+    async shutdown() {
+        this.shuttingDown = true;
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+        for (const waiter of this.queue.splice(0)) {
+            waiter.reject(new Error('Engine pool is shutting down'));
+        }
+        await Promise.all(this.slots.map(async slot => {
+            const { engine } = slot;
+            slot.engine = null;
+            slot.state = 'dead';
+            if (!engine) return;
+            try {
+                engine.proc?.removeAllListeners('exit');
+                await withTimeout(engine.quit(), READY_TIMEOUT_MS, 'Engine quit');
+            } catch (error) {
+                this._killEngine(engine);
+            }
+        }));
+        logger.info('[EnginePool] Shut down');
+    }
+}
+
+module.exports = {
+    EnginePool,
+    DEFAULT_POOL_SIZE,
+    MAX_SKILL_LEVEL
+};
@@ -6,40 +6,125 @@
  * - createGameInstance: Creates a new chess game instance with optional FEN and difficulty
  * - getTurn: Gets the current turn color for a game
  * - createGameForPlayers: Creates a new game between two players
- * - hasExistingGame: Checks if a game exists between two players
- * - handleChallenge: Processes chess challenges between players
+ * - hasExistingGame: Checks if two people already have a game going (games against RolyBot don't count)
+ * - handleChallenge: Starts a game against RolyBot, which accepts every challenge
+ * - postChallenge/respondToChallenge: Challenges between players, with Accept, Decline and Cancel
+ *   buttons, expiring after ChallengeManager.challengeTimeout
  * - add/remove/getChallenge: Manages challenge state
- * - makeMove: Processes a move in the game
+ * - makeMove/playMove: Processes a move in the game, and posts the boards that follow
+ * - buildGameBoard: The board of a user's current game
  * - makeAIMove: Executes AI move logic
- * - getGame/getOpponentGame: Retrieves game state
+ * - getGame/getGameData: Finds the game a user means, by the thread they are in when they have several
+ * - getGamePgn: Exports a game as PGN
+ * - endGame: Single end-of-game pipeline (result embed, recording, cleanup and thread archival)
+ * - endGameIfOver/resignGame/handleFlagFall: Ends games on the board, by resignation or on time
+ * - recordGameResult: Stores a finished game and updates ratings
+ * - analyzeRecordedGame/postGameAnalysis: Runs Stockfish analysis on finished games
+ * - offerDraw/requestTakeback/respondToOffer/abortGame: Ends or rewinds games by agreement
+ * - watchGame/refreshFeeds: Live-updating board messages for spectators
+ * - startTournament/advanceTournaments: Creates tournament rounds and moves tournaments along as games finish
+ * - offerRematch/requestRematch: Rematch button after a game, played in the same thread with colours swapped
+ * - getHint/reviewCoachMove: Hints and coach mode warnings in games against RolyBot
+ * - postCommentary: RolyBot's live comments on big moments, for players who turn them on
+ * - getEvaluation/showsEvaluations: Stockfish evaluations for move boards, /chess show, spectators and chat
  */
 
 const { Chess } = require('chess.js');
+const { ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
 const gameStateManager = require('./gameStateManager');
 const logger = require('../logger');
 const challengeManager = require('./challengeManager');
 const { instance: aiMoveService } = require('./aiMoveService');
 const threadManager = require('./threadManager');
 const threadUtils = require('./threadUtils');
-
-/**
- * Generate a board image URL from FEN
- */
-async function getBoardImageUrl(fen) {
-    if (!fen || typeof fen !== 'string') throw new Error('Invalid FEN string');
-    return `https://fen2png.com/api/?fen=${encodeURIComponent(fen)}&raw=true`;
-}
+const { buildPgn, getGameResult, getBoardTermination, replayMoves } = require('./pgnUtils');
+const resultsManager = require('./resultsManager');
+const { instance: analysisService } = require('./analysisService');
+const { instance: puzzleManager } = require('./puzzleManager');
+const tournamentManager = require('./tournamentManager');
+const { instance: coachService, HINTS_PER_GAME } = require('./coachService');
+const { instance: commentaryService } = require('./commentaryService');
+const { instance: openingBook, formatOpening } = require('./openingBook');
+const {
+    ADAPTIVE_DIFFICULTY,
+    ADAPTIVE_RECENT_GAMES,
+    getAdaptiveSettings,
+    createAdaptiveGame,
+    adjustDuringGame,
+    adjustAfterGame,
+    adjustForAccuracy
+} = require('./adaptiveDifficulty');
+const { buildBoardMessage, formatMoveList } = require('./boardMessage');
+const { renderReplayGif } = require('./gameReplay');
+const { instance: inactivityManager, formatIdlePeriod } = require('./inactivityManager');
+const { instance: playerSettings } = require('./playerSettings');
+const { createChess, describeVariant, getStartingPosition } = require('./variants');
+const { ODDS, buildOddsFen, applyTimeOdds } = require('./odds');
+const {
+    instance: clockManager,
+    createClocks,
+    getRemainingTime,
+    applyMoveToClocks,
+    describeTimeControl
+} = require('./clockManager');
 
 let instance = null;
 
+const BOT_DRAW_ACCEPT_EVAL = 25; // RolyBot accepts a draw when its evaluation is at most this many centipawns
+const DRAW_EVAL_DEPTH = 12;
+const TAKEBACK_DIFFICULTIES = ['beginner', 'intermediate']; // RolyBot only allows takebacks at these levels
+const ABORT_MAX_PLIES = 1; // Games can be aborted until both players have moved
+const LIVE_EVAL_DEPTH = 10; // Search depth for the evaluation bars on move boards and spectator feeds
+const MAX_FEEDS_PER_GAME = 10;
+const ONE_GAME_PER_PAIR = 'Two people play one game at a time against each other, so finish that one first.'; // Told to players who try to start a second one
+const NEXT_ROUND_DELAY_MS = 15 * 1000; // Pause between tournament rounds, and before retrying games that couldn't start
+const DEFAULT_THREAD_ARCHIVE_MINUTES = 10; // Finished game threads are archived this long after the result, see CHESS_THREAD_ARCHIVE_MINUTES
+const RESULT_EMBED_COLOR = 0x2ECC71;
+const RESULT_TITLES = {
+    '1-0': '🏁 White wins',
+    '0-1': '🏁 Black wins',
+    '1/2-1/2': '🏁 Draw',
+    '*': '🛑 Game aborted'
+};
+
 class GameManager {
     constructor(client) {
         this.client = client;
         this.challengeManager = challengeManager;
         this.aiMoveService = aiMoveService;
         this.gameStateManager = gameStateManager;
+        this.clockManager = clockManager;
+        this.resultsManager = resultsManager;
+        this.analysisService = analysisService;
+        this.puzzleManager = puzzleManager;
+        this.tournamentManager = tournamentManager;
+        this.coachService = coachService;
+        this.commentaryService = commentaryService;
+        this.inactivityManager = inactivityManager;
+        this.playerSettings = playerSettings;
+        this.tournamentTimer = null;
+        this.tournamentUpdate = Promise.resolve(); // Tournament updates run one at a time
+        this.feedUpdates = new Map(); // gameId -> latest spectator feed update, so edits stay in order
+        /** @type {Map<string, string>} Player waiting for their opponent to accept a rematch, by finished game ID */
+        this.rematchRequests = new Map();
+        /** @type {Set<string>} Games being ended, so a game can't be ended twice at once */
+        this.endingGames = new Set();
+        /** @type {Map<string, {fen: string, evaluation: Object}>} Latest engine evaluation of each game, by game ID */
+        this.evaluations = new Map();
+        /** @type {Map<string, NodeJS.Timeout>} Pending thread archivals, by thread ID */
+        this.archiveTimers = new Map();
+        const archiveMinutes = Number(process.env.CHESS_THREAD_ARCHIVE_MINUTES);
+        this.threadArchiveDelayMs = (process.env.CHESS_THREAD_ARCHIVE_MINUTES && archiveMinutes >= 0
+            ? archiveMinutes
+            : DEFAULT_THREAD_ARCHIVE_MINUTES) * 60 * 1000;
         this.initialized = false;
         
+        // End timed games when a flag falls
+        this.clockManager.setFlagFallHandler(gameId => this.handleFlagFall(gameId));
+
+        // Mark unanswered challenges as expired
+        this.challengeManager.setExpiryHandler(challenge => this.expireChallenge(challenge));
+        
         // Initialize thread utils with both game state manager and client
         const threadUtilsInstance = threadUtils.getInstance(gameStateManager, client);
         threadManager.setThreadUtils(threadUtilsInstance);
@@ -51,15 +136,33 @@ class GameManager {
         
         try {
             await this.gameStateManager.initialize();
+            this.resultsManager.load();
+            this.puzzleManager.load();
+            this.tournamentManager.load();
+            
+            // Resume clocks for timed games, flagging any that ran out while we were offline
+            this.clockManager.restore(this.gameStateManager.getAllGames());
             this.initialized = true;
+
+            // Close games that ended on the board but were never cleaned up
+            for (const gameData of this.gameStateManager.getAllGames()) {
+                this.endGameIfOver(gameData)
+                    .catch(error => logger.error(`[GameManager] Error ending game ${gameData.gameId}: ${error.message}`));
+            }
+
+            // Pick up tournament rounds that finished or couldn't start while we were offline
+            this.scheduleTournamentUpdate();
+
+            // Remind idle players and adjudicate abandoned games
+            this.inactivityManager.start(() => this.checkInactiveGames());
         } catch (error) {
             logger.error('Failed to initialize GameManager:', error);
             throw error;
         }
     }
 
-    createGameInstance(playerColor = 'w', difficulty = 'intermediate', fen = null) {
-        const game = fen ? new Chess(fen) : new Chess();
+    createGameInstance(playerColor = 'w', difficulty = 'intermediate', fen = null, variant = 'standard') {
+        const game = createChess(fen, variant);
         game.difficulty = difficulty;
         game.playerColor = playerColor;
         return game;
@@ -100,35 +203,82 @@ class GameManager {
         return game.turn() === 'w' ? 'white' : 'black';
     }
 
-    async createGameForPlayers(player1Id, player2Id, difficulty = 'intermediate') {
+    /**
+     * Creates a new game between two players with randomly assigned colors
+     * @param {string} player1Id - First player's user ID
+     * @param {string} player2Id - Second player's user ID
+     * @param {string} [difficulty='intermediate'] - AI difficulty level, or 'adaptive' to play at the human player's adaptive strength
+     * @param {Object} [gameOptions] - Extra game settings
+     * @param {?Object} [gameOptions.timeControl] - Time control (see clockManager.parseTimeControl)
+     * @param {'w'|'b'} [gameOptions.player1Color] - Colour for the first player (random if not set)
+     * @param {string} [gameOptions.variant='standard'] - Game variant (see variants.js)
+     * @param {?string} [gameOptions.initialFen] - Starting position for Chess960 and "from FEN" games
+     * @param {?string} [gameOptions.odds] - Handicap RolyBot gives in games against it (see odds.js)
+     * @param {string} [gameOptions.tournamentId] - Tournament the game belongs to
+     * @param {number} [gameOptions.tournamentRound] - Tournament round the game belongs to
+     * @returns {Promise<Object>} Result with the game and each player's color
+     */
+    async createGameForPlayers(player1Id, player2Id, difficulty = 'intermediate', gameOptions = {}) {
         try {
-            // Check if game already exists between these players
+            // Two people play one game at a time against each other
             if (this.hasExistingGame(player1Id, player2Id)) {
-                return { success: false, message: 'A game already exists between these players.' };
+                return { success: false, message: `A game already exists between these players. ${ONE_GAME_PER_PAIR}` };
             }
 
-            // Randomly assign colors
-            const isPlayer1White = Math.random() >= 0.5;
+            // Use the requested colour for player 1, otherwise assign colours randomly.
+            // Pawn and move odds always give the human player White.
+            const botId = this.client?.user?.id;
+            const humanId = player1Id === botId ? player2Id : player1Id;
+            const odds = gameOptions.odds && botId && [player1Id, player2Id].includes(botId) ? gameOptions.odds : null;
+            const player1Color = odds && ODDS[odds].playerColor
+                ? (player1Id === humanId ? ODDS[odds].playerColor : (ODDS[odds].playerColor === 'w' ? 'b' : 'w'))
+                : gameOptions.player1Color;
+            const isPlayer1White = player1Color
+                ? player1Color === 'w'
+                : Math.random() >= 0.5;
             const whiteId = isPlayer1White ? player1Id : player2Id;
             const blackId = isPlayer1White ? player2Id : player1Id;
+            const botColor = whiteId === botId ? 'w' : 'b';
 
-            // Create the game instance
-            const game = this.createGameInstance('w', difficulty);
+            // Create the game instance. Piece odds games start without the piece RolyBot gives.
+            const variant = gameOptions.variant || 'standard';
+            const initialFen = (odds && buildOddsFen(odds, botColor)) || gameOptions.initialFen;
+            const game = this.createGameInstance('w', difficulty, initialFen, variant);
             const fen = game.fen();
             
+            // Adaptive games against RolyBot start at the human player's stored strength
+            const adaptive = difficulty === ADAPTIVE_DIFFICULTY && botId && [player1Id, player2Id].includes(botId)
+                ? createAdaptiveGame(this.resultsManager.getAdaptiveStrength(humanId))
+                : null;
+
+            // Time odds cut RolyBot's clock
+            const clockState = createClocks(gameOptions.timeControl);
+            if (odds === 'time' && clockState.clocks) {
+                clockState.clocks = applyTimeOdds(clockState.clocks, botColor);
+            }
+
             // Create game data in state manager
-            const gameData = this.gameStateManager.createGame(whiteId, blackId, difficulty, fen);
+            const extra = {
+                variant,
+                ...(gameOptions.coach ? { coach: true } : {}),
+                ...(adaptive ? { adaptive } : {}),
+                ...(odds ? { odds } : {}),
+                ...clockState,
+                ...(gameOptions.tournamentId
+                    ? { tournamentId: gameOptions.tournamentId, tournamentRound: gameOptions.tournamentRound }
+                    : {})
+            };
+            const gameData = this.gameStateManager.createGame(whiteId, blackId, difficulty, fen, extra);
             
             // Store the game instance in the game data
-            const whiteGameData = this.gameStateManager.getGame(whiteId);
-            const blackGameData = this.gameStateManager.getGame(blackId);
+            gameData.gameInstance = game;
             
-            if (whiteGameData) whiteGameData.gameInstance = game;
-            if (blackGameData) blackGameData.gameInstance = game;
+            // Start white's clock
+            this.clockManager.schedule(gameData);
             
             return { 
                 success: true, 
-                game: { ...gameData, gameInstance: game },
+                game: gameData,
                 whitePlayerId: whiteId,
                 blackPlayerId: blackId
             };
@@ -138,11 +288,20 @@ class GameManager {
         }
     }
 
+    /**
+     * Checks whether two people already have a game going. Games against RolyBot don't count,
+     * a player can have any number of them. Between people it's one game at a time, so
+     * challenges and rematches don't pile up unfinished games between the same pair.
+     * @param {string} player1 - User ID
+     * @param {string} player2 - User ID
+     * @returns {boolean}
+     */
     hasExistingGame(player1, player2) {
+        if (this.isBotGame({ whiteId: player1, blackId: player2 })) return false;
         return this.gameStateManager.hasExistingGame(player1, player2);
     }
 
-    async handleChallenge(challengerId, challengedUserId, interaction, useVoiceChat = false, difficulty = 'intermediate') {
+    async handleChallenge(challengerId, challengedUserId, interaction, useVoiceChat = false, difficulty = 'intermediate', gameOptions = {}) {
         const opponentId = challengedUserId || interaction.client.user.id;
         
         try {
@@ -151,8 +310,7 @@ class GameManager {
 
             if (this.hasExistingGame(challengerId, opponentId)) {
                 try {
-                    const threadId = threadManager.getThreadIdForUser(challengerId) || 
-                                    threadManager.getThreadIdForUser(opponentId);
+                    const threadId = this.gameStateManager.findGameBetween(challengerId, opponentId)?.threadId;
                     
                     if (threadId) {
                         const thread = await interaction.guild.channels.fetch(threadId);
@@ -169,7 +327,7 @@ class GameManager {
                             }
                             
                             await interaction.followUp({
-                                content: `A game already exists between you and <@${opponentId}>. Continue your game here: ${threadLink}`,
+                                content: `A game already exists between you and <@${opponentId}>. ${ONE_GAME_PER_PAIR} Continue your game here: ${threadLink}`,
                                 flags: 64
                             });
                             return true;
@@ -182,7 +340,7 @@ class GameManager {
                 
                 // If we couldn't find the thread or there was an error, still provide a helpful message
                 await interaction.followUp({
-                    content: `A game already exists between you and <@${opponentId}>. Please complete that game before starting a new one.`,
+                    content: `A game already exists between you and <@${opponentId}>. ${ONE_GAME_PER_PAIR}`,
                     flags: 64
                 });
                 return false;
@@ -190,7 +348,7 @@ class GameManager {
 
             // If we get here, no existing game was found - continue with game creation
             logger.info(`[GameManager] Creating new game between ${challengerId} and ${opponentId} with difficulty: ${difficulty}`);
-            const result = await this.createGameForPlayers(challengerId, opponentId, difficulty);
+            const result = await this.createGameForPlayers(challengerId, opponentId, difficulty, gameOptions);
             
             if (!result.success) {
                 await interaction.followUp({
@@ -218,56 +376,17 @@ class GameManager {
             
             logger.info(`[GameManager] Game created. White: ${whitePlayerId}, Black: ${blackPlayerId}, FEN: ${fen}`);
             
-            // Update game state with the game instance
-            this.gameStateManager.updateGame(whitePlayerId, { gameInstance });
-            this.gameStateManager.updateGame(blackPlayerId, { gameInstance });
-            
             const client = interaction.client;
             const guild = interaction.guild;
             const channel = interaction.channel;
 
             try {
-                // Create game thread in the current channel
-                const thread = await threadManager.createGameThread(client, guild, whitePlayerId, blackPlayerId, channel);
-                logger.info(`[GameManager] Created game thread: ${thread.id}`);
-                
-                // Update game state with thread ID
-                this.gameStateManager.updateGame(whitePlayerId, { threadId: thread.id });
-                this.gameStateManager.updateGame(blackPlayerId, { threadId: thread.id });
-                
-                await threadManager.setThreadIdForUser(whitePlayerId, thread.id);
-                await threadManager.setThreadIdForUser(blackPlayerId, thread.id);
-
-                // Post welcome message
-                const { EmbedBuilder } = require('discord.js');
-                const welcomeEmbed = new EmbedBuilder()
-                    .setTitle('Chess Match Started!')
-                    .setDescription(`Welcome <@${whitePlayerId}> (White) vs <@${blackPlayerId}> (Black)\n\n**Participants:**\n- <@${whitePlayerId}> (White)\n- <@${blackPlayerId}> (Black)\n\nAnyone can spectate this thread!`)
-                    .setColor(0x5865F2);
-                await thread.send({ embeds: [welcomeEmbed] });
-
-                // Post initial board image
-                const boardImageUrl = await getBoardImageUrl(fen);
-                const boardEmbed = new EmbedBuilder()
-                    .setTitle('Chess Board')
-                    .setImage(boardImageUrl)
-                    .setDescription('Initial position');
-                await thread.send({ embeds: [boardEmbed] });
-
-                // If white is the bot, make the first move
-                if (whitePlayerId === interaction.client.user.id) {
-                    logger.info(`[GameManager] Bot is white, making first move`);
-                    const moveResult = await this.makeAIMove(gameData, white);
-                    
-                    // Update board after AI move
-                    if (moveResult && moveResult.fen) {
-                        const updatedBoardEmbed = new EmbedBuilder()
-                            .setTitle('Chess Board')
-                            .setImage(await getBoardImageUrl(moveResult.fen))
-                            .setDescription(`Bot played ${moveResult.san}`);
-                        await thread.send({ embeds: [updatedBoardEmbed] });
-                    }
-                }
+                // Create game thread in the current channel, shown from the human player's side when playing the bot
+                const botIsWhite = whitePlayerId === interaction.client.user.id;
+                const orientation = botIsWhite ? 'b' : 'w';
+                const thread = await this.openGameThread(gameData, guild, channel, { orientation });
+
+                await this.playFirstBotMove(gameData, thread, orientation);
             } catch (threadError) {
                 logger.error(`[GameManager] Error in game thread setup: ${threadError.message}`, threadError);
                 throw new Error('Failed to set up game thread');
@@ -289,57 +408,276 @@ class GameManager {
         }
     }
 
-    addChallenge(challengerId, challengedUserId) {
-        return this.challengeManager.addChallenge(challengerId, challengedUserId);
+    /**
+     * Creates the thread for a new game and posts the welcome message and starting board
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {Guild} guild - Server to create the thread in
+     * @param {?TextChannel} channel - Channel to create the thread in
+     * @param {Object} [options]
+     * @param {'w'|'b'} [options.orientation='w'] - Colour shown at the bottom of the board
+     * @param {string} [options.title='Chess Match Started!'] - Welcome embed title
+     * @param {?ThreadChannel} [options.thread] - Existing thread to play in instead of creating one (rematches)
+     * @returns {Promise<ThreadChannel>} The game thread
+     */
+    async openGameThread(gameData, guild, channel, { orientation = 'w', title = 'Chess Match Started!', thread: existingThread = null } = {}) {
+        const { whiteId, blackId } = gameData;
+        const thread = existingThread || await threadManager.createGameThread(this.client, guild, whiteId, blackId, channel);
+        logger.info(`[GameManager] ${existingThread ? 'Reusing' : 'Created'} game thread: ${thread.id}`);
+
+        // Update game state with thread ID
+        this.gameStateManager.updateGame(gameData.gameId, { threadId: thread.id, guildId: guild.id });
+
+        // Post welcome message
+        const variantLine = gameData.variant && gameData.variant !== 'standard'
+            ? `\n**Variant:** ${describeVariant(gameData.variant)}\n**Starting position:** \`${gameData.initialFen}\``
+            : '';
+        const coachLine = gameData.coach
+            ? '\n**Coach mode:** on. RolyBot warns you before a move that throws away material, and `/chess hint` suggests moves'
+            : '';
+        const adaptiveLine = gameData.adaptive
+            ? `\n**Difficulty:** adaptive. RolyBot starts at about ${gameData.adaptive.strength} Elo and adjusts to how you play`
+            : '';
+        const oddsLine = gameData.odds
+            ? `\n**Odds:** ${ODDS[gameData.odds].name}. ${ODDS[gameData.odds].description}; the game is unrated`
+            : '';
+        const welcomeEmbed = new EmbedBuilder()
+            .setTitle(title)
+            .setDescription(`Welcome <@${whiteId}> (White) vs <@${blackId}> (Black)\n\n**Participants:**\n- <@${whiteId}> (White)\n- <@${blackId}> (Black)\n\n**Time control:** ${describeTimeControl(gameData.timeControl)}${variantLine}${coachLine}${adaptiveLine}${oddsLine}\n\nAnyone can spectate this thread!`)
+            .setColor(0x5865F2);
+        await thread.send({ embeds: [welcomeEmbed] });
+
+        // Post initial board image
+        await thread.send(buildBoardMessage({ fen: gameData.fen, orientation, gameData, description: 'Initial position' }));
+        return thread;
+    }
+
+    addChallenge(challengerId, challengedUserId, details) {
+        return this.challengeManager.addChallenge(challengerId, challengedUserId, details);
     }
 
-    removeChallenge(challengedUserId) {
-        return this.challengeManager.removeChallenge(challengedUserId);
+    removeChallenge(challengeId) {
+        return this.challengeManager.removeChallenge(challengeId);
     }
 
-    getChallenge(challengedUserId) {
-        return this.challengeManager.getChallenge(challengedUserId);
+    getChallenge(challengeId) {
+        return this.challengeManager.getChallenge(challengeId);
     }
 
     getAllChallenges() {
         return this.challengeManager.getAllChallenges();
     }
 
-    getGame(userId) {
-        const gameData = this.gameStateManager.getGame(userId);
-        if (!gameData?.gameInstance) {
-            logger.error(`No game instance found for user ${userId}`);
+    /**
+     * Challenges another player. The challenge is posted publicly with Accept and Decline
+     * buttons for the opponent and a Cancel button for the challenger, and expires after
+     * ChallengeManager.challengeTimeout.
+     * @param {CommandInteraction} interaction - The /chess challenge interaction, answered with the challenge
+     * @param {string} opponentId - Player being challenged
+     * @param {Object} [gameOptions] - Settings for the game (see createGameForPlayers)
+     * @returns {Promise<?Object>} The challenge (see ChallengeManager), or null if the user was told why not
+     */
+    async postChallenge(interaction, opponentId, gameOptions = {}) {
+        const challengerId = interaction.user.id;
+        if (this.hasExistingGame(challengerId, opponentId)) {
+            const existing = this.gameStateManager.findGameBetween(challengerId, opponentId);
+            const where = existing.threadId ? ` Continue it in <#${existing.threadId}>.` : '';
+            await interaction.reply({ content: `You already have a game in progress against <@${opponentId}>. ${ONE_GAME_PER_PAIR}${where}`, flags: 64 });
             return null;
         }
-        return gameData.gameInstance;
+
+        const challenge = this.challengeManager.addChallenge(challengerId, opponentId, {
+            gameOptions,
+            channelId: interaction.channelId
+        });
+        if (!challenge) {
+            await interaction.reply({ content: `There is already a pending challenge between you and <@${opponentId}>.`, flags: 64 });
+            return null;
+        }
+
+        try {
+            await interaction.reply(this.buildChallengeMessage(challenge));
+            const message = await interaction.fetchReply();
+            challenge.messageId = message.id;
+        } catch (error) {
+            this.challengeManager.removeChallenge(challenge.challengeId);
+            throw error;
+        }
+        return challenge;
     }
 
-    getOpponentGame(userId) {
-        return this.gameStateManager.getOpponentGame(userId);
+    /**
+     * Builds a challenge message, with its buttons while it is pending
+     * @param {Object} challenge - Challenge (see ChallengeManager)
+     * @param {'pending'|'accepted'|'failed'|'declined'|'cancelled'|'expired'} [status='pending']
+     * @param {?string} [detail] - Game thread once accepted, or why the game could not be started
+     * @returns {Object} Payload for interaction.reply() or message.edit()
+     */
+    buildChallengeMessage(challenge, status = 'pending', detail = null) {
+        const { challengeId, challengerId, challengedUserId, gameOptions } = challenge;
+        const color = gameOptions.player1Color === 'w' ? 'White' : gameOptions.player1Color === 'b' ? 'Black' : 'Random';
+        const statusLine = {
+            pending: `<@${challengedUserId}>, do you accept? This challenge expires <t:${Math.floor(this.challengeManager.getExpiresAt(challenge) / 1000)}:R>.`,
+            accepted: `✅ Accepted!${detail ? ` The game is on in <#${detail}>.` : ''}`,
+            failed: `⚠️ Accepted, but the game could not be started: ${detail}`,
+            declined: `❌ <@${challengedUserId}> declined the challenge.`,
+            cancelled: `🚫 <@${challengerId}> cancelled the challenge.`,
+            expired: '⌛ The challenge expired without an answer.'
+        }[status];
+        const embed = new EmbedBuilder()
+            .setTitle('Chess Challenge!')
+            .setDescription(`<@${challengerId}> has challenged <@${challengedUserId}> to a chess match!\n\n` +
+                `**Time control:** ${describeTimeControl(gameOptions.timeControl)}\n` +
+                `**Variant:** ${describeVariant(gameOptions.variant)}\n` +
+                `**Challenger plays:** ${color}\n\n${statusLine}`)
+            .setColor(status === 'pending' ? 0x5865F2 : status === 'accepted' ? 0x57F287 : 0x99AAB5);
+
+        const components = status !== 'pending' ? [] : [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`chess_challenge_accept_${challengeId}`)
+                .setLabel('Accept')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`chess_challenge_decline_${challengeId}`)
+                .setLabel('Decline')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId(`chess_challenge_cancel_${challengeId}`)
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        )];
+        return { content: `<@${challengedUserId}>`, embeds: [embed], components };
     }
 
-    getGameData(userId) {
-        return this.gameStateManager.getGame(userId);
+    /**
+     * Checks that a user can press a challenge button: the challenged player accepts or
+     * declines, the challenger cancels
+     * @param {string} challengeId - Challenge ID
+     * @param {string} userId - User who pressed the button
+     * @param {'accept'|'decline'|'cancel'} action
+     * @returns {Object} The challenge
+     */
+    getPendingChallenge(challengeId, userId, action) {
+        const challenge = this.challengeManager.getChallenge(challengeId);
+        if (!challenge) {
+            throw new Error('This challenge is no longer open.');
+        }
+        if (action === 'cancel' && userId !== challenge.challengerId) {
+            throw new Error('Only the challenger can cancel this challenge.');
+        }
+        if (action !== 'cancel' && userId !== challenge.challengedUserId) {
+            throw new Error(`Only <@${challenge.challengedUserId}> can answer this challenge.`);
+        }
+        return challenge;
     }
 
-    async makeMove(userId, move, message) {
-        const gameData = this.gameStateManager.getGame(userId);
-        if (!gameData || !gameData.gameInstance) {
-            throw new Error('No active game found. Start one with !rb chess start.');
+    /**
+     * Accepts, declines or cancels a challenge. Accepting starts the game in a new thread;
+     * if that fails the challenge is closed and the message says why.
+     * @param {string} challengeId - Challenge ID
+     * @param {string} userId - User who pressed the button
+     * @param {'accept'|'decline'|'cancel'} action
+     * @param {Guild} guild - Server the challenge was made in
+     * @param {?TextChannel} channel - Channel the challenge was made in, where the game thread is created
+     * @returns {Promise<Object>} The updated challenge message, for message.edit()
+     */
+    async respondToChallenge(challengeId, userId, action, guild, channel) {
+        const challenge = this.getPendingChallenge(challengeId, userId, action);
+        this.challengeManager.removeChallenge(challengeId);
+
+        if (action !== 'accept') {
+            logger.info(`[GameManager] Challenge ${challengeId} ${action === 'cancel' ? 'cancelled' : 'declined'}`);
+            return this.buildChallengeMessage(challenge, action === 'cancel' ? 'cancelled' : 'declined');
         }
-        
+
+        const { challengerId, challengedUserId, gameOptions } = challenge;
+        const result = await this.createGameForPlayers(challengerId, challengedUserId, 'intermediate', gameOptions);
+        if (!result.success) {
+            return this.buildChallengeMessage(challenge, 'failed', result.message || 'Failed to create game.');
+        }
+
+        let thread;
+        try {
+            thread = await this.openGameThread(result.game, guild, channel);
+        } catch (error) {
+            logger.error(`[GameManager] Error opening thread for challenge ${challengeId}: ${error.message}`);
+            this.removeGame(result.game.gameId);
+            return this.buildChallengeMessage(challenge, 'failed', 'the game thread could not be created.');
+        }
+        logger.info(`[GameManager] Challenge ${challengeId} accepted, game ${result.game.gameId} started`);
+        return this.buildChallengeMessage(challenge, 'accepted', thread.id);
+    }
+
+    /**
+     * Marks an expired challenge's message as expired and removes its buttons
+     * @param {Object} challenge - Challenge (see ChallengeManager)
+     */
+    async expireChallenge(challenge) {
+        if (!challenge.channelId || !challenge.messageId) return;
+        try {
+            const channel = await this.client.channels.fetch(challenge.channelId);
+            const message = await channel.messages.fetch(challenge.messageId);
+            await message.edit(this.buildChallengeMessage(challenge, 'expired'));
+        } catch (error) {
+            logger.warn(`[GameManager] Could not update expired challenge ${challenge.challengeId}: ${error.message}`);
+        }
+    }
+
+    getGame(userId, channelId = null) {
+        const gameData = this.gameStateManager.getGame(userId, channelId);
+        if (!gameData?.gameInstance) {
+            logger.error(`No game instance found for user ${userId}`);
+            return null;
+        }
+        return gameData.gameInstance;
+    }
+
+    /**
+     * Gets the game a user means (see GameStateManager.getGame)
+     * @param {string} userId - A player in the game
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {?Object} Game state
+     */
+    getGameData(userId, channelId = null) {
+        return this.gameStateManager.getGame(userId, channelId);
+    }
+
+    /**
+     * Plays a user's move in one of their games, and RolyBot's reply in games against it
+     * @param {string} userId - Player making the move
+     * @param {string} move - Move in SAN or coordinates
+     * @param {function(string|Object): Promise<*>} [send] - Posts progress messages; RolyBot only
+     *        replies straight away when this is given
+     * @param {?string} [channelId] - Channel the move was sent in, to pick the game when the user has several
+     * @returns {Promise<Object>} The moves played, the state after them and whether the game is over
+     */
+    async makeMove(userId, move, send, channelId = null) {
+        const gameData = this._requireGame(userId, channelId);
         const game = gameData.gameInstance;
         
         try {
             // Check if it's the player's turn
             const currentTurn = game.turn();
-            const playerColor = gameData.playerColor || 'w'; // Default to white if not set
+            const playerColor = this.gameStateManager.getPlayerColor(gameData, userId);
             
             if ((currentTurn === 'w' && playerColor !== 'w') || 
                 (currentTurn === 'b' && playerColor !== 'b')) {
                 throw new Error(`It's not your turn. It's ${currentTurn === 'w' ? 'White' : 'Black'}'s turn.`);
             }
             
+            // In timed games, a move that arrives after the flag fell loses on time
+            const remainingMs = getRemainingTime(gameData, playerColor);
+            if (remainingMs !== null && remainingMs <= 0) {
+                await this.handleFlagFall(gameData.gameId);
+                throw new Error('You ran out of time.');
+            }
+
+            // Coach mode warns about a bad move once, and plays it if the player sends it again
+            const coachWarning = await this.reviewCoachMove(userId, gameData, move);
+            if (coachWarning) {
+                return { coachWarning, isAITurn: false, gameOver: false, gameData };
+            }
+            const clockUpdates = applyMoveToClocks(gameData, playerColor);
+            
             // Make the move
             logger.info(`[GameManager] Attempting move ${move} for user ${userId} (${playerColor})`);
             const moveObj = game.move(move);
@@ -359,31 +697,39 @@ class GameManager {
             const newFen = game.fen();
             logger.info(`[GameManager] Move successful, new FEN: ${newFen}`);
             
-            // Update both players' game states with the new FEN and game instance
-            this.gameStateManager.updateGame(userId, { fen: newFen, gameInstance: game });
+            // Update the game state with the new FEN, game instance and clocks
+            // A move lapses any pending draw offer or takeback request, and restarts the inactivity reminders
+            this.gameStateManager.updateGame(gameData.gameId, {
+                fen: newFen,
+                gameInstance: game,
+                ...clockUpdates,
+                pendingOffer: null,
+                coachWarning: null,
+                lastMove: moveObj.san,
+                lastMoveAt: new Date().toISOString(),
+                remindersSent: 0
+            });
+            this.clockManager.schedule(gameData);
+            const clocksAfterPlayerMove = gameData.clocks;
             
-            // Get opponent data
-            const opponentId = gameData.opponent;
-            const opponentData = this.gameStateManager.getGame(opponentId);
+            const opponentId = this.gameStateManager.getOpponentId(gameData, userId);
             
             // Save the FEN after player's move (before AI move)
             const fenAfterPlayerMove = game.fen();
             
-            if (opponentData) {
-                opponentData.gameInstance = game; // Update the game instance reference
-                this.gameStateManager.updateGame(opponentId, { fen: newFen, gameInstance: game });
+            if (!this.checkBoardGameOver(gameData)) {
+                this.refreshFeeds(gameData);
             }
+            const openingAfterPlayerMove = formatOpening(this.getOpening(gameData));
+            const isAITurn = this.client && opponentId === this.client.user?.id && !game.isGameOver();
             
-            const isAITurn = this.client && opponentId === this.client.user?.id;
-            
-            if (isAITurn && message) {
+            if (isAITurn && send) {
                 try {
-                    await message.channel.send("AI is thinking...");
-                    const aiMoveResult = await this.makeAIMove(opponentData, opponentId);
+                    await send("AI is thinking...");
+                    const aiMoveResult = await this.makeAIMove(gameData, opponentId);
                     
                     if (aiMoveResult) {
-                        const updatedGameData = this.gameStateManager.getGame(userId);
-                        const aiBoardImageUrl = await this.getBoardImageUrl(aiMoveResult.fen);
+                        const updatedGameData = this.gameStateManager.getGameById(gameData.gameId);
                         
                         return {
                             move: {
@@ -397,11 +743,16 @@ class GameManager {
                                 captured: moveObj.captured
                             },
                             moveAfterPlayerMove: fenAfterPlayerMove, // FEN after player's move
+                            clocksAfterPlayerMove,
+                            opening: openingAfterPlayerMove,
                             isAITurn: false,
+                            gameOver: aiMoveResult.gameOver,
                             gameData: updatedGameData,
                             aiMove: {
                                 move: aiMoveResult.move,
-                                boardImageUrl: aiBoardImageUrl
+                                fen: aiMoveResult.fen,
+                                clocks: aiMoveResult.clocks,
+                                opening: aiMoveResult.opening
                             }
                         };
                     }
@@ -422,8 +773,11 @@ class GameManager {
                     piece: moveObj.piece,
                     captured: moveObj.captured
                 }, 
+                clocksAfterPlayerMove,
+                opening: openingAfterPlayerMove,
                 isAITurn: false, 
-                gameData: opponentData 
+                gameOver: game.isGameOver(),
+                gameData
             };
         } catch (error) {
             logger.error('Error making move:', error);
@@ -431,6 +785,115 @@ class GameManager {
         }
     }
 
+    /**
+     * Plays a user's move and posts the boards that follow, then ends the game if the move
+     * finished it or tells the opponent it's their turn. Chat moves and /chess move both come
+     * through here, so they behave the same.
+     * @param {string} userId - Player making the move
+     * @param {string} move - Move in SAN or coordinates
+     * @param {function(string|Object): Promise<*>} send - Posts a message where the move was made
+     * @param {?string} [channelId] - Channel the move was sent in, to pick the game when the user has several
+     * @returns {Promise<Object>} The result of makeMove()
+     */
+    async playMove(userId, move, send, channelId = null) {
+        const moveResult = await this.makeMove(userId, move, send, channelId);
+        if (moveResult.coachWarning) {
+            await send(moveResult.coachWarning);
+            return moveResult;
+        }
+
+        // Show the board after the player's move (before RolyBot's reply)
+        const { gameData } = moveResult;
+        const orientation = this.gameStateManager.getPlayerColor(gameData, userId);
+        const fenAfterPlayerMove = moveResult.moveAfterPlayerMove || moveResult.gameData.fen;
+        await send(buildBoardMessage({
+            fen: fenAfterPlayerMove,
+            orientation,
+            gameData,
+            clocks: moveResult.clocksAfterPlayerMove,
+            lastMove: moveResult.move,
+            opening: moveResult.opening,
+            evaluation: await this.getLiveEvaluation(gameData, fenAfterPlayerMove),
+            description: `Your move: ${moveResult.move.san}`
+        }));
+
+        if (moveResult.aiMove) {
+            await send(buildBoardMessage({
+                fen: moveResult.aiMove.fen,
+                orientation,
+                gameData,
+                clocks: moveResult.aiMove.clocks,
+                lastMove: moveResult.aiMove.move,
+                opening: moveResult.aiMove.opening,
+                evaluation: await this.getLiveEvaluation(gameData, moveResult.aiMove.fen),
+                description: `AI moved: ${moveResult.aiMove.move.san}`
+            }));
+        }
+
+        // Announce the result and close the game if the move ended it
+        if (moveResult.gameOver) {
+            await this.endGameIfOver(gameData);
+        } else {
+            if (!moveResult.aiMove) {
+                await this.notifyTurn(gameData);
+            }
+            // Commentary needs the engine and the model, so it follows in its own time
+            this.postCommentary(gameData, moveResult.aiMove ? 2 : 1);
+        }
+        return moveResult;
+    }
+
+    /**
+     * Gets the legal moves in a user's current game
+     * @param {string} userId - A player in the game
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {Array<{uci: string, san: string, piece: string, from: string, to: string, captured: ?string, promotion: ?string}>}
+     *          The legal moves (see naturalMoveParser), empty if the user has no game
+     */
+    getLegalMoves(userId, channelId = null) {
+        const game = this.getGameData(userId, channelId)?.gameInstance;
+        if (!game) return [];
+        return game.moves({ verbose: true }).map(move => ({
+            uci: move.from + move.to + (move.promotion || ''),
+            san: move.san,
+            piece: move.piece,
+            from: move.from,
+            to: move.to,
+            captured: move.captured,
+            promotion: move.promotion
+        }));
+    }
+
+    /**
+     * Builds the board of a user's current game, from their side, with the moves so far
+     * and the evaluation bar when the game shows one
+     * @param {string} userId - A player in the game
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {Promise<Object>} Payload for channel.send()
+     */
+    async buildGameBoard(userId, channelId = null) {
+        const gameData = this._requireGame(userId, channelId);
+        const game = gameData.gameInstance;
+        const history = game.history({ verbose: true });
+        const toMove = game.turn() === 'w' ? gameData.whiteId : gameData.blackId;
+        const lines = [`⬜ <@${gameData.whiteId}> vs ⬛ <@${gameData.blackId}>`];
+        if (history.length > 0) {
+            lines.push(formatMoveList(history.map(move => move.san), gameData.initialFen));
+        }
+        lines.push(game.inCheck() ? `<@${toMove}> to move, in check.` : `<@${toMove}> to move.`);
+
+        return buildBoardMessage({
+            fen: game.fen(),
+            title: 'Current Game',
+            description: lines.join('\n'),
+            orientation: this.gameStateManager.getPlayerColor(gameData, userId),
+            lastMove: history[history.length - 1],
+            gameData,
+            opening: formatOpening(this.getOpening(gameData)),
+            evaluation: await this.getLiveEvaluation(gameData)
+        });
+    }
+
     async makeAIMove(gameData, userId, difficulty) {
         if (!gameData?.gameInstance) {
             throw new Error('Invalid game instance');
@@ -440,13 +903,25 @@ class GameManager {
         difficulty = difficulty || gameData.difficulty || 'intermediate';
         
         try {
-            // Get the AI move without making it on the board yet
-            const moveResult = await this.aiMoveService._getBestMove(game.fen(), difficulty);
+            // In timed games, let the engine budget its think time against its own clock
+            const botColor = game.turn();
+            const remainingMs = getRemainingTime(gameData, botColor);
+            const clock = remainingMs === null ? null : {
+                remainingMs,
+                incrementMs: gameData.timeControl.incrementMs || 0
+            };
+            
+            // Get the AI move without making it on the board yet. Adaptive games play at the game's current strength.
+            const settings = gameData.adaptive ? getAdaptiveSettings(gameData.adaptive.strength) : difficulty;
+            const moveResult = await this.aiMoveService._getBestMove(game.fen(), settings, clock, gameData.variant);
             
             if (!moveResult) {
                 throw new Error('AI failed to generate a valid move');
             }
             
+            // Charge the engine's think time to its clock before the turn passes
+            const clockUpdates = applyMoveToClocks(gameData, botColor);
+            
             // Make the move on the game instance
             const move = game.move({
                 from: moveResult.from,
@@ -460,22 +935,20 @@ class GameManager {
             
             const newFen = game.fen();
             
-            // Update the game instance for both players
-            const opponentId = gameData.opponent;
-            this.gameStateManager.updateGame(userId, { 
+            this.gameStateManager.updateGame(gameData.gameId, { 
                 fen: newFen, 
                 gameInstance: game,
+                ...clockUpdates,
+                pendingOffer: null,
                 lastMove: move.san,
                 lastMoveAt: new Date().toISOString()
             });
-            
-            if (opponentId) {
-                this.gameStateManager.updateGame(opponentId, { 
-                    fen: newFen,
-                    gameInstance: game,
-                    lastMove: move.san,
-                    lastMoveAt: new Date().toISOString()
-                });
+            this.clockManager.schedule(gameData);
+            if (gameData.adaptive) {
+                this.adaptDuringGame(gameData, moveResult, botColor);
+            }
+            if (!this.checkBoardGameOver(gameData)) {
+                this.refreshFeeds(gameData);
             }
             
             return {
@@ -490,7 +963,8 @@ class GameManager {
                     captured: move.captured
                 },
                 fen: newFen,
-                boardImageUrl: await this.getBoardImageUrl(newFen),
+                clocks: gameData.clocks,
+                opening: formatOpening(this.getOpening(gameData)),
                 gameOver: game.isGameOver(),
                 inCheck: game.inCheck(),
                 inCheckmate: game.isCheckmate(),
@@ -505,20 +979,1382 @@ class GameManager {
         }
     }
 
-    getTurn(userId) {
-        const gameData = gameStateManager.getGame(userId);
+    /**
+     * Eases or tightens RolyBot's strength in an adaptive game when the engine sees it as one-sided
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {Object} engineResult - The engine's result for the bot's move, with its info lines
+     * @param {'w'|'b'} botColor - RolyBot's colour
+     */
+    adaptDuringGame(gameData, engineResult, botColor) {
+        let evaluation;
+        try {
+            evaluation = this.aiMoveService._parseEvaluation(engineResult, botColor);
+        } catch (error) {
+            return; // No score to go on, e.g. when the engine only reported a move
+        }
+
+        const playerScore = botColor === 'w' ? -evaluation.score : evaluation.score;
+        const adaptive = adjustDuringGame(gameData.adaptive, playerScore);
+        if (adaptive !== gameData.adaptive) {
+            logger.info(`[GameManager] Adaptive strength in game ${gameData.gameId}: ${gameData.adaptive.strength} -> ${adaptive.strength}`);
+            this.gameStateManager.updateGame(gameData.gameId, { adaptive });
+        }
+    }
+
+    /**
+     * Updates the human player's adaptive strength after an adaptive game against RolyBot
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {Object} record - The stored game record (see ResultsManager)
+     */
+    updateAdaptiveStrength(gameData, record) {
+        const humanId = record.whiteId === this.client?.user?.id ? record.blackId : record.whiteId;
+        const score = this.resultsManager.getScore(record, humanId);
+        const recentScore = this.resultsManager.getRecentAdaptiveScore(humanId, ADAPTIVE_RECENT_GAMES);
+        const strength = adjustAfterGame(gameData.adaptive.strength, score, recentScore ?? score);
+        this.resultsManager.setAdaptiveStrength(humanId, strength);
+        logger.info(`[GameManager] Adaptive strength for ${humanId}: ${gameData.adaptive.startStrength} -> ${strength}`);
+    }
+
+    /**
+     * Identifies the opening played so far in a game
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @returns {?Object} The deepest named opening reached (see OpeningBook.identify), or null
+     */
+    getOpening(gameData) {
+        if (!gameData?.gameInstance || (gameData.variant && gameData.variant !== 'standard')) return null;
+        return openingBook.identify(gameData.gameInstance.history(), gameData.initialFen);
+    }
+
+    getTurn(userId, channelId = null) {
+        const gameData = gameStateManager.getGame(userId, channelId);
         if (!gameData || !gameData.gameInstance) {
             throw new Error('No active game found');
         }
         return gameData.gameInstance.turn();
     }
 
-    removeGame(userId) {
-        return gameStateManager.removeGame(userId);
+    /**
+     * Removes a game and stops its clock
+     * @param {string} gameId - Game ID
+     * @returns {boolean} Whether a game was removed
+     */
+    removeGame(gameId) {
+        this.clockManager.cancel(gameId);
+        this.commentaryService.forgetGame(gameId);
+        this.evaluations.delete(gameId);
+        return gameStateManager.removeGame(gameId);
+    }
+
+    /**
+     * Stores a finished game in the results store and updates both players' ratings
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {'1-0'|'0-1'|'1/2-1/2'} result - PGN result
+     * @param {string} termination - Why the game ended (checkmate, resignation, timeout, ...)
+     * @returns {?Object} The stored game record, or null if it was already recorded
+     */
+    recordGameResult(gameData, result, termination) {
+        if (this.gameStateManager.getGameById(gameData.gameId)) {
+            this.gameStateManager.updateGame(gameData.gameId, { result, termination });
+        }
+        const record = this.resultsManager.recordGame(gameData, result, termination, this.client?.user?.id);
+        if (record) {
+            this.refreshFeeds(gameData, { result, termination });
+        }
+        if (record && gameData.adaptive && record.difficulty === ADAPTIVE_DIFFICULTY && record.result !== '*') {
+            this.updateAdaptiveStrength(gameData, record);
+        }
+        if (record && gameData.tournamentId) {
+            this.tournamentManager.recordResult(gameData.tournamentId, gameData.gameId, result);
+        }
+        // A finished round, or players free for a game that couldn't start, may let a tournament move on
+        if (record && this.tournamentManager.getRunningTournaments().length > 0) {
+            this.scheduleTournamentUpdate();
+        }
+
+        // Analyse in the background so ending the game isn't held up by the engine
+        if (record && record.result !== '*' && record.moves.length > 0) {
+            this.postGameAnalysis(record, gameData.threadId)
+                .catch(error => logger.error(`[GameManager] Error analysing game ${record.id}: ${error.message}`));
+        }
+        return record;
+    }
+
+    /**
+     * Gets the engine analysis of a recorded game, running it if it hasn't been done yet
+     * @param {Object} record - Game record (see ResultsManager)
+     * @returns {Promise<Object>} The analysis report (see AnalysisService)
+     */
+    async analyzeRecordedGame(record) {
+        if (record.analysis) return record.analysis;
+        const report = await this.analysisService.analyzeGame(record);
+        this.resultsManager.setAnalysis(record.id, report);
+
+        // In adaptive games, playing more accurately than RolyBot raises the player's strength a little
+        if (record.difficulty === ADAPTIVE_DIFFICULTY) {
+            const humanColor = record.whiteId === this.client?.user?.id ? 'b' : 'w';
+            const botColor = humanColor === 'w' ? 'b' : 'w';
+            const humanId = humanColor === 'w' ? record.whiteId : record.blackId;
+            const { accuracy: playerAccuracy } = report.summary[humanColor];
+            const { accuracy: botAccuracy } = report.summary[botColor];
+            if (playerAccuracy !== null && botAccuracy !== null) {
+                this.resultsManager.setAdaptiveStrength(humanId, adjustForAccuracy(this.resultsManager.getAdaptiveStrength(humanId), playerAccuracy, botAccuracy));
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Builds the analysis message for a recorded game: an embed summary and the annotated PGN
+     * @param {Object} record - Game record (see ResultsManager)
+     * @returns {Promise<Object>} Payload for channel.send()
+     */
+    async buildAnalysisMessage(record) {
+        const report = await this.analyzeRecordedGame(record);
+        const [white, black] = await Promise.all([
+            this.resolveUsername(record.whiteId),
+            this.resolveUsername(record.blackId)
+        ]);
+        return this.analysisService.buildAnalysisMessage(record, report, { white, black });
+    }
+
+    /**
+     * Builds an animated replay of a recorded game
+     * @param {Object} record - Game record (see ResultsManager)
+     * @param {?string} [viewerId] - User the replay is for; players see the board from their own side
+     * @returns {Promise<Object>} Payload for channel.send(), with the GIF attached
+     */
+    async buildReplayMessage(record, viewerId = null) {
+        const orientation = viewerId && viewerId === record.blackId ? 'b' : 'w';
+        const gif = await renderReplayGif(record, { orientation });
+        const fileName = `chess-${record.id}.gif`;
+        const opening = formatOpening(record.opening);
+
+        const embed = new EmbedBuilder()
+            .setTitle('🎞️ Game replay')
+            .setDescription(`⬜ <@${record.whiteId}> vs ⬛ <@${record.blackId}>\n**Result:** ${record.result} · ${record.termination}${opening ? `\n**Opening:** ${opening}` : ''}`)
+            .setColor(RESULT_EMBED_COLOR)
+            .setImage(`attachment://${fileName}`)
+            .setFooter({ text: `Game ${record.id} · ${Math.ceil(record.moves.length / 2)} moves` });
+        return { embeds: [embed], files: [new AttachmentBuilder(gif, { name: fileName })] };
+    }
+
+    /**
+     * Analyses a finished game and posts the report in its thread
+     * @param {Object} record - Game record (see ResultsManager)
+     * @param {?string} threadId - The game's thread
+     */
+    async postGameAnalysis(record, threadId) {
+        const message = await this.buildAnalysisMessage(record);
+        if (!threadId) return;
+
+        const thread = await this.client.channels.fetch(threadId);
+        if (thread) {
+            await thread.send(message);
+            logger.info(`[GameManager] Posted analysis of game ${record.id} in thread ${threadId}`);
+        }
+    }
+
+    /**
+     * Records the result if the last move ended the game on the board
+     * (checkmate, stalemate, repetition, insufficient material or the 50-move rule)
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @returns {?Object} The stored game record, or null if the game is not over
+     */
+    checkBoardGameOver(gameData) {
+        const game = gameData?.gameInstance;
+        const termination = game && getBoardTermination(game);
+        if (!termination) return null;
+        return this.recordGameResult(gameData, getGameResult(game), termination);
+    }
+
+    /**
+     * Ends a timed game when the side to move has run out of time.
+     * The opponent wins, unless they have only a king left, in which case it is a draw.
+     * @param {string} gameId - The game ID
+     */
+    async handleFlagFall(gameId) {
+        const gameData = this.gameStateManager.getGameById(gameId);
+        if (!gameData?.gameInstance || !gameData.timeControl) return;
+
+        const game = gameData.gameInstance;
+        const loserColor = game.turn();
+        const remainingMs = getRemainingTime(gameData, loserColor);
+        if (remainingMs > 0) {
+            // Woke up early (long timers are capped), check again later
+            this.clockManager.schedule(gameData);
+            return;
+        }
+
+        const winnerColor = loserColor === 'w' ? 'b' : 'w';
+        const winnerHasMaterial = game.board().flat().some(sq => sq && sq.color === winnerColor && sq.type !== 'k');
+        const result = !winnerHasMaterial ? '1/2-1/2' : (winnerColor === 'w' ? '1-0' : '0-1');
+        const loserId = loserColor === 'w' ? gameData.whiteId : gameData.blackId;
+        const winnerId = winnerColor === 'w' ? gameData.whiteId : gameData.blackId;
+
+        logger.info(`[GameManager] Flag fell for ${loserId} in game ${gameId}, result ${result}`);
+        const announcement = winnerHasMaterial
+            ? `⏱️ <@${loserId}> ran out of time. <@${winnerId}> wins on time! (${result})`
+            : `⏱️ <@${loserId}> ran out of time, but <@${winnerId}> has no mating material. The game is drawn. (${result})`;
+        await this.endGame(gameData, result, 'timeout', announcement);
+    }
+
+    /**
+     * Tells the player to move that it's their turn, in the game thread or by DM depending
+     * on their settings (see PlayerSettings). Games against RolyBot are skipped, since it
+     * answers straight away.
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {Object} [options]
+     * @param {string} [options.content] - Message to send instead of the usual turn notification
+     * @param {boolean} [options.reminder=false] - Whether this is an inactivity reminder. Reminders
+     *        still go to the thread for players who turned turn notifications off.
+     * @returns {Promise<boolean>} Whether the player was notified
+     */
+    async notifyTurn(gameData, { content, reminder = false } = {}) {
+        const game = gameData?.gameInstance;
+        if (!game || game.isGameOver() || this.isBotGame(gameData)) return false;
+
+        const playerId = game.turn() === 'w' ? gameData.whiteId : gameData.blackId;
+        const opponentId = playerId === gameData.whiteId ? gameData.blackId : gameData.whiteId;
+        const { turnNotifications } = this.playerSettings.get(playerId);
+        if (turnNotifications === 'off' && !reminder) return false;
+
+        const lastMove = game.history().slice(-1)[0];
+        const text = content || (lastMove
+            ? `♟️ <@${playerId}>, it's your move. <@${opponentId}> played **${lastMove}**.`
+            : `♟️ <@${playerId}>, it's your move.`);
+
+        if (turnNotifications === 'dm') {
+            try {
+                const user = await this.client.users.fetch(playerId);
+                await user.send(gameData.threadId ? `${text}\nGame thread: <#${gameData.threadId}>` : text);
+                return true;
+            } catch (error) {
+                // DMs closed: ping them in the thread instead
+                logger.warn(`[GameManager] Couldn't DM ${playerId} about game ${gameData.gameId}: ${error.message}`);
+            }
+        }
+        return this.sendToGameThread(gameData, { content: text, allowedMentions: { users: [playerId] } });
+    }
+
+    /**
+     * Reminds idle players in games between people and adjudicates games nobody has moved in
+     * for the inactivity window (see InactivityManager). Runs every few minutes.
+     * @returns {Promise<void>}
+     */
+    async checkInactiveGames() {
+        const now = Date.now();
+        for (const gameData of this.gameStateManager.getAllGames()) {
+            if (!gameData.gameInstance || this.isBotGame(gameData) || this.endingGames.has(gameData.gameId)) continue;
+
+            const action = this.inactivityManager.getDueAction(gameData, now);
+            try {
+                if (action?.type === 'adjudicate') {
+                    await this.adjudicateInactiveGame(gameData);
+                } else if (action?.type === 'remind') {
+                    await this.remindInactivePlayer(gameData, action.reminder, action.idleMs);
+                }
+            } catch (error) {
+                logger.error(`[GameManager] Error handling inactive game ${gameData.gameId}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Reminds the player to move that their opponent is waiting
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {number} reminder - Reminder periods passed, stored so each reminder goes out once
+     * @param {number} idleMs - Time since the last move
+     */
+    async remindInactivePlayer(gameData, reminder, idleMs) {
+        const playerId = gameData.gameInstance.turn() === 'w' ? gameData.whiteId : gameData.blackId;
+        const opponentId = playerId === gameData.whiteId ? gameData.blackId : gameData.whiteId;
+        const untilAdjudication = this.inactivityManager.getTimeUntilAdjudication(gameData);
+        const deadline = untilAdjudication === null
+            ? ''
+            : ` If you don't move, the game will be adjudicated <t:${Math.floor((Date.now() + untilAdjudication) / 1000)}:R>.`;
+        const content = `⏰ <@${playerId}>, <@${opponentId}> has been waiting ${formatIdlePeriod(idleMs)} for your move.${deadline}`;
+
+        // Record the reminder first, so a failed delivery isn't retried on every check
+        this.gameStateManager.updateGame(gameData.gameId, { remindersSent: reminder });
+        await this.notifyTurn(gameData, { content, reminder: true });
+        logger.info(`[GameManager] Sent inactivity reminder ${reminder} to ${playerId} in game ${gameData.gameId}`);
+    }
+
+    /**
+     * Ends a game whose player to move has been inactive for the whole inactivity window.
+     * The waiting player is awarded the win, unless the game had barely started, in which case
+     * it is aborted. Tournament games are always awarded, so the pairing gets a result.
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @returns {Promise<boolean>} Whether the result was posted in the game thread
+     */
+    async adjudicateInactiveGame(gameData) {
+        const game = gameData.gameInstance;
+        const idleColor = game.turn();
+        const idleId = idleColor === 'w' ? gameData.whiteId : gameData.blackId;
+        const waitingId = idleColor === 'w' ? gameData.blackId : gameData.whiteId;
+        const period = formatIdlePeriod(this.inactivityManager.inactivityMs);
+
+        logger.info(`[GameManager] Adjudicating game ${gameData.gameId}: ${idleId} has not moved for ${period}`);
+        if (game.history().length <= ABORT_MAX_PLIES && !gameData.tournamentId) {
+            return this.endGame(gameData, '*', 'abandoned',
+                `🛑 <@${idleId}> didn't move for ${period}, so the game was aborted. It will not be rated.`);
+        }
+
+        const result = idleColor === 'w' ? '0-1' : '1-0';
+        return this.endGame(gameData, result, 'abandoned',
+            `⌛ <@${idleId}> didn't move for ${period}. <@${waitingId}> wins by abandonment. (${result})`);
+    }
+
+    /**
+     * Ends a game by resignation
+     * @param {string} userId - The player resigning
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {Promise<{announced: boolean, text: string}>}
+     */
+    async resignGame(userId, channelId = null) {
+        const gameData = this._requireGame(userId, channelId);
+        const result = this.gameStateManager.getPlayerColor(gameData, userId) === 'w' ? '0-1' : '1-0';
+        const text = `🏳️ <@${userId}> resigned the game against <@${this.gameStateManager.getOpponentId(gameData, userId)}>. (${result})`;
+        const announced = await this.endGame(gameData, result, 'resignation', text);
+        return { announced, text };
+    }
+
+    /**
+     * Ends a game if the last move finished it on the board
+     * (checkmate, stalemate, repetition, insufficient material or the 50-move rule)
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @returns {Promise<boolean>} Whether the game was over
+     */
+    async endGameIfOver(gameData) {
+        const game = gameData?.gameInstance;
+        const termination = game && getBoardTermination(game);
+        if (!termination) return false;
+
+        const result = getGameResult(game);
+        let announcement;
+        if (termination === 'checkmate') {
+            const winnerId = game.turn() === 'w' ? gameData.blackId : gameData.whiteId;
+            announcement = `♚ Checkmate! <@${winnerId}> wins. (${result})`;
+        } else {
+            announcement = `🤝 The game is drawn by ${termination}. (${result})`;
+        }
+        await this.endGame(gameData, result, termination, announcement);
+        return true;
+    }
+
+    /**
+     * Posts a message in a game's thread
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {string|Object} payload - Message content or payload for channel.send()
+     * @returns {Promise<boolean>} Whether the message was posted
+     */
+    async sendToGameThread(gameData, payload) {
+        if (!gameData?.threadId) return false;
+        try {
+            const thread = await this.client.channels.fetch(gameData.threadId);
+            if (!thread) return false;
+            await thread.send(payload);
+            return true;
+        } catch (error) {
+            logger.error(`[GameManager] Error posting in thread ${gameData.threadId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Ends a game. Every way a game can finish comes through here: it records the result,
+     * posts a result embed with the final board and the PGN, offers a rematch, removes the
+     * game for both players, releases any claimed voice channel and archives the thread
+     * after a delay.
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {'1-0'|'0-1'|'1/2-1/2'|'*'} result - PGN result, '*' for aborted games
+     * @param {string} termination - Why the game ended (checkmate, resignation, timeout, ...)
+     * @param {string} announcement - What happened, shown in the result embed
+     * @returns {Promise<boolean>} Whether the result was posted in the game thread
+     */
+    async endGame(gameData, result, termination, announcement) {
+        if (this.endingGames.has(gameData.gameId)) return false;
+        this.endingGames.add(gameData.gameId);
+
+        try {
+            this.clockManager.cancel(gameData.gameId);
+            this.recordGameResult(gameData, result, termination);
+            const resultMessage = await this.buildResultMessage(gameData, result, termination, announcement);
+            this.removeGame(gameData.gameId);
+
+            const announced = await this.sendToGameThread(gameData, resultMessage);
+            await this.offerRematch(gameData);
+            if (gameData.threadId) {
+                threadManager.releaseVoiceChannel(gameData.threadId);
+                this.scheduleThreadArchive(gameData.threadId);
+            }
+            logger.info(`[GameManager] Game ${gameData.gameId} ended: ${result} (${termination})`);
+            return announced;
+        } finally {
+            this.endingGames.delete(gameData.gameId);
+        }
+    }
+
+    /**
+     * Builds the result message for a finished game: the final board and the PGN
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {'1-0'|'0-1'|'1/2-1/2'|'*'} result - PGN result
+     * @param {string} termination - Why the game ended
+     * @param {string} announcement - What happened
+     * @returns {Promise<Object>} Payload for channel.send()
+     */
+    async buildResultMessage(gameData, result, termination, announcement) {
+        const game = gameData.gameInstance || replayMoves(gameData.initialFen, gameData.moves || [], gameData.variant);
+        const history = game.history({ verbose: true });
+        const [white, black] = await Promise.all([
+            this.resolveUsername(gameData.whiteId),
+            this.resolveUsername(gameData.blackId)
+        ]);
+
+        const payload = buildBoardMessage({
+            fen: game.fen(),
+            title: RESULT_TITLES[result] || '🏁 Game over',
+            description: announcement,
+            // Show the board from the human player's side when playing the bot
+            orientation: gameData.whiteId === this.client.user?.id ? 'b' : 'w',
+            lastMove: history[history.length - 1],
+            color: RESULT_EMBED_COLOR,
+            opening: formatOpening(this.getOpening({ ...gameData, gameInstance: game }))
+        });
+        payload.embeds[0].addFields(
+            { name: 'Players', value: `⬜ <@${gameData.whiteId}> vs ⬛ <@${gameData.blackId}>`, inline: false },
+            { name: 'Result', value: `${result} · ${termination}`, inline: true }
+        );
+        const pgn = buildPgn({ ...gameData, result }, { white, black });
+        payload.files.push(new AttachmentBuilder(Buffer.from(pgn, 'utf8'), { name: `chess-${gameData.gameId}.pgn` }));
+        return payload;
+    }
+
+    /**
+     * Archives a finished game's thread after the configured delay
+     * @param {string} threadId - The game thread
+     */
+    scheduleThreadArchive(threadId) {
+        this.cancelThreadArchive(threadId);
+        const timer = setTimeout(async () => {
+            this.archiveTimers.delete(threadId);
+            try {
+                const thread = await this.client.channels.fetch(threadId);
+                if (thread && !thread.archived) {
+                    await thread.setArchived(true);
+                    logger.info(`[GameManager] Archived thread ${threadId}`);
+                }
+            } catch (error) {
+                logger.error(`[GameManager] Error archiving thread ${threadId}: ${error.message}`);
+            }
+        }, this.threadArchiveDelayMs);
+        // Don't keep the process alive just to archive a thread
+        timer.unref?.();
+        this.archiveTimers.set(threadId, timer);
+    }
+
+    /**
+     * Keeps a thread open, e.g. when a rematch starts in it
+     * @param {string} threadId - The game thread
+     */
+    cancelThreadArchive(threadId) {
+        clearTimeout(this.archiveTimers.get(threadId));
+        this.archiveTimers.delete(threadId);
     }
 
-    getBoardImageUrl(fen) {
-        return getBoardImageUrl(fen);
+    /**
+     * Makes the bot's move if it is to move in a new game's starting position
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {ThreadChannel} thread - Game thread to post the board in
+     * @param {'w'|'b'} orientation - Colour shown at the bottom of the board
+     */
+    async playFirstBotMove(gameData, thread, orientation) {
+        const botId = this.client.user.id;
+        const toMove = gameData.gameInstance.turn() === 'w' ? gameData.whiteId : gameData.blackId;
+        if (toMove !== botId) return;
+
+        logger.info(`[GameManager] Bot is to move, making first move`);
+        const moveResult = await this.makeAIMove(gameData, botId);
+
+        // Update board after AI move
+        if (moveResult && moveResult.fen) {
+            await thread.send(buildBoardMessage({
+                fen: moveResult.fen,
+                orientation,
+                gameData,
+                lastMove: moveResult.move,
+                opening: moveResult.opening,
+                evaluation: await this.getLiveEvaluation(gameData, moveResult.fen),
+                description: `Bot played ${moveResult.move.san}`
+            }));
+        }
+        if (moveResult?.gameOver) {
+            await this.endGameIfOver(gameData);
+        }
+    }
+
+    /**
+     * Has RolyBot comment in the game thread on the moves just played, if they were worth
+     * talking about and the players have commentary on (see CommentaryService)
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {number} plies - How many moves were just played
+     * @returns {Promise<boolean>} Whether a comment was posted
+     */
+    async postCommentary(gameData, plies) {
+        try {
+            const comment = await this.commentaryService.commentOnMoves(gameData, plies, {
+                botId: this.client.user?.id,
+                resolveName: userId => this.resolveUsername(userId),
+                useEngine: this.showsEvaluations(gameData)
+            });
+            if (!comment || !this.gameStateManager.getGameById(gameData.gameId)) return false;
+            return await this.sendToGameThread(gameData, { content: comment, allowedMentions: { parse: [] } });
+        } catch (error) {
+            logger.warn(`[GameManager] No commentary for game ${gameData.gameId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Posts a Rematch button in a finished game's thread. Tournament games get none.
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @returns {Promise<boolean>} Whether the button was posted
+     */
+    async offerRematch(gameData) {
+        if (!gameData?.gameId || gameData.tournamentId) return false;
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`chess_rematch_${gameData.gameId}`)
+                .setLabel('Rematch')
+                .setEmoji('🔁')
+                .setStyle(ButtonStyle.Primary)
+        );
+        return this.sendToGameThread(gameData, {
+            content: 'Good game! Press **Rematch** to play again with colours swapped.',
+            components: [row]
+        });
+    }
+
+    /**
+     * Handles a press of the Rematch button. Against RolyBot the rematch starts straight away;
+     * between two players it starts once both have pressed it.
+     * The new game has colours swapped, the same difficulty, time control and variant, and is
+     * played in the same thread.
+     * @param {string} gameId - ID of the finished game
+     * @param {string} userId - User who pressed the button
+     * @param {ThreadChannel} thread - The finished game's thread
+     * @returns {Promise<{started: boolean, text: string}>}
+     */
+    async requestRematch(gameId, userId, thread) {
+        const record = this.resultsManager.getRecord(gameId);
+        if (!record) {
+            throw new Error('That game could not be found.');
+        }
+        if (record.tournamentId) {
+            throw new Error('Tournament games can\'t be rematched.');
+        }
+        if (userId !== record.whiteId && userId !== record.blackId) {
+            throw new Error('Only the players of this game can ask for a rematch.');
+        }
+
+        const botId = this.client.user.id;
+        const opponentId = userId === record.whiteId ? record.blackId : record.whiteId;
+        if (opponentId !== botId) {
+            const requesterId = this.rematchRequests.get(gameId);
+            if (!requesterId || requesterId === userId) {
+                this.rematchRequests.set(gameId, userId);
+                return {
+                    started: false,
+                    text: `<@${userId}> wants a rematch! <@${opponentId}>, press **Rematch** to play again with colours swapped.`
+                };
+            }
+        }
+
+        // Clear out finished games, but don't interrupt another game between the same two people
+        for (const existing of this.gameStateManager.findGamesBetween(record.whiteId, record.blackId)) {
+            if (existing.gameId === gameId || (existing.result && existing.result !== '*')) {
+                this.removeGame(existing.gameId);
+            }
+        }
+        if (this.hasExistingGame(record.whiteId, record.blackId)) {
+            throw new Error(`<@${record.whiteId}> and <@${record.blackId}> already have another game in progress. ${ONE_GAME_PER_PAIR}`);
+        }
+
+        // Chess960 rematches get a fresh position, custom positions are played again
+        const startingPosition = record.variant === 'fen'
+            ? { variant: 'fen', initialFen: record.initialFen }
+            : getStartingPosition(record.variant);
+        const result = await this.createGameForPlayers(record.blackId, record.whiteId, record.difficulty || 'intermediate', {
+            timeControl: record.timeControl || null,
+            ...startingPosition,
+            odds: record.odds || null,
+            player1Color: 'w'
+        });
+        if (!result.success) {
+            throw new Error(result.message || 'Failed to create the rematch.');
+        }
+        this.rematchRequests.delete(gameId);
+
+        this.cancelThreadArchive(thread.id);
+        if (thread.archived) {
+            await thread.setArchived(false);
+        }
+        const gameData = result.game;
+        // Show the board from the human player's side when playing the bot
+        const orientation = result.whitePlayerId === botId ? 'b' : 'w';
+        await this.openGameThread(gameData, thread.guild, null, { orientation, title: '🔁 Rematch!', thread });
+        await this.playFirstBotMove(gameData, thread, orientation);
+
+        logger.info(`[GameManager] Rematch of game ${gameId} started as game ${gameData.gameId}`);
+        return {
+            started: true,
+            text: `Rematch started! <@${result.whitePlayerId}> has White and <@${result.blackPlayerId}> has Black.`
+        };
+    }
+
+    /**
+     * Gets hints for a player's move in a game against RolyBot: the engine's best moves with
+     * short explanations. Each game allows HINTS_PER_GAME hints, at most one per move, and
+     * the hints are kept with the game so they end up in its record.
+     * @param {string} userId - The player asking for a hint
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {Promise<{hints: Array<{san: string, evaluation: string, explanation: string}>, remaining: number}>}
+     */
+    async getHint(userId, channelId = null) {
+        const gameData = this._requireGame(userId, channelId);
+        if (!this.isBotGame(gameData)) {
+            throw new Error('Hints are only available in games against RolyBot.');
+        }
+        const game = gameData.gameInstance;
+        if (game.turn() !== this.gameStateManager.getPlayerColor(gameData, userId)) {
+            throw new Error('Hints are for your own moves. Wait for RolyBot to move.');
+        }
+
+        const ply = game.history().length;
+        const used = gameData.hints || [];
+        if (used.some(hint => hint.ply === ply)) {
+            throw new Error('You already had a hint for this move.');
+        }
+        if (used.length >= HINTS_PER_GAME) {
+            throw new Error(`You have used all ${HINTS_PER_GAME} hints for this game.`);
+        }
+
+        const hints = await this.coachService.getHints(game.fen(), gameData.variant);
+        if (hints.length === 0) {
+            throw new Error('There are no moves to suggest in this position.');
+        }
+
+        // Another hint may have been handed out while the engine was thinking
+        const latest = this.gameStateManager.getGameById(gameData.gameId)?.hints || [];
+        if (latest.some(hint => hint.ply === ply)) {
+            throw new Error('You already had a hint for this move.');
+        }
+        const entry = { ply, moves: hints.map(hint => hint.san), at: new Date().toISOString() };
+        this.gameStateManager.updateGame(gameData.gameId, { hints: [...latest, entry] });
+        logger.info(`[GameManager] Hint ${latest.length + 1}/${HINTS_PER_GAME} for ${userId} in game ${gameData.gameId}: ${entry.moves.join(', ')}`);
+        return { hints, remaining: HINTS_PER_GAME - latest.length - 1 };
+    }
+
+    /**
+     * Reviews a move in a coach mode game before it is played. A move that loses too much
+     * gets a warning instead of being played, and is played if the player sends it again.
+     * @param {string} userId - The player making the move
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {string} move - The move as sent by the player
+     * @returns {Promise<?string>} The warning to show, or null to play the move
+     */
+    async reviewCoachMove(userId, gameData, move) {
+        if (!gameData.coach || !this.isBotGame(gameData)) return null;
+
+        const fen = gameData.gameInstance.fen();
+        const confirmed = gameData.coachWarning?.fen === fen ? gameData.coachWarning.san : null;
+        let review;
+        try {
+            review = await this.coachService.reviewMove(fen, move, gameData.variant, confirmed);
+        } catch (error) {
+            // Don't hold the game up if the engine isn't available
+            logger.warn(`[GameManager] Coach review failed in game ${gameData.gameId}: ${error.message}`);
+            return null;
+        }
+        if (!review) return null;
+
+        this.gameStateManager.updateGame(gameData.gameId, { coachWarning: { fen, san: review.san } });
+        const reply = review.replySan ? `, since RolyBot can answer **${review.replySan}**` : '';
+        return `🧑‍🏫 Coach: **${review.san}** loses about ${(review.drop / 100).toFixed(1)} pawns${reply}. ` +
+            `Take another look, or send **${review.san}** again to play it anyway.`;
+    }
+
+    /**
+     * Gets the game a user means or throws a user-facing error. With several games
+     * in progress, the user has to be in the game's thread.
+     * @param {string} userId - User ID
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {Object} Game state
+     */
+    _requireGame(userId, channelId = null) {
+        const gameData = this.gameStateManager.getGame(userId, channelId);
+        if (gameData?.gameInstance) {
+            return gameData;
+        }
+        const count = this.gameStateManager.getGamesForUser(userId).length;
+        if (count > 1) {
+            throw new Error(`You have ${count} games in progress. Use this in the game's thread.`);
+        }
+        throw new Error('You do not have an active game. Start one with /chess challenge.');
+    }
+
+    /**
+     * Checks whether a game is against RolyBot
+     * @param {Object} gameData - Game state
+     * @returns {boolean}
+     */
+    isBotGame(gameData) {
+        const botId = this.client?.user?.id;
+        return !!botId && (gameData.whiteId === botId || gameData.blackId === botId);
+    }
+
+    /**
+     * Checks whether a game's players see live evaluations. Games against RolyBot show them
+     * unless the player turned them off; games between people only when both players chose
+     * to see them in every game, so neither gets engine help the other didn't agree to.
+     * @param {Object} gameData - Game state
+     * @returns {boolean}
+     */
+    showsEvaluations(gameData) {
+        const botId = this.client?.user?.id;
+        const settings = [gameData.whiteId, gameData.blackId]
+            .filter(id => id !== botId)
+            .map(id => this.playerSettings.get(id).evaluations);
+        return this.isBotGame(gameData)
+            ? settings.every(evaluations => evaluations !== 'off')
+            : settings.every(evaluations => evaluations === 'always');
+    }
+
+    /**
+     * Gets Stockfish's evaluation of a position in a game, reusing the last one when the position
+     * hasn't changed, since move boards, /chess show, spectator feeds and chat all ask for it
+     * @param {{gameId: string, variant: ?string}} gameData - Game state, or a snapshot of it
+     * @param {string} fen - Position to evaluate
+     * @returns {Promise<?{score: number, mate: ?number, pv: Array<string>}>} Evaluation from White's
+     *          point of view, or null if the engine couldn't give one
+     */
+    async getEvaluation(gameData, fen) {
+        const cached = this.evaluations.get(gameData.gameId);
+        if (cached?.fen === fen) return cached.evaluation;
+        try {
+            const [evaluation] = await this.aiMoveService.evaluatePositions([fen], { depth: LIVE_EVAL_DEPTH, variant: gameData.variant });
+            this.evaluations.set(gameData.gameId, { fen, evaluation });
+            return evaluation;
+        } catch (error) {
+            logger.warn(`[GameManager] No evaluation for game ${gameData.gameId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Gets the evaluation to show the players of a game, if the game shows evaluations
+     * @param {Object} gameData - Game state
+     * @param {string} [fen] - Position to evaluate, the current one by default
+     * @returns {Promise<?Object>} See getEvaluation()
+     */
+    async getLiveEvaluation(gameData, fen = gameData.gameInstance.fen()) {
+        if (!this.showsEvaluations(gameData)) return null;
+        return this.getEvaluation(gameData, fen);
+    }
+
+    /**
+     * Builds the message asking a player to accept or decline an offer
+     * @param {Object} gameData - Game state with a pending offer
+     * @returns {Object} Payload for channel.send()
+     */
+    buildOfferMessage(gameData) {
+        const { type, fromId } = gameData.pendingOffer;
+        const toId = fromId === gameData.whiteId ? gameData.blackId : gameData.whiteId;
+        const text = type === 'draw'
+            ? `🤝 <@${fromId}> offers a draw. <@${toId}>, do you accept?`
+            : `↩️ <@${fromId}> asks to take back their last move. <@${toId}>, do you accept?`;
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`chess_${type}_accept_${gameData.gameId}`)
+                .setLabel('Accept')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`chess_${type}_decline_${gameData.gameId}`)
+                .setLabel('Decline')
+                .setStyle(ButtonStyle.Danger)
+        );
+        return { content: text, components: [row] };
+    }
+
+    /**
+     * Decides whether RolyBot accepts a draw, based on the engine's evaluation of the position
+     * @param {Object} gameData - Game state
+     * @returns {Promise<boolean>}
+     */
+    async botAcceptsDraw(gameData) {
+        const botColor = gameData.whiteId === this.client.user.id ? 'w' : 'b';
+        try {
+            const [evaluation] = await this.aiMoveService.evaluatePositions([gameData.gameInstance.fen()], {
+                depth: DRAW_EVAL_DEPTH,
+                variant: gameData.variant
+            });
+            const botScore = botColor === 'w' ? evaluation.score : -evaluation.score;
+            logger.info(`[GameManager] RolyBot evaluates game ${gameData.gameId} at ${botScore}cp for a draw offer`);
+            return botScore <= BOT_DRAW_ACCEPT_EVAL;
+        } catch (error) {
+            logger.warn(`[GameManager] Could not evaluate draw offer in game ${gameData.gameId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Offers a draw. Against RolyBot the engine decides straight away,
+     * otherwise the opponent gets Accept/Decline buttons in the game thread.
+     * @param {string} userId - Player offering the draw
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {Promise<{status: 'offered'|'accepted'|'declined', announced: boolean, text: string}>}
+     */
+    async offerDraw(userId, channelId = null) {
+        const gameData = this._requireGame(userId, channelId);
+        if (gameData.pendingOffer) {
+            throw new Error(`There is already a pending ${gameData.pendingOffer.type} offer in this game.`);
+        }
+
+        if (this.isBotGame(gameData)) {
+            if (await this.botAcceptsDraw(gameData)) {
+                const text = `🤝 RolyBot accepts <@${userId}>'s draw offer. The game is drawn. (1/2-1/2)`;
+                const announced = await this.endGame(gameData, '1/2-1/2', 'draw agreement', text);
+                return { status: 'accepted', announced, text };
+            }
+            const text = '🙅 RolyBot declines the draw offer and plays on.';
+            return { status: 'declined', announced: await this.sendToGameThread(gameData, text), text };
+        }
+
+        this.gameStateManager.updateGame(gameData.gameId, { pendingOffer: { type: 'draw', fromId: userId, createdAt: new Date().toISOString() } });
+        const announced = await this.sendToGameThread(gameData, this.buildOfferMessage(gameData));
+        return { status: 'offered', announced, text: 'Draw offered. Your opponent can accept or decline in the game thread.' };
+    }
+
+    /**
+     * Asks to take back the user's last move. RolyBot grants takebacks straight away at
+     * the lower difficulties, human opponents get Accept/Decline buttons in the game thread.
+     * @param {string} userId - Player asking for the takeback
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {Promise<{status: 'offered'|'accepted', announced: boolean, text: string}>}
+     */
+    async requestTakeback(userId, channelId = null) {
+        const gameData = this._requireGame(userId, channelId);
+        if (gameData.pendingOffer) {
+            throw new Error(`There is already a pending ${gameData.pendingOffer.type} offer in this game.`);
+        }
+        const playerColor = this.gameStateManager.getPlayerColor(gameData, userId);
+        const movesPlayed = gameData.gameInstance.history({ verbose: true });
+        if (!movesPlayed.some(move => move.color === playerColor)) {
+            throw new Error('You have not made a move to take back yet.');
+        }
+
+        if (this.isBotGame(gameData)) {
+            if (!TAKEBACK_DIFFICULTIES.includes(gameData.difficulty)) {
+                throw new Error(`RolyBot doesn't allow takebacks at ${gameData.difficulty} difficulty.`);
+            }
+            if (gameData.gameInstance.turn() !== playerColor) {
+                throw new Error('Wait for RolyBot to finish its move before asking for a takeback.');
+            }
+            const undone = this.takeBack(gameData, userId);
+            const text = `↩️ RolyBot lets <@${userId}> take back ${undone.join(', ')}.`;
+            const announced = await this.sendToGameThread(gameData, this.buildTakebackBoard(gameData, text));
+            return { status: 'accepted', announced, text };
+        }
+
+        this.gameStateManager.updateGame(gameData.gameId, { pendingOffer: { type: 'takeback', fromId: userId, createdAt: new Date().toISOString() } });
+        const announced = await this.sendToGameThread(gameData, this.buildOfferMessage(gameData));
+        return { status: 'offered', announced, text: 'Takeback requested. Your opponent can accept or decline in the game thread.' };
+    }
+
+    /**
+     * Checks that a user can answer a pending offer
+     * @param {string} gameId - Game ID
+     * @param {string} userId - Player answering
+     * @param {'draw'|'takeback'} type - Kind of offer being answered
+     * @returns {Object} Game state with the pending offer
+     */
+    getPendingOffer(gameId, userId, type) {
+        const gameData = this.gameStateManager.getGameById(gameId);
+        const offer = gameData?.pendingOffer;
+        if (!offer || offer.type !== type) {
+            throw new Error(`There is no pending ${type} offer in this game.`);
+        }
+        if (offer.fromId === userId || (gameData.whiteId !== userId && gameData.blackId !== userId)) {
+            throw new Error(`Only ${offer.fromId === gameData.whiteId ? 'Black' : 'White'} can answer this offer.`);
+        }
+        return gameData;
+    }
+
+    /**
+     * Accepts or declines a pending draw offer or takeback request
+     * @param {string} gameId - Game ID
+     * @param {string} userId - Player responding, must be the one the offer was made to
+     * @param {'draw'|'takeback'} type - Kind of offer being answered
+     * @param {boolean} accept - Whether the offer is accepted
+     * @returns {Promise<{status: 'accepted'|'declined', announced: boolean, text: string}>}
+     */
+    async respondToOffer(gameId, userId, type, accept) {
+        const gameData = this.getPendingOffer(gameId, userId, type);
+        const offer = gameData.pendingOffer;
+
+        this.gameStateManager.updateGame(gameData.gameId, { pendingOffer: null });
+
+        if (!accept) {
+            const text = type === 'draw'
+                ? `🙅 <@${userId}> declines the draw offer.`
+                : `🙅 <@${userId}> declines the takeback.`;
+            return { status: 'declined', announced: await this.sendToGameThread(gameData, text), text };
+        }
+
+        if (type === 'draw') {
+            const text = `🤝 <@${userId}> accepts the draw offer. The game is drawn. (1/2-1/2)`;
+            const announced = await this.endGame(gameData, '1/2-1/2', 'draw agreement', text);
+            return { status: 'accepted', announced, text };
+        }
+
+        const undone = this.takeBack(gameData, offer.fromId);
+        const text = `↩️ <@${userId}> accepts. <@${offer.fromId}> takes back ${undone.join(', ')}.`;
+        const announced = await this.sendToGameThread(gameData, this.buildTakebackBoard(gameData, text));
+        return { status: 'accepted', announced, text };
+    }
+
+    /**
+     * Undoes the requester's last move, and the opponent's reply if they already made one
+     * @param {Object} gameData - Game state
+     * @param {string} requesterId - Player taking back their move
+     * @returns {Array<string>} The moves that were undone, in SAN, in the order they were played
+     */
+    takeBack(gameData, requesterId) {
+        const game = gameData.gameInstance;
+        const requesterColor = requesterId === gameData.whiteId ? 'w' : 'b';
+        const plies = game.turn() === requesterColor ? 2 : 1;
+
+        const undone = [];
+        for (let i = 0; i < plies; i++) {
+            const move = game.undo();
+            if (move) undone.unshift(move.san);
+        }
+
+        this.gameStateManager.updateGame(gameData.gameId, {
+            fen: game.fen(),
+            gameInstance: game,
+            pendingOffer: null,
+            takebacks: (gameData.takebacks || 0) + 1,
+            lastMoveAt: new Date().toISOString(),
+            remindersSent: 0,
+            // Restart the clock of the side to move rather than charging the undone time
+            ...(gameData.timeControl ? { turnStartedAt: new Date().toISOString() } : {})
+        });
+        this.clockManager.schedule(gameData);
+        this.refreshFeeds(gameData);
+
+        logger.info(`[GameManager] Took back ${undone.join(', ')} in game ${gameData.gameId}`);
+        return undone;
+    }
+
+    /**
+     * Builds the board shown after a takeback
+     * @param {Object} gameData - Game state
+     * @param {string} description - Embed description
+     * @returns {Object} Payload for channel.send()
+     */
+    buildTakebackBoard(gameData, description) {
+        const lastMove = gameData.gameInstance.history({ verbose: true }).slice(-1)[0];
+        return buildBoardMessage({
+            fen: gameData.gameInstance.fen(),
+            title: 'Move taken back',
+            description,
+            gameData,
+            lastMove,
+            opening: formatOpening(this.getOpening(gameData))
+        });
+    }
+
+    /**
+     * Aborts a game before both players have moved. Aborted games are not rated. Tournament
+     * games can't be aborted, since an aborted game has no result to score.
+     * @param {string} userId - Player aborting the game
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {Promise<{status: 'aborted', announced: boolean, text: string}>}
+     */
+    async abortGame(userId, channelId = null) {
+        const gameData = this._requireGame(userId, channelId);
+        if (gameData.tournamentId) {
+            throw new Error('Tournament games can\'t be aborted. Offer a draw or resign instead.');
+        }
+        if (gameData.gameInstance.history().length > ABORT_MAX_PLIES) {
+            throw new Error('Games can only be aborted before both players have moved. Offer a draw or resign instead.');
+        }
+
+        const text = `🛑 <@${userId}> aborted the game. It will not be rated.`;
+        const announced = await this.endGame(gameData, '*', 'aborted', text);
+        return { status: 'aborted', announced, text };
+    }
+
+    /**
+     * Subscribes a channel to a live board for a user's current game, the one with
+     * the most recent move if they have several. The board message is edited in place after every move.
+     * @param {string} watchedUserId - A player in the game to watch
+     * @param {TextBasedChannel} channel - Channel or DM to post the live board in
+     * @param {string} subscriberId - User who asked to watch
+     * @returns {Promise<Message>} The live board message
+     */
+    async watchGame(watchedUserId, channel, subscriberId) {
+        const lastActive = game => new Date(game.lastMoveAt || game.startedAt).getTime();
+        const gameData = this.gameStateManager.getGamesForUser(watchedUserId)
+            .sort((a, b) => lastActive(b) - lastActive(a))[0];
+        if (!gameData?.gameInstance) {
+            throw new Error(`<@${watchedUserId}> is not playing a game right now.`);
+        }
+        // The feed can show an engine evaluation, so players can't follow their own game,
+        // and nobody can put a feed in front of them in the game's thread
+        if (subscriberId === gameData.whiteId || subscriberId === gameData.blackId) {
+            throw new Error('You can\'t spectate a game you are playing in.');
+        }
+        if (channel.id === gameData.threadId) {
+            throw new Error('You can\'t post a live board in the game\'s own thread. Watch it from another channel or your DMs.');
+        }
+
+        const feeds = (gameData.feeds || []).filter(feed => feed.channelId !== channel.id);
+        if (feeds.length >= MAX_FEEDS_PER_GAME) {
+            throw new Error('This game already has the maximum number of spectator feeds.');
+        }
+
+        const message = await channel.send(await this.buildFeedMessage(this.snapshotGame(gameData)));
+        feeds.push({ channelId: channel.id, messageId: message.id, subscriberId });
+        this.gameStateManager.updateGame(gameData.gameId, { feeds });
+        logger.info(`[GameManager] ${subscriberId} is watching game ${gameData.gameId} in ${channel.id}`);
+        return message;
+    }
+
+    /**
+     * Copies what a spectator feed shows, so it can be rendered after the game has moved on or been removed
+     * @param {Object} gameData - Game state
+     * @param {Object} [final] - Result details once the game is over
+     * @param {string} [final.result] - PGN result
+     * @param {string} [final.termination] - Why the game ended
+     * @returns {Object} Snapshot of the game
+     */
+    snapshotGame(gameData, final = {}) {
+        const game = gameData.gameInstance;
+        const history = game.history({ verbose: true });
+        return {
+            gameId: gameData.gameId,
+            whiteId: gameData.whiteId,
+            blackId: gameData.blackId,
+            threadId: gameData.threadId,
+            guildId: gameData.guildId,
+            initialFen: gameData.initialFen,
+            variant: gameData.variant,
+            fen: game.fen(),
+            moves: history.map(move => move.san),
+            opening: formatOpening(this.getOpening(gameData)),
+            lastMove: history[history.length - 1],
+            turn: game.turn(),
+            timeControl: gameData.timeControl,
+            clocks: gameData.timeControl
+                ? { w: getRemainingTime(gameData, 'w'), b: getRemainingTime(gameData, 'b') }
+                : null,
+            result: final.result || null,
+            termination: final.termination || null,
+            feeds: gameData.feeds || []
+        };
+    }
+
+    /**
+     * Builds the live board shown to spectators: board, move list, clocks and evaluation bar.
+     * Games between people only get the evaluation bar once they're over, unless the players
+     * see evaluations themselves (see showsEvaluations).
+     * @param {Object} snapshot - Output of snapshotGame()
+     * @returns {Promise<Object>} Payload for channel.send() or message.edit()
+     */
+    async buildFeedMessage(snapshot) {
+        const [white, black] = await Promise.all([
+            this.resolveUsername(snapshot.whiteId),
+            this.resolveUsername(snapshot.blackId)
+        ]);
+
+        const status = snapshot.result
+            ? `**Result:** ${snapshot.result} (${snapshot.termination})`
+            : `${snapshot.turn === 'w' ? 'White' : 'Black'} to move`;
+        const moveList = snapshot.moves.length > 0 ? formatMoveList(snapshot.moves, snapshot.initialFen) : 'No moves yet';
+
+        const payload = buildBoardMessage({
+            fen: snapshot.fen,
+            title: `👀 ${white} (White) vs ${black} (Black)`,
+            description: `${status}\n\n${moveList}`,
+            lastMove: snapshot.lastMove,
+            gameData: snapshot,
+            clocks: snapshot.clocks || undefined,
+            opening: snapshot.opening,
+            evaluation: snapshot.result || this.isBotGame(snapshot) || this.showsEvaluations(snapshot)
+                ? await this.getEvaluation(snapshot, snapshot.fen)
+                : null
+        });
+
+        if (snapshot.threadId && snapshot.guildId) {
+            payload.embeds[0].addFields({
+                name: 'Game thread',
+                value: `https://discord.com/channels/${snapshot.guildId}/${snapshot.threadId}`,
+                inline: false
+            });
+        }
+        return payload;
+    }
+
+    /**
+     * Edits every spectator feed of a game to show its current position.
+     * Updates for the same game run in order, and never throw.
+     * @param {Object} gameData - Game state
+     * @param {Object} [final] - Result details once the game is over (see snapshotGame)
+     * @returns {Promise<void>}
+     */
+    refreshFeeds(gameData, final) {
+        if (!gameData?.gameInstance || !gameData.feeds?.length) return Promise.resolve();
+
+        // Take the snapshot now, the game may be removed before the update runs
+        const snapshot = this.snapshotGame(gameData, final);
+        const previous = this.feedUpdates.get(snapshot.gameId) || Promise.resolve();
+        const update = previous
+            .then(() => this._editFeeds(snapshot))
+            .catch(error => logger.error(`[GameManager] Error updating feeds for game ${snapshot.gameId}: ${error.message}`))
+            .finally(() => {
+                if (this.feedUpdates.get(snapshot.gameId) === update) {
+                    this.feedUpdates.delete(snapshot.gameId);
+                }
+            });
+        this.feedUpdates.set(snapshot.gameId, update);
+        return update;
+    }
+
+    /**
+     * Edits the feed messages for a snapshot, dropping feeds whose message is gone
+     * @param {Object} snapshot - Output of snapshotGame()
+     */
+    async _editFeeds(snapshot) {
+        const payload = await this.buildFeedMessage(snapshot);
+        const lost = [];
+        for (const feed of snapshot.feeds) {
+            try {
+                const channel = await this.client.channels.fetch(feed.channelId);
+                const message = await channel.messages.fetch(feed.messageId);
+                await message.edit({ ...payload, attachments: [] });
+            } catch (error) {
+                logger.warn(`[GameManager] Dropping feed ${feed.messageId} of game ${snapshot.gameId}: ${error.message}`);
+                lost.push(feed.messageId);
+            }
+        }
+
+        const current = this.gameStateManager.getGameById(snapshot.gameId);
+        if (lost.length > 0 && current) {
+            this.gameStateManager.updateGame(current.gameId, {
+                feeds: (current.feeds || []).filter(feed => !lost.includes(feed.messageId))
+            });
+        }
+    }
+
+    /**
+     * Gets the active games in a server
+     * @param {string} guildId - Server ID
+     * @returns {Promise<Array<Object>>} Game states, oldest first
+     */
+    async getGamesInGuild(guildId) {
+        const games = [];
+        for (const gameData of this.gameStateManager.getAllGames()) {
+            let gameGuildId = gameData.guildId;
+            // Games started before the server was stored on the game: look it up from the thread
+            if (!gameGuildId && gameData.threadId) {
+                const thread = await this.client.channels.fetch(gameData.threadId).catch(() => null);
+                gameGuildId = thread?.guildId;
+            }
+            if (gameGuildId === guildId) {
+                games.push(gameData);
+            }
+        }
+        return games.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+    }
+
+    /**
+     * Starts a tournament and creates its first round of games
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} userId - User starting it, must be the creator
+     * @returns {Promise<Object>} The tournament
+     */
+    async startTournament(tournamentId, userId) {
+        const { tournament, round } = this.tournamentManager.startTournament(tournamentId, userId);
+        await this.startTournamentRound(tournament, round);
+        return tournament;
+    }
+
+    /**
+     * Withdraws a player from a tournament, resigning their current tournament game
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} userId - Player withdrawing
+     * @returns {Promise<Object>} The tournament
+     */
+    async withdrawFromTournament(tournamentId, userId) {
+        const gameData = this.gameStateManager.getGamesForUser(userId)
+            .find(game => game.tournamentId === tournamentId);
+        if (gameData && (!gameData.result || gameData.result === '*')) {
+            const result = this.gameStateManager.getPlayerColor(gameData, userId) === 'w' ? '0-1' : '1-0';
+            await this.endGame(gameData, result, 'withdrawal', `🏳️ <@${userId}> withdrew from the tournament and forfeits this game. (${result})`);
+        }
+
+        const { tournament } = this.tournamentManager.withdrawPlayer(tournamentId, userId);
+        this.scheduleTournamentUpdate();
+        return tournament;
+    }
+
+    /**
+     * Announces a round's pairings and creates its games
+     * @param {Object} tournament - Tournament (see TournamentManager)
+     * @param {Object} round - Round to start
+     */
+    async startTournamentRound(tournament, round) {
+        const channel = await this.client.channels.fetch(tournament.channelId).catch(() => null);
+        if (channel) {
+            await channel.send({ embeds: [this.tournamentManager.buildRoundEmbed(tournament, round)] })
+                .catch(error => logger.error(`[GameManager] Error announcing round: ${error.message}`));
+        }
+        await this.startPendingTournamentGames(tournament, channel);
+    }
+
+    /**
+     * Creates the games of the current round that haven't started yet.
+     * A game waits while either player is still playing in this tournament, or while
+     * the two players already have a game of their own going.
+     * @param {Object} tournament - Tournament (see TournamentManager)
+     * @param {?TextChannel} channel - Channel to create game threads in
+     * @returns {Promise<number>} Number of games that are still waiting
+     */
+    async startPendingTournamentGames(tournament, channel) {
+        const round = this.tournamentManager.getCurrentRound(tournament);
+        if (!round || !channel) return 0;
+
+        let waiting = 0;
+        for (const pairing of round.pairings) {
+            if (pairing.result || pairing.gameId || !pairing.blackId) continue;
+
+            // Clear out finished games that are still stored, and wait for ones in progress
+            const players = [pairing.whiteId, pairing.blackId];
+            const blocking = players
+                .flatMap(playerId => this.gameStateManager.getGamesForUser(playerId))
+                .filter(existing => existing.tournamentId === tournament.id
+                    || (players.includes(existing.whiteId) && players.includes(existing.blackId)));
+            let busy = false;
+            for (const existing of blocking) {
+                if (existing.result && existing.result !== '*') {
+                    this.removeGame(existing.gameId);
+                } else {
+                    busy = true;
+                }
+            }
+            if (busy) {
+                waiting++;
+                continue;
+            }
+
+            const result = await this.createGameForPlayers(pairing.whiteId, pairing.blackId, 'intermediate', {
+                timeControl: tournament.timeControl,
+                player1Color: 'w',
+                tournamentId: tournament.id,
+                tournamentRound: round.number
+            });
+            if (!result.success) {
+                logger.error(`[GameManager] Could not create tournament game ${pairing.whiteId} vs ${pairing.blackId}: ${result.message}`);
+                waiting++;
+                continue;
+            }
+
+            this.tournamentManager.setPairingGame(pairing, result.game.gameId);
+            try {
+                await this.openGameThread(result.game, channel.guild, channel, {
+                    title: `🏆 ${tournament.name}, round ${round.number}`
+                });
+            } catch (error) {
+                logger.error(`[GameManager] Error opening tournament game thread: ${error.message}`);
+            }
+        }
+        return waiting;
+    }
+
+    /**
+     * Runs advanceTournaments() after a short pause, once for a burst of finished games
+     */
+    scheduleTournamentUpdate() {
+        if (this.tournamentTimer) return;
+        this.tournamentTimer = setTimeout(() => {
+            this.tournamentTimer = null;
+            this.advanceTournaments();
+        }, NEXT_ROUND_DELAY_MS);
+    }
+
+    /**
+     * Moves every running tournament along: pairs the next round when the current one is complete,
+     * announces the final standings after the last round, and starts games that were waiting
+     * @returns {Promise<void>}
+     */
+    advanceTournaments() {
+        this.tournamentUpdate = this.tournamentUpdate
+            .then(async () => {
+                for (const tournament of this.tournamentManager.getRunningTournaments()) {
+                    const channel = await this.client.channels.fetch(tournament.channelId).catch(() => null);
+                    if (!this.tournamentManager.isRoundComplete(tournament)) {
+                        await this.startPendingTournamentGames(tournament, channel);
+                        continue;
+                    }
+
+                    const finishedRound = this.tournamentManager.getCurrentRound(tournament);
+                    const round = this.tournamentManager.pairNextRound(tournament);
+                    if (round) {
+                        logger.info(`[GameManager] Tournament ${tournament.id} round ${finishedRound.number} complete, starting round ${round.number}`);
+                        await channel?.send({ embeds: [this.tournamentManager.buildStandingsEmbed(tournament, `After round ${finishedRound.number}`)] });
+                        await this.startTournamentRound(tournament, round);
+                    } else {
+                        await channel?.send({ embeds: [this.tournamentManager.buildStandingsEmbed(tournament, 'Final standings')] });
+                    }
+                }
+            })
+            .catch(error => logger.error(`[GameManager] Error advancing tournaments: ${error.message}`));
+        return this.tournamentUpdate;
+    }
+
+    /**
+     * Builds a PGN export of a user's current game, using Discord usernames for the player tags
+     * @param {string} userId - ID of either player
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {Promise<string|null>} The PGN text, or null if the user has no game
+     */
+    async getGamePgn(userId, channelId = null) {
+        const gameData = this.gameStateManager.getGame(userId, channelId);
+        if (!gameData) return null;
+
+        const [white, black] = await Promise.all([
+            this.resolveUsername(gameData.whiteId),
+            this.resolveUsername(gameData.blackId)
+        ]);
+        return buildPgn(gameData, { white, black });
+    }
+
+    /**
+     * Gets a user's Discord username, falling back to their ID
+     * @param {string} userId - User ID
+     * @returns {Promise<string>}
+     */
+    async resolveUsername(userId) {
+        try {
+            const user = await this.client.users.fetch(userId);
+            return user.username;
+        } catch (error) {
+            logger.warn(`[GameManager] Could not resolve username for ${userId}: ${error.message}`);
+            return userId;
+        }
     }
 }
 
@@ -537,6 +2373,5 @@ const getInstanceIfExists = () => instance;
 module.exports = {
     getInstance,
     getInstanceIfExists,
-    getGameManager: () => instance,
-    getBoardImageUrl
+    getGameManager: () => instance
 };
\ No newline at end of file
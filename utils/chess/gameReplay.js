@@ -0,0 +1,80 @@
+/**
+ * Game Replay - Turns a recorded game into an animated GIF.
+ * Every position is drawn locally by boardRenderer, one frame per ply with the last
+ * move highlighted, followed by a final frame with the result across the board.
+ * Rendering yields to the event loop between frames, so long games don't hold up the bot.
+ *
+ * Main Functions:
+ * - renderReplayGif: Renders a game's move list to an animated GIF
+ */
+
+const { renderBoardPixels } = require('./boardRenderer');
+const { GifEncoder } = require('./gifEncoder');
+const { createChess } = require('./variants');
+const { DEFAULT_FEN } = require('./pgnUtils');
+
+const REPLAY_SQUARE_SIZE = 40;       // Smaller than move boards, to keep the GIF light
+const FIRST_FRAME_DELAY_MS = 1500;
+const MOVE_FRAME_DELAY_MS = 800;
+const RESULT_FRAME_DELAY_MS = 4000;
+const PALETTE_SAMPLE_FRAMES = 8;     // Positions the colour palette is chosen from
+
+/**
+ * Replays a game and lists the positions to draw
+ * @param {Object} game - Game record or state (see ResultsManager)
+ * @param {?string} game.initialFen - Starting position
+ * @param {Array<string>} game.moves - Move list in SAN
+ * @param {string} [game.variant='standard'] - Game variant
+ * @returns {Array<{fen: string, lastMove: ?Object}>} The starting position, then one entry per ply
+ */
+function listPositions({ initialFen, moves = [], variant = 'standard' }) {
+    const chess = createChess(initialFen || DEFAULT_FEN, variant);
+    const positions = [{ fen: chess.fen(), lastMove: null }];
+    for (const san of moves) {
+        const move = chess.move(san);
+        positions.push({ fen: chess.fen(), lastMove: { from: move.from, to: move.to } });
+    }
+    return positions;
+}
+
+/**
+ * Renders a game as an animated GIF
+ * @param {Object} game - Game record (see ResultsManager), with initialFen, moves, variant and result
+ * @param {Object} [options]
+ * @param {'w'|'b'} [options.orientation='w'] - Colour shown at the bottom of the board
+ * @returns {Promise<Buffer>} GIF file contents
+ */
+async function renderReplayGif(game, { orientation = 'w' } = {}) {
+    const positions = listPositions(game);
+    const render = (position, caption) => renderBoardPixels(position.fen, {
+        orientation,
+        lastMove: position.lastMove || undefined,
+        squareSize: REPLAY_SQUARE_SIZE,
+        caption
+    });
+
+    const final = positions[positions.length - 1];
+    const result = game.result && game.result !== '*' ? game.result : null;
+    const resultFrame = result ? render(final, result) : null;
+
+    // Pick the palette from positions spread over the whole game, plus the result frame
+    const step = Math.max(1, Math.floor(positions.length / PALETTE_SAMPLE_FRAMES));
+    const samples = positions.filter((_, i) => i % step === 0).map(position => render(position).data);
+    if (resultFrame) samples.push(resultFrame.data);
+
+    const first = render(positions[0]);
+    const encoder = new GifEncoder({ width: first.width, height: first.height, samples });
+    encoder.addFrame(first.data, FIRST_FRAME_DELAY_MS);
+    for (let i = 1; i < positions.length; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+        encoder.addFrame(render(positions[i]).data, i === positions.length - 1 && !resultFrame ? RESULT_FRAME_DELAY_MS : MOVE_FRAME_DELAY_MS);
+    }
+    if (resultFrame) {
+        encoder.addFrame(resultFrame.data, RESULT_FRAME_DELAY_MS);
+    }
+    return encoder.finish();
+}
+
+module.exports = {
+    renderReplayGif
+};
@@ -1,25 +1,92 @@
 /**
  * Manages chess game state persistence and instance management.
- * Handles game creation, updates, and synchronization between players.
- * Persists game state to disk and restores it on restart.
+ * Games are stored by game ID, with an index of each player's active games, so a player
+ * can have several games at once. Persists game state to disk and restores it on restart;
+ * games.json files from before game IDs were the key (one entry per player) are migrated on load.
  * 
  * @typedef {Object} GameState
+ * @property {string} gameId - Unique game ID
  * @property {string} fen - Current FEN string
- * @property {'w'|'b'} playerColor - Player's color
- * @property {string} opponent - Opponent's user ID
+ * @property {string} initialFen - Starting position the move list is replayed from
+ * @property {string} [variant] - standard, chess960 or fen (a custom starting position), standard if absent
+ * @property {Array<string>} moves - Full move list in SAN
+ * @property {string} whiteId - White player's user ID
+ * @property {string} blackId - Black player's user ID
+ * @property {string} startedAt - ISO timestamp of when the game started
+ * @property {'1-0'|'0-1'|'1/2-1/2'|'*'} result - PGN result, '*' while in progress
+ * @property {?Object} timeControl - Time control (see clockManager), absent for untimed games
+ * @property {?{w: number, b: number}} clocks - Remaining milliseconds per colour at the start of the current turn
+ * @property {?string} turnStartedAt - ISO timestamp of when the current turn started
+ * @property {?string} [lastMove] - Last move played, in SAN
+ * @property {?string} [lastMoveAt] - ISO timestamp of the last move, used for inactivity reminders (see InactivityManager)
+ * @property {number} [remindersSent] - Inactivity reminders sent since the last move
  * @property {?string} threadId - Discord thread ID
  * @property {string} difficulty - AI difficulty level
+ * @property {?{startStrength: number, strength: number}} [adaptive] - RolyBot's strength in adaptive games (see adaptiveDifficulty.js)
+ * @property {boolean} [coach] - Coach mode, which warns before moves that lose material (games against RolyBot)
+ * @property {?{fen: string, san: string}} [coachWarning] - Move the coach warned about, played if it is sent again
+ * @property {Array<{ply: number, moves: Array<string>, at: string}>} [hints] - Hints given so far
  * @property {Chess} gameInstance - chess.js game instance
  */
 
 const fs = require('fs');
 const path = require('path');
-const Chess = require('chess.js').Chess;
+const crypto = require('crypto');
+const { createChess } = require('./variants');
 const logger = require('../logger');
+const { DEFAULT_FEN, replayMoves, getGameResult } = require('./pgnUtils');
+
+// Per-player fields of the old one-entry-per-player format, which are not stored any more
+const LEGACY_PLAYER_FIELDS = ['playerColor', 'opponent'];
+
+/**
+ * Generates a short unique ID for a game
+ * @returns {string} The game ID
+ */
+function generateGameId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Converts games saved in the old format, with an entry for each player keyed by user ID,
+ * to one entry per game
+ * @param {Object<string, Object>} data - Saved entries by user ID
+ * @returns {Object<string, Object>} Saved games by game ID
+ */
+function migrateLegacyGames(data) {
+    const games = {};
+    const byPlayers = new Map();
+    for (const [userId, entry] of Object.entries(data)) {
+        if (!entry || typeof entry !== 'object') {
+            logger.warn(`[GameStateManager] Skipping invalid game data for user ${userId}`);
+            continue;
+        }
+
+        const whiteId = entry.whiteId || (entry.playerColor === 'b' ? entry.opponent : userId);
+        const blackId = entry.blackId || (entry.playerColor === 'b' ? userId : entry.opponent);
+        // Both players' entries describe the same game, so only keep the first
+        const pairKey = `${whiteId}:${blackId}`;
+        if (byPlayers.has(pairKey)) continue;
+
+        const gameId = entry.gameId || generateGameId();
+        // Entries from before move lists were saved continue from their saved position
+        const moves = Array.isArray(entry.moves) ? entry.moves : [];
+        const initialFen = entry.initialFen || (moves.length > 0 ? DEFAULT_FEN : entry.fen);
+        const game = { ...entry, gameId, whiteId, blackId, initialFen, moves };
+        LEGACY_PLAYER_FIELDS.forEach(field => delete game[field]);
+        games[gameId] = game;
+        byPlayers.set(pairKey, gameId);
+    }
+    logger.info(`[GameStateManager] Migrated ${Object.keys(data).length} player entries to ${Object.keys(games).length} games`);
+    return games;
+}
 
 class GameStateManager {
     constructor(savePath) {
+        /** @type {Map<string, GameState>} Active games by game ID */
         this.games = new Map();
+        /** @type {Map<string, Set<string>>} IDs of each player's active games, by user ID */
+        this.playerGames = new Map();
         this.savePath = savePath;
         this.saveDir = path.dirname(savePath);
         this.initialized = false;
@@ -51,75 +118,32 @@ class GameStateManager {
         }
     }
 
-    loadGames() {
-        try {
-            if (!fs.existsSync(this.savePath)) {
-                logger.info('[GameStateManager] No saved games found, starting fresh');
-                this.games = new Map();
-                this.saveGames();
-                return true;
-            }
-            
-            // Read and parse the file
-            const fileContent = fs.readFileSync(this.savePath, 'utf8').trim();
-            
-            // Handle empty file
-            if (!fileContent) {
-                logger.info('[GameStateManager] Saved games file is empty, starting fresh');
-                this.games = new Map();
-                this.saveGames();
-                return true;
-            }
-            
-            // Parse the JSON data
-            const data = JSON.parse(fileContent);
-            
-            // Validate the data structure
-            if (data && typeof data === 'object' && !Array.isArray(data)) {
-                this.games = new Map(Object.entries(data));
-                logger.info(`[GameStateManager] Loaded ${this.games.size} games from disk`);
-                return true;
-            } else {
-                throw new Error('Invalid game data format');
-            }
-        } catch (error) {
-            logger.error(`[GameStateManager] Error loading games: ${error.message}`);
-            
-            // Backup the corrupted file
-            try {
-                const backupPath = `${this.savePath}.${Date.now()}.bak`;
-                if (fs.existsSync(this.savePath)) {
-                    fs.renameSync(this.savePath, backupPath);
-                    logger.warn(`[GameStateManager] Backed up corrupted games file to ${backupPath}`);
-                }
-            } catch (backupError) {
-                logger.error(`[GameStateManager] Failed to backup corrupted games file: ${backupError.message}`);
-            }
-            
-            // Start fresh
-            this.games = new Map();
-            this.saveGames();
-            return false;
-        }
-    }
-
     saveGames() {
-        const data = {};
-        for (const [userId, gameData] of this.games.entries()) {
-            // Get the current FEN from the game instance if it exists, otherwise use the saved FEN
+        const games = {};
+        for (const [gameId, gameData] of this.games.entries()) {
+            // Get the current FEN and move list from the game instance if it exists, otherwise use the saved values
             const currentFen = gameData.gameInstance ? gameData.gameInstance.fen() : gameData.fen;
+            const moves = gameData.gameInstance ? gameData.gameInstance.history() : (gameData.moves || []);
             
-            data[userId] = {
+            // Record the result once the board itself decides the game (checkmate or a draw)
+            if ((!gameData.result || gameData.result === '*') && gameData.gameInstance) {
+                gameData.result = getGameResult(gameData.gameInstance);
+            }
+            
+            // Persist everything except the live chess.js instance, which is rebuilt from the move list on load
+            const { gameInstance, ...persisted } = gameData;
+            games[gameId] = {
+                ...persisted,
                 fen: currentFen,
-                playerColor: gameData.playerColor,
-                opponent: gameData.opponent,
-                threadId: gameData.threadId,
-                difficulty: gameData.difficulty || 'medium'
+                moves,
+                result: gameData.result || '*',
+                difficulty: gameData.difficulty || 'intermediate'
             };
             
-            // Update the in-memory FEN to match the game instance
+            // Update the in-memory FEN and moves to match the game instance
             if (gameData.gameInstance) {
                 gameData.fen = currentFen;
+                gameData.moves = moves;
             }
         }
 
@@ -127,7 +151,7 @@ class GameStateManager {
             if (!fs.existsSync(this.saveDir)) {
                 fs.mkdirSync(this.saveDir, { recursive: true });
             }
-            fs.writeFileSync(this.savePath, JSON.stringify(data, null, 2));
+            fs.writeFileSync(this.savePath, JSON.stringify({ games }, null, 2));
         } catch (error) {
             logger.error(`[GameStateManager] Error saving games: ${error.message}`);
             throw error;
@@ -158,191 +182,293 @@ class GameStateManager {
                 fs.writeFileSync(this.savePath, '{}');
                 return;
             }
+
+            // Files without a games key are in the old format, keyed by user ID
+            const isLegacy = !(data.games && typeof data.games === 'object');
+            const saved = isLegacy ? migrateLegacyGames(data) : data.games;
             
-            logger.info(`[GameStateManager] Loading ${Object.keys(data).length} games from disk`);
-            for (const [userId, gameData] of Object.entries(data)) {
+            logger.info(`[GameStateManager] Loading ${Object.keys(saved).length} games from disk`);
+            for (const [gameId, gameData] of Object.entries(saved)) {
                 if (!gameData || typeof gameData !== 'object') {
-                    logger.warn(`[GameStateManager] Skipping invalid game data for user ${userId}`);
+                    logger.warn(`[GameStateManager] Skipping invalid game data for game ${gameId}`);
                     continue;
                 }
                 
-                // Create a new Chess instance with the saved FEN
-                const gameInstance = new Chess();
-                try {
-                    if (gameData.fen) {
-                        gameInstance.load(gameData.fen);
-                    }
-                } catch (error) {
-                    logger.error(`[GameStateManager] Error loading FEN for user ${userId}: ${error.message}`);
-                    continue;
-                }
+                const gameInstance = this.buildGameInstance(gameData, gameId);
+                if (!gameInstance) continue;
                 
-                this.games.set(userId, {
-                    fen: gameData.fen,
-                    playerColor: gameData.playerColor,
-                    opponent: gameData.opponent,
-                    threadId: gameData.threadId,
+                this.addGame({
+                    ...gameData,
+                    gameId,
+                    // Without a move list the game can only be replayed from where it was saved
+                    initialFen: gameInstance.history().length > 0 ? (gameData.initialFen || DEFAULT_FEN) : gameInstance.fen(),
+                    moves: gameInstance.history(),
+                    result: gameData.result || '*',
                     difficulty: gameData.difficulty || 'intermediate',
                     gameInstance: gameInstance
                 });
                 
-                logger.info(`[GameStateManager] Loaded game for user ${userId} with FEN: ${gameData.fen}`);
+                logger.info(`[GameStateManager] Loaded game ${gameId} with FEN: ${gameInstance.fen()}`);
             }
             logger.info(`[GameStateManager] Loaded ${this.games.size} games`);
+
+            if (isLegacy) {
+                this.saveGames();
+            }
         } catch (error) {
             logger.error(`[GameStateManager] Error loading games: ${error.message}`);
         }
     }
 
-    getGame(userId) {
-        const gameData = this.games.get(userId);
-        if (!gameData) return null;
+    /**
+     * Rebuilds a chess.js instance for saved game data.
+     * Replays the move list so repetition and 50-move history survive a restart,
+     * falling back to the last saved FEN for games saved before moves were recorded,
+     * or when the replayed moves don't lead to the saved position.
+     * @param {Object} gameData - Saved game data
+     * @param {string} gameId - Game the data belongs to (for logging)
+     * @returns {Chess|null} The rebuilt instance, or null if the game could not be restored
+     */
+    buildGameInstance(gameData, gameId) {
+        if (Array.isArray(gameData.moves) && gameData.moves.length > 0) {
+            try {
+                const replayed = replayMoves(gameData.initialFen, gameData.moves, gameData.variant);
+                if (!gameData.fen || replayed.fen() === gameData.fen) {
+                    return replayed;
+                }
+                logger.warn(`[GameStateManager] Moves of game ${gameId} lead to ${replayed.fen()}, not the saved ${gameData.fen}; falling back to FEN`);
+            } catch (error) {
+                logger.error(`[GameStateManager] Error replaying moves for game ${gameId}, falling back to FEN: ${error.message}`);
+            }
+        }
         
-        // If we have a game instance, make sure it's up to date
-        if (gameData.gameInstance) {
-            return gameData;
+        try {
+            return createChess(gameData.fen || gameData.initialFen || DEFAULT_FEN, gameData.variant);
+        } catch (error) {
+            logger.error(`[GameStateManager] Error loading FEN for game ${gameId}: ${error.message}`);
+            return null;
         }
+    }
+
+    /**
+     * Stores a game and adds it to both players' indexes
+     * @param {GameState} gameData
+     */
+    addGame(gameData) {
+        this.games.set(gameData.gameId, gameData);
+        for (const userId of [gameData.whiteId, gameData.blackId]) {
+            if (!this.playerGames.has(userId)) {
+                this.playerGames.set(userId, new Set());
+            }
+            this.playerGames.get(userId).add(gameData.gameId);
+        }
+    }
+
+    /**
+     * Finds a game by its game ID
+     * @param {string} gameId - The game ID
+     * @returns {GameState|null} The game, or null if not found
+     */
+    getGameById(gameId) {
+        const gameData = this.games.get(gameId);
+        if (!gameData) return null;
         
-        // If we have a FEN but no game instance, create one
-        if (gameData.fen) {
-            try {
-                const gameInstance = new Chess();
-                gameInstance.load(gameData.fen);
-                gameData.gameInstance = gameInstance;
-                logger.info(`[GameStateManager] Created new game instance for user ${userId} from FEN`);
-            } catch (error) {
-                logger.error(`[GameStateManager] Error creating game instance for user ${userId}: ${error.message}`);
-                return null;
+        // If we have saved state but no game instance, rebuild one from the move list
+        if (!gameData.gameInstance) {
+            const gameInstance = this.buildGameInstance(gameData, gameId);
+            if (!gameInstance) return null;
+            gameData.gameInstance = gameInstance;
+            if (gameInstance.history().length === 0) {
+                gameData.initialFen = gameInstance.fen();
             }
+            logger.info(`[GameStateManager] Created new game instance for game ${gameId} from saved state`);
         }
         
         return gameData;
     }
 
-    getOpponentGame(userId) {
-        const gameData = this.games.get(userId);
-        if (!gameData || !gameData.opponent) return null;
-        
-        // This will ensure the game instance is created if it doesn't exist
-        return this.getGame(gameData.opponent);
+    /**
+     * Gets a user's active games
+     * @param {string} userId - User ID
+     * @returns {Array<GameState>} The games, oldest first
+     */
+    getGamesForUser(userId) {
+        const gameIds = this.playerGames.get(userId) || [];
+        return [...gameIds].map(gameId => this.getGameById(gameId)).filter(Boolean);
     }
 
-    createGame(whiteId, blackId, difficulty = 'intermediate', initialFen = null) {
-        logger.info(`[GameStateManager] Creating new game between ${whiteId} and ${blackId}`);
-        
-        if (this.hasExistingGame(whiteId, blackId)) {
-            throw new Error('A game already exists between these players');
+    /**
+     * Finds the game played in a thread
+     * @param {string} threadId - Discord thread ID
+     * @returns {GameState|null}
+     */
+    getGameByThread(threadId) {
+        if (!threadId) return null;
+        for (const gameData of this.games.values()) {
+            if (gameData.threadId === threadId) {
+                return this.getGameById(gameData.gameId);
+            }
         }
+        return null;
+    }
+
+    /**
+     * Gets the game a user means: the one played in the channel they are writing in,
+     * or their only game
+     * @param {string} userId - User ID
+     * @param {?string} [channelId] - Channel the user is writing in
+     * @returns {GameState|null} The game, or null if the user has none or it isn't clear which one they mean
+     */
+    getGame(userId, channelId = null) {
+        const inChannel = this.getGameByThread(channelId);
+        if (inChannel && (inChannel.whiteId === userId || inChannel.blackId === userId)) {
+            return inChannel;
+        }
+        const games = this.getGamesForUser(userId);
+        return games.length === 1 ? games[0] : null;
+    }
 
-        const fen = initialFen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+    /**
+     * Gets every active game
+     * @returns {Array<GameState>}
+     */
+    getAllGames() {
+        return [...this.games.keys()].map(gameId => this.getGameById(gameId)).filter(Boolean);
+    }
+
+    /**
+     * Gets the colour a user plays in a game
+     * @param {GameState} gameData
+     * @param {string} userId - A player in the game
+     * @returns {'w'|'b'}
+     */
+    getPlayerColor(gameData, userId) {
+        return gameData.whiteId === userId ? 'w' : 'b';
+    }
+
+    /**
+     * Gets a user's opponent in a game
+     * @param {GameState} gameData
+     * @param {string} userId - A player in the game
+     * @returns {string} The other player's user ID
+     */
+    getOpponentId(gameData, userId) {
+        return gameData.whiteId === userId ? gameData.blackId : gameData.whiteId;
+    }
+
+    /**
+     * Creates a new game and adds it to both players' indexes
+     * @param {string} whiteId - White player's user ID
+     * @param {string} blackId - Black player's user ID
+     * @param {string} [difficulty='intermediate'] - AI difficulty level
+     * @param {?string} [initialFen] - Starting position (defaults to the standard start)
+     * @param {Object} [extra] - Additional game fields to store, e.g. time control and clocks
+     * @returns {GameState} The new game
+     */
+    createGame(whiteId, blackId, difficulty = 'intermediate', initialFen = null, extra = {}) {
+        logger.info(`[GameStateManager] Creating new game between ${whiteId} and ${blackId}`);
+        
+        const fen = initialFen || DEFAULT_FEN;
         
         // Create a new game instance
-        const gameInstance = new Chess(fen);
+        const gameInstance = createChess(fen, extra.variant);
         
-        // Create the base game state
         const gameState = {
+            gameId: generateGameId(),
             fen: gameInstance.fen(),
-            playerColor: 'w',
-            opponent: blackId,
+            initialFen: fen,
+            moves: [],
+            whiteId,
+            blackId,
+            startedAt: new Date().toISOString(),
+            result: '*',
             threadId: null,
             difficulty,
+            ...extra,
             gameInstance
         };
         
-        // Create entries for both players with correct colors
-        const whiteGameState = { 
-            ...gameState,
-            playerColor: 'w',
-            opponent: blackId
-        };
-        
-        const blackGameState = { 
-            ...gameState,
-            playerColor: 'b',
-            opponent: whiteId
-        };
-        
-        this.games.set(whiteId, whiteGameState);
-        this.games.set(blackId, blackGameState);
-        
+        this.addGame(gameState);
         this.saveGames();
-        return whiteGameState; // Return the white player's game state by convention
+        return gameState;
     }
 
-    updateGame(userId, updates) {
-        const gameData = this.games.get(userId);
+    /**
+     * Updates a game and saves it
+     * @param {string} gameId - The game ID
+     * @param {Object} updates - Fields to change
+     * @returns {GameState} The updated game
+     */
+    updateGame(gameId, updates) {
+        const gameData = this.games.get(gameId);
         if (!gameData) {
-            throw new Error(`No game found for user ${userId}`);
+            throw new Error(`No game found with ID ${gameId}`);
         }
 
-
-        // If we're updating the FEN, update the game instance if it exists
-        if (updates.fen && gameData.gameInstance) {
+        // If we're updating the FEN, update the game instance if it exists.
+        // Skip the reload when the instance is already at that FEN, since load() wipes the move history.
+        if (updates.fen && gameData.gameInstance && !updates.gameInstance && gameData.gameInstance.fen() !== updates.fen) {
             try {
                 gameData.gameInstance.load(updates.fen);
-                logger.debug(`[GameStateManager] Updated game instance FEN for user ${userId}`);
+                logger.debug(`[GameStateManager] Updated game instance FEN for game ${gameId}`);
             } catch (error) {
-                logger.error(`[GameStateManager] Error updating game instance FEN for user ${userId}: ${error.message}`);
+                logger.error(`[GameStateManager] Error updating game instance FEN for game ${gameId}: ${error.message}`);
                 // Continue with the update even if we couldn't update the instance
             }
         }
 
-        // Apply the updates
         Object.assign(gameData, updates);
-
-        // Update the opponent's game data if needed
-        if (updates.fen || updates.gameInstance) {
-            const opponentData = this.games.get(gameData.opponent);
-            if (opponentData) {
-                // Update FEN if it was changed
-                if (updates.fen) {
-                    opponentData.fen = updates.fen;
-                }
-                
-                // Share the game instance if it was updated
-                if (updates.gameInstance) {
-                    opponentData.gameInstance = updates.gameInstance;
-                }
-            }
-        }
-
         this.saveGames();
         return gameData;
     }
 
-    removeGame(userId) {
-        const gameData = this.games.get(userId);
-        if (gameData) {
-            const opponentId = gameData.opponent;
-            
-            // Clean up game instances
-            if (gameData.gameInstance) {
-                // No explicit cleanup needed for Chess.js instances
-                delete gameData.gameInstance;
-            }
-            
-            // Remove the game data
-            this.games.delete(userId);
-            
-            // Clean up opponent's game data if it exists
-            if (opponentId) {
-                const opponentData = this.games.get(opponentId);
-                if (opponentData?.gameInstance) {
-                    delete opponentData.gameInstance;
-                }
-                this.games.delete(opponentId);
+    /**
+     * Removes a game and takes it out of both players' indexes
+     * @param {string} gameId - The game ID
+     * @returns {boolean} Whether the game was found
+     */
+    removeGame(gameId) {
+        const gameData = this.games.get(gameId);
+        if (!gameData) return false;
+
+        // No explicit cleanup needed for chess.js instances
+        delete gameData.gameInstance;
+        this.games.delete(gameId);
+        for (const userId of [gameData.whiteId, gameData.blackId]) {
+            const gameIds = this.playerGames.get(userId);
+            gameIds?.delete(gameId);
+            if (gameIds?.size === 0) {
+                this.playerGames.delete(userId);
             }
-            
-            this.saveGames();
-            return true;
         }
-        return false;
+        
+        this.saveGames();
+        return true;
+    }
+
+    /**
+     * Finds the active games between two players
+     * @param {string} player1 - User ID
+     * @param {string} player2 - User ID
+     * @returns {Array<GameState>}
+     */
+    findGamesBetween(player1, player2) {
+        return this.getGamesForUser(player1)
+            .filter(gameData => gameData.whiteId === player2 || gameData.blackId === player2);
+    }
+
+    /**
+     * Finds an active game between two players
+     * @param {string} player1 - User ID
+     * @param {string} player2 - User ID
+     * @returns {GameState|null}
+     */
+    findGameBetween(player1, player2) {
+        return this.findGamesBetween(player1, player2)[0] || null;
     }
 
     hasExistingGame(player1, player2) {
-        const player1Game = this.games.get(player1);
-        const player2Game = this.games.get(player2);
-        return (player1Game?.opponent === player2) || (player2Game?.opponent === player1);
+        return !!this.findGameBetween(player1, player2);
     }
 }
 
@@ -0,0 +1,239 @@
+/**
+ * GIF Encoder - Writes animated GIFs entirely in-process, for game replays.
+ * Frames are RGBA buffers of the same size (as produced by boardRenderer) and are
+ * added one at a time, so a long game never has every frame in memory. All frames
+ * share one 256 colour palette built from the most common colours of a few sample
+ * frames, and after the first frame only the rectangle that changed is stored,
+ * which keeps replays small.
+ */
+
+const PALETTE_SIZE = 256;
+const SAMPLE_STRIDE = 3;   // Only every third pixel is counted when choosing the palette
+const MAX_CODE_SIZE = 12;  // GIF LZW codes are at most 12 bits
+const MAX_SUB_BLOCK = 255;
+
+/**
+ * Chooses a palette of the most common colours in some frames
+ * @param {Array<Buffer>} frames - RGBA frames
+ * @returns {Array<number>} Up to PALETTE_SIZE colours as 0xRRGGBB
+ */
+function buildPalette(frames) {
+    const counts = new Map();
+    for (const data of frames) {
+        for (let i = 0; i < data.length; i += 4 * SAMPLE_STRIDE) {
+            const rgb = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+            counts.set(rgb, (counts.get(rgb) || 0) + 1);
+        }
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, PALETTE_SIZE)
+        .map(([rgb]) => rgb);
+}
+
+/**
+ * Maps each pixel of a frame to its nearest palette entry
+ * @param {Buffer} data - RGBA frame
+ * @param {Array<number>} palette - Colours as 0xRRGGBB
+ * @param {Map<number, number>} cache - Colour to palette index lookups, shared between frames
+ * @returns {Uint8Array} One palette index per pixel
+ */
+function indexFrame(data, palette, cache) {
+    const indices = new Uint8Array(data.length / 4);
+    for (let p = 0; p < indices.length; p++) {
+        const i = p * 4;
+        const rgb = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        let index = cache.get(rgb);
+        if (index === undefined) {
+            let best = Infinity;
+            for (let c = 0; c < palette.length; c++) {
+                const dr = (palette[c] >> 16) - data[i];
+                const dg = ((palette[c] >> 8) & 0xFF) - data[i + 1];
+                const db = (palette[c] & 0xFF) - data[i + 2];
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < best) {
+                    best = distance;
+                    index = c;
+                }
+            }
+            cache.set(rgb, index);
+        }
+        indices[p] = index;
+    }
+    return indices;
+}
+
+/**
+ * Finds the rectangle in which two indexed frames differ
+ * @param {Uint8Array} previous - Previous frame
+ * @param {Uint8Array} current - Current frame
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {{left: number, top: number, width: number, height: number}} The changed area, at least one pixel
+ */
+function findChangedArea(previous, current, width, height) {
+    let left = width, top = height, right = -1, bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            if (previous[p] === current[p]) continue;
+            if (x < left) left = x;
+            if (x > right) right = x;
+            if (y < top) top = y;
+            if (y > bottom) bottom = y;
+        }
+    }
+    if (right < 0) {
+        return { left: 0, top: 0, width: 1, height: 1 };
+    }
+    return { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Compresses palette indices with GIF's variable-length LZW
+ * @param {Uint8Array} indices - Pixels to compress
+ * @param {number} minCodeSize - LZW minimum code size (bits per palette index)
+ * @returns {Buffer} Compressed data split into sub-blocks, with the block terminator
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+
+    const write = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const existing = dictionary.get(key);
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+
+        write(prefix);
+        if (nextCode < (1 << MAX_CODE_SIZE)) {
+            if (nextCode === (1 << codeSize) && codeSize < MAX_CODE_SIZE) {
+                codeSize++;
+            }
+            dictionary.set(key, nextCode++);
+        } else {
+            // Dictionary full: start over
+            write(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = k;
+    }
+    write(prefix);
+    write(endCode);
+    if (bitCount > 0) {
+        bytes.push(bitBuffer & 0xFF);
+    }
+
+    const blocks = [];
+    for (let i = 0; i < bytes.length; i += MAX_SUB_BLOCK) {
+        const chunk = bytes.slice(i, i + MAX_SUB_BLOCK);
+        blocks.push(chunk.length, ...chunk);
+    }
+    blocks.push(0);
+    return Buffer.from(blocks);
+}
+
+/**
+ * Writes a 16-bit little-endian number
+ * @param {number} value
+ * @returns {Array<number>} Two bytes
+ */
+function word(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+class GifEncoder {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - Frame width in pixels
+     * @param {number} options.height - Frame height in pixels
+     * @param {Array<Buffer>} options.samples - RGBA frames to choose the palette from (see buildPalette)
+     */
+    constructor({ width, height, samples }) {
+        this.width = width;
+        this.height = height;
+        this.palette = buildPalette(samples);
+        this.cache = new Map();
+        this.previous = null;
+
+        const colorTable = Buffer.alloc(PALETTE_SIZE * 3);
+        this.palette.forEach((rgb, i) => {
+            colorTable[i * 3] = rgb >> 16;
+            colorTable[i * 3 + 1] = (rgb >> 8) & 0xFF;
+            colorTable[i * 3 + 2] = rgb & 0xFF;
+        });
+        this.parts = [
+            Buffer.from('GIF89a', 'ascii'),
+            // Logical screen with a 256 colour global palette
+            Buffer.from([...word(width), ...word(height), 0xF7, 0, 0]),
+            colorTable,
+            // Loop forever
+            Buffer.from([0x21, 0xFF, 0x0B, ...Buffer.from('NETSCAPE2.0', 'ascii'), 0x03, 0x01, 0, 0, 0])
+        ];
+    }
+
+    /**
+     * Adds a frame. After the first frame, only the area that changed is stored.
+     * @param {Buffer} data - RGBA frame, width x height
+     * @param {number} delayMs - How long to show the frame
+     */
+    addFrame(data, delayMs) {
+        const { width, height } = this;
+        const indices = indexFrame(data, this.palette, this.cache);
+        const area = this.previous
+            ? findChangedArea(this.previous, indices, width, height)
+            : { left: 0, top: 0, width, height };
+        this.previous = indices;
+
+        const pixels = new Uint8Array(area.width * area.height);
+        for (let y = 0; y < area.height; y++) {
+            const start = (area.top + y) * width + area.left;
+            pixels.set(indices.subarray(start, start + area.width), y * area.width);
+        }
+
+        const delay = Math.round(delayMs / 10); // GIF delays are in hundredths of a second
+        this.parts.push(
+            // Graphic control: keep the previous frame underneath, so only the changed area is needed
+            Buffer.from([0x21, 0xF9, 0x04, 0x04, ...word(delay), 0, 0]),
+            Buffer.from([0x2C, ...word(area.left), ...word(area.top), ...word(area.width), ...word(area.height), 0]),
+            Buffer.from([8]),
+            lzwEncode(pixels, 8)
+        );
+    }
+
+    /**
+     * Finishes the animation
+     * @returns {Buffer} GIF file contents
+     */
+    finish() {
+        if (!this.previous) throw new Error('A GIF needs at least one frame');
+        return Buffer.concat([...this.parts, Buffer.from([0x3B])]);
+    }
+}
+
+module.exports = {
+    GifEncoder
+};
@@ -0,0 +1,142 @@
+/**
+ * Keeps games between people from stalling.
+ * A periodic check looks at how long the side to move has been thinking, counted
+ * from the last move (lastMoveAt) or the start of the game. After each reminder
+ * period without a move the player is reminded, and once the inactivity window
+ * has passed the game is adjudicated. What to do is left to GameManager.
+ *
+ * Blitz, bullet, rapid and custom games are left alone since their clocks decide
+ * them, and correspondence games are reminded but never adjudicated, since their
+ * days-per-move clock already ends them.
+ *
+ * Configured with CHESS_REMINDER_HOURS (comma-separated idle periods, default "24,72")
+ * and CHESS_INACTIVITY_DAYS (default 7).
+ */
+
+const logger = require('../logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_REMINDER_HOURS = [24, 72];
+const DEFAULT_INACTIVITY_DAYS = 7;
+const CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Reads the reminder periods from the environment
+ * @param {string} [value] - Comma-separated hours, e.g. "24,72"
+ * @param {number} inactivityMs - Inactivity window; reminders must come before it
+ * @returns {Array<number>} Reminder periods in milliseconds, shortest first
+ */
+function parseReminderPeriods(value, inactivityMs) {
+    const hours = value
+        ? value.split(',').map(Number).filter(h => Number.isFinite(h) && h > 0)
+        : DEFAULT_REMINDER_HOURS;
+    return [...new Set(hours)]
+        .map(h => h * HOUR_MS)
+        .filter(ms => ms < inactivityMs)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Formats an idle period for display, in days from two days up and in hours below that
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "3 days" or "12 hours"
+ */
+function formatIdlePeriod(ms) {
+    if (ms >= 2 * DAY_MS) {
+        return `${Math.round(ms / DAY_MS)} days`;
+    }
+    const hours = Math.round(ms / HOUR_MS);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+class InactivityManager {
+    constructor() {
+        const days = Number(process.env.CHESS_INACTIVITY_DAYS);
+        this.inactivityMs = (days > 0 ? days : DEFAULT_INACTIVITY_DAYS) * DAY_MS;
+        this.reminderPeriods = parseReminderPeriods(process.env.CHESS_REMINDER_HOURS, this.inactivityMs);
+        /** @type {?NodeJS.Timeout} */
+        this.timer = null;
+        /** @type {?function(): Promise<void>} */
+        this.onCheck = null;
+    }
+
+    /**
+     * Starts checking for inactive games every few minutes
+     * @param {function(): Promise<void>} callback - Looks through the games and acts on them (see getDueAction)
+     */
+    start(callback) {
+        this.onCheck = callback;
+        if (this.timer) return;
+        this.timer = setInterval(async () => {
+            try {
+                await this.onCheck();
+            } catch (error) {
+                logger.error(`[InactivityManager] Error checking inactive games: ${error.message}`);
+            }
+        }, CHECK_INTERVAL_MS);
+        // Don't keep the process alive just to check on games
+        this.timer.unref?.();
+        logger.info(`[InactivityManager] Reminders after ${this.reminderPeriods.map(formatIdlePeriod).join(', ') || 'never'}, adjudication after ${formatIdlePeriod(this.inactivityMs)}`);
+    }
+
+    /**
+     * Gets how long the side to move has gone without moving
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {number} [now] - Current time in ms
+     * @returns {number} Milliseconds
+     */
+    getIdleTime(gameData, now = Date.now()) {
+        return now - new Date(gameData.lastMoveAt || gameData.startedAt).getTime();
+    }
+
+    /**
+     * Works out whether a game needs a reminder or adjudicating
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {number} [now] - Current time in ms
+     * @returns {?({type: 'remind', reminder: number, idleMs: number}|{type: 'adjudicate', idleMs: number})}
+     *          What to do, or null if nothing is due. reminder is the number of reminder periods that
+     *          have passed, to store as remindersSent once the reminder has gone out.
+     */
+    getDueAction(gameData, now = Date.now()) {
+        const timeControl = gameData.timeControl;
+        if (timeControl && timeControl.type !== 'correspondence') return null;
+
+        const idleMs = this.getIdleTime(gameData, now);
+        if (!timeControl && idleMs >= this.inactivityMs) {
+            return { type: 'adjudicate', idleMs };
+        }
+
+        const reminder = this.reminderPeriods.filter(period => idleMs >= period).length;
+        if (reminder > (gameData.remindersSent || 0)) {
+            return { type: 'remind', reminder, idleMs };
+        }
+        return null;
+    }
+
+    /**
+     * Gets how long is left before a game is adjudicated
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {number} [now] - Current time in ms
+     * @returns {?number} Milliseconds, or null if the game is never adjudicated
+     */
+    getTimeUntilAdjudication(gameData, now = Date.now()) {
+        if (gameData.timeControl) return null;
+        return Math.max(0, this.inactivityMs - this.getIdleTime(gameData, now));
+    }
+
+    /**
+     * Stop checking
+     */
+    destroy() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Export singleton instance and helpers
+const inactivityManager = new InactivityManager();
+module.exports = {
+    instance: inactivityManager,
+    formatIdlePeriod
+};
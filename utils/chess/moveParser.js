@@ -1,5 +1,8 @@
-// Uses OpenAI gpt-4o-mini to resolve ambiguous chess moves from user input given board context.
+// Resolves chess moves from user input given board context.
+// The offline parser handles most phrasing; OpenAI gpt-4o-mini is only asked when it finds no match.
 const { openai } = require('../openaiHelper');
+const logger = require('../logger');
+const { parseNaturalMove } = require('./naturalMoveParser');
 const CHESS_MOVE_PARSER_MODEL = 'gpt-4o-mini';
 
 /**
@@ -33,4 +36,26 @@ async function resolveMoveWithLLM(userInput, legalMoves, fen) {
     return text.replace(/^"|"$/g, '');
 }
 
-module.exports = { resolveMoveWithLLM, CHESS_MOVE_PARSER_MODEL };
+/**
+ * Resolves user input to a legal move, trying the offline parser before the LLM
+ * @param {string} userInput - The user's move input (plain English, SAN, etc)
+ * @param {Array} legalMoves - Array of legal moves from chess.js ({san, from, to, promotion, piece, etc})
+ * @param {string} fen - Current board FEN
+ * @returns {Promise<{status: 'match'|'ambiguous'|'no-match', move?: Object, candidates?: Array}>}
+ *          The same result shape as parseNaturalMove(), with LLM matches reported as 'match'
+ */
+async function resolveMove(userInput, legalMoves, fen) {
+    const parsed = parseNaturalMove(userInput, legalMoves);
+    if (parsed.status !== 'no-match') {
+        logger.info(`[MoveParser] Parsed "${userInput}" offline: ${parsed.status}${parsed.move ? ` ${parsed.move.san}` : ''}`);
+        return parsed;
+    }
+
+    const resolved = await resolveMoveWithLLM(userInput, legalMoves, fen);
+    const move = resolved && legalMoves.find(m =>
+        m.san === resolved || m.from + m.to + (m.promotion || '') === resolved.toLowerCase()
+    );
+    return move ? { status: 'match', move } : { status: 'no-match' };
+}
+
+module.exports = { resolveMove, resolveMoveWithLLM, CHESS_MOVE_PARSER_MODEL };
@@ -0,0 +1,241 @@
+/**
+ * Deterministic parser for chess moves written in plain English.
+ * Matches phrases like "knight to f3", "pawn takes on d5", "castle queenside",
+ * "bishop c4", "queen takes the rook" or "e8 promote to knight" against the
+ * legal moves from chess.js, so most moves never need the LLM.
+ *
+ * Every word in the input has to be understood, otherwise the parser reports
+ * no-match. That keeps ordinary chat in a game thread from being read as a move.
+ *
+ * @typedef {Object} ParseResult
+ * @property {'match'|'ambiguous'|'no-match'} status
+ * @property {Object} [move] - The matched legal move, when status is 'match'
+ * @property {Array<Object>} [candidates] - The legal moves that fit, when status is 'ambiguous'
+ */
+
+const PIECE_WORDS = {
+    king: 'k', kings: 'k',
+    queen: 'q', queens: 'q',
+    rook: 'r', rooks: 'r',
+    bishop: 'b', bishops: 'b',
+    knight: 'n', knights: 'n', horse: 'n', horsey: 'n',
+    pawn: 'p', pawns: 'p'
+};
+
+const CAPTURE_WORDS = ['takes', 'take', 'taking', 'captures', 'capture', 'capturing', 'x', 'eats', 'grabs'];
+const CASTLE_WORDS = ['castle', 'castles', 'castling', 'castled'];
+const KINGSIDE_WORDS = ['kingside', 'short'];
+const QUEENSIDE_WORDS = ['queenside', 'long'];
+const VAGUE_SIDE_WORDS = ['short', 'long']; // Only mean castling next to a castle word or "king"
+const PROMOTION_WORDS = ['promote', 'promotes', 'promoting', 'promotion', 'promoted', 'becomes', 'queening', '='];
+
+// Words that carry no meaning for picking a move
+const FILLER_WORDS = [
+    'to', 'the', 'on', 'at', 'a', 'an', 'and', 'into', 'in', 'for', 'with', 'side',
+    'my', 'your', 'his', 'her', 'their', 'that', 'this', 'piece', 'square',
+    'i', 'ill', 'im', 'will', 'lets', 'let', 'us', 'play', 'plays', 'move', 'moves', 'go', 'goes',
+    'please', 'pls', 'then', 'now', 'ok', 'okay',
+    'check', 'mate', 'checkmate', 'checkmates', 'giving', 'gives'
+];
+
+/**
+ * Normalises user input into lowercase tokens
+ * @param {string} input - Raw message text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(input) {
+    return input
+        .toLowerCase()
+        .replace(/<@!?\d+>/g, ' ')            // Discord mentions
+        .replace(/\b[o0]-[o0]-[o0]\b/g, ' castle queenside ')
+        .replace(/\b[o0]-[o0]\b/g, ' castle kingside ')
+        .replace(/king's|queen's/g, word => word.replace("'s", ''))
+        .replace(/'/g, '')
+        .replace(/=/g, ' = ')
+        .replace(/[+#]/g, ' ')
+        .replace(/([a-h][1-8])-?([a-h][1-8])/g, '$1 $2')
+        .replace(/[^a-z0-9=+#\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+/**
+ * Strips check and annotation symbols from SAN for comparison
+ * @param {string} san - Move in SAN
+ * @returns {string}
+ */
+function bareSan(san) {
+    return san.replace(/[+#!?]/g, '').toLowerCase();
+}
+
+/**
+ * Matches input that is already notation (SAN or UCI), ignoring case and check symbols
+ * @param {string} input - Raw message text
+ * @param {Array<Object>} legalMoves - chess.js verbose moves
+ * @returns {Array<Object>} Matching moves
+ */
+function matchNotation(input, legalMoves) {
+    const text = input.replace(/<@!?\d+>/g, '').trim().replace(/[+#!?]+$/, '').toLowerCase();
+    if (!text || /\s/.test(text)) return [];
+    const compact = text.replace(/-/g, '');
+    return legalMoves.filter(move => {
+        const uci = move.from + move.to + (move.promotion || '');
+        return bareSan(move.san) === text || uci === compact || bareSan(move.san).replace(/=/, '') === compact;
+    });
+}
+
+/**
+ * Reads the parts of a move described by the tokens
+ * @param {Array<string>} tokens - Output of tokenize()
+ * @returns {?Object} The described move, or null if a word wasn't understood
+ */
+function readPhrase(tokens) {
+    const phrase = { piece: null, captured: null, capture: false, squares: [], from: null, fromFile: null, fromRank: null, castle: null, promotion: null };
+    let afterCapture = false;
+    let afterPromotion = false;
+    let afterFrom = false;
+    let vagueSide = null;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (/^[a-h][1-8]$/.test(token)) {
+            if (afterFrom) {
+                phrase.from = token;
+                afterFrom = false;
+            } else {
+                phrase.squares.push(token);
+            }
+        } else if (afterFrom && /^[a-h]$/.test(token)) {
+            phrase.fromFile = token;
+            afterFrom = false;
+        } else if (afterFrom && /^[1-8]$/.test(token)) {
+            phrase.fromRank = token;
+            afterFrom = false;
+        } else if (/^[a-h]$/.test(token) && CAPTURE_WORDS.includes(tokens[i + 1])) {
+            phrase.fromFile = token;                 // "e takes d5"
+            phrase.piece = phrase.piece || 'p';
+        } else if (token === 'from') {
+            afterFrom = true;
+        } else if (PIECE_WORDS[token]) {
+            const piece = PIECE_WORDS[token];
+            if (afterPromotion) {
+                phrase.promotion = piece;            // "promote to a knight"
+                afterPromotion = false;
+            } else if (afterCapture) {
+                phrase.captured = piece;             // "queen takes the rook"
+            } else if (phrase.piece === null && phrase.squares.length === 0) {
+                phrase.piece = piece;                // "knight to f3"
+            } else if (phrase.squares.length > 0 && /[18]$/.test(phrase.squares[phrase.squares.length - 1])) {
+                phrase.promotion = piece;            // "e8 queen"
+                phrase.piece = phrase.piece || 'p';
+            } else if (phrase.piece === null && phrase.squares.length === 1 && !phrase.capture) {
+                phrase.from = phrase.squares.pop();  // "c3 knight takes d5"
+                phrase.piece = piece;
+            } else {
+                return null;
+            }
+        } else if (CAPTURE_WORDS.includes(token)) {
+            phrase.capture = true;
+            afterCapture = true;
+        } else if (CASTLE_WORDS.includes(token)) {
+            phrase.castle = phrase.castle || 'either';
+        } else if (VAGUE_SIDE_WORDS.includes(token)) {
+            vagueSide = KINGSIDE_WORDS.includes(token) ? 'k' : 'q';
+        } else if (KINGSIDE_WORDS.includes(token) || QUEENSIDE_WORDS.includes(token)) {
+            phrase.castle = KINGSIDE_WORDS.includes(token) ? 'k' : 'q';
+        } else if (PROMOTION_WORDS.includes(token)) {
+            afterPromotion = true;
+        } else if (!FILLER_WORDS.includes(token)) {
+            return null;
+        }
+    }
+
+    // A bare "short" or "long" is ordinary chat; "castle long" or "king short" is castling
+    if (vagueSide) {
+        if (!phrase.castle && phrase.piece !== 'k') return null;
+        phrase.castle = vagueSide;
+        phrase.piece = phrase.squares.length === 0 ? null : phrase.piece;
+    }
+
+    // "castle king side" reads "king" as the moving piece
+    if (phrase.castle && phrase.piece && phrase.squares.length === 0) {
+        if (phrase.castle === 'either') phrase.castle = phrase.piece === 'k' ? 'k' : phrase.piece === 'q' ? 'q' : null;
+        phrase.piece = null;
+    }
+    return phrase;
+}
+
+/**
+ * Filters legal moves down to the ones a phrase describes
+ * @param {Object} phrase - Output of readPhrase()
+ * @param {Array<Object>} legalMoves - chess.js verbose moves
+ * @returns {Array<Object>} Matching moves
+ */
+function filterMoves(phrase, legalMoves) {
+    if (phrase.castle) {
+        return legalMoves.filter(move => {
+            const side = move.san.startsWith('O-O-O') ? 'q' : move.san.startsWith('O-O') ? 'k' : null;
+            return side && (phrase.castle === 'either' || phrase.castle === side);
+        });
+    }
+
+    const [first, second] = phrase.squares;
+    const from = phrase.from || (second ? first : null);
+    const to = second || first || null;
+
+    let candidates = legalMoves.filter(move =>
+        (!phrase.piece || move.piece === phrase.piece) &&
+        (!to || move.to === to) &&
+        (!from || move.from === from) &&
+        (!phrase.fromFile || move.from[0] === phrase.fromFile) &&
+        (!phrase.fromRank || move.from[1] === phrase.fromRank) &&
+        (!phrase.capture || move.captured) &&
+        (!phrase.captured || move.captured === phrase.captured) &&
+        (!phrase.promotion || move.promotion === phrase.promotion)
+    );
+
+    // Promote to a queen unless another piece was asked for
+    if (!phrase.promotion && candidates.some(move => move.promotion)) {
+        candidates = candidates.filter(move => !move.promotion || move.promotion === 'q');
+    }
+    return candidates;
+}
+
+/**
+ * Parses a plain-English or notation move against the legal moves of a position
+ * @param {string} input - The user's message
+ * @param {Array<Object>} legalMoves - chess.js verbose moves (san, from, to, piece, captured, promotion)
+ * @returns {ParseResult}
+ */
+function parseNaturalMove(input, legalMoves) {
+    if (!input || !Array.isArray(legalMoves) || legalMoves.length === 0) {
+        return { status: 'no-match' };
+    }
+
+    let candidates = matchNotation(input, legalMoves);
+    if (candidates.length === 0) {
+        const phrase = readPhrase(tokenize(input));
+        // A phrase has to name a destination, a promotion or castling to count as a move, or a capture
+        // with the piece that captures or is captured. A bare "take" or "x" is left to the classifier.
+        const describesCapture = phrase && phrase.capture && (phrase.piece || phrase.captured || phrase.fromFile);
+        const describesMove = phrase && (phrase.squares.length > 0 || describesCapture || phrase.castle || phrase.promotion);
+        if (!describesMove) {
+            return { status: 'no-match' };
+        }
+        candidates = filterMoves(phrase, legalMoves);
+    }
+
+    if (candidates.length === 1) {
+        return { status: 'match', move: candidates[0] };
+    }
+    if (candidates.length > 1) {
+        return { status: 'ambiguous', candidates };
+    }
+    return { status: 'no-match' };
+}
+
+module.exports = {
+    parseNaturalMove,
+    tokenize
+};
@@ -0,0 +1,95 @@
+/**
+ * Handicap ("odds") games against RolyBot, for players who want a game they can win
+ * against the stronger levels. RolyBot gives up a piece (taken off its side of the
+ * starting position), pawn and move (its f-pawn, with the player on White), or time
+ * (it plays on a third of the player's clock).
+ * Odds games are unrated, since the handicap changes what a result is worth (see ResultsManager).
+ */
+
+const { Chess } = require('chess.js');
+const { ADAPTIVE_DIFFICULTY } = require('./adaptiveDifficulty');
+
+const TIME_ODDS_FACTOR = 3; // RolyBot gets a third of the player's base time
+
+const ODDS = {
+    knight: { name: 'Knight odds', description: 'RolyBot plays without its queen\'s knight', squares: { w: 'b1', b: 'b8' } },
+    rook: { name: 'Rook odds', description: 'RolyBot plays without its queen\'s rook', squares: { w: 'a1', b: 'a8' } },
+    queen: { name: 'Queen odds', description: 'RolyBot plays without its queen', squares: { w: 'd1', b: 'd8' } },
+    move: { name: 'Pawn and move', description: 'RolyBot plays Black without its f-pawn', squares: { w: 'f2', b: 'f7' }, playerColor: 'w' },
+    time: { name: 'Time odds', description: 'RolyBot plays on a third of your time' }
+};
+
+/**
+ * Checks that odds can be given in a game with these settings
+ * @param {?string} odds - Key of ODDS
+ * @param {Object} options
+ * @param {boolean} options.isBotGame - Whether the game is against RolyBot
+ * @param {string} [options.variant='standard'] - Game variant
+ * @param {?Object} [options.timeControl] - Time control (see clockManager.parseTimeControl)
+ * @param {string} [options.difficulty] - Bot difficulty
+ * @param {?('w'|'b')} [options.playerColor] - Colour the player asked for
+ * @throws {Error} With a message for the user if the odds can't be given
+ */
+function validateOdds(odds, { isBotGame, variant = 'standard', timeControl = null, difficulty, playerColor = null }) {
+    if (!odds) return;
+    if (!ODDS[odds]) {
+        throw new Error(`Unknown odds: ${odds}`);
+    }
+    if (!isBotGame) {
+        throw new Error('Odds games can only be played against RolyBot.');
+    }
+    if (variant !== 'standard') {
+        throw new Error('Odds games start from the standard position, so they can\'t be combined with a variant.');
+    }
+    if (difficulty === ADAPTIVE_DIFFICULTY) {
+        throw new Error('Adaptive difficulty already adjusts to you, so it can\'t be combined with odds.');
+    }
+    if (ODDS[odds].playerColor && playerColor && playerColor !== ODDS[odds].playerColor) {
+        throw new Error(`${ODDS[odds].name} gives you ${ODDS[odds].playerColor === 'w' ? 'White' : 'Black'}.`);
+    }
+    if (odds === 'time' && (!timeControl || timeControl.type === 'correspondence')) {
+        throw new Error('Time odds need a clock: pick a bullet, blitz, rapid or custom time control.');
+    }
+}
+
+/**
+ * Builds the starting position for piece or pawn odds
+ * @param {string} odds - Key of ODDS
+ * @param {'w'|'b'} botColor - RolyBot's colour, the side that gives the odds
+ * @returns {?string} The starting FEN, or null if the odds don't change the position
+ */
+function buildOddsFen(odds, botColor) {
+    const square = ODDS[odds]?.squares?.[botColor];
+    if (!square) return null;
+    const game = new Chess();
+    // chess.js drops the castling right that goes with a removed rook
+    game.remove(square);
+    return game.fen();
+}
+
+/**
+ * Applies time odds to a new game's clocks
+ * @param {{w: number, b: number}} clocks - Starting clocks (see clockManager.createClocks)
+ * @param {'w'|'b'} botColor - RolyBot's colour
+ * @returns {{w: number, b: number}} The clocks with RolyBot's time cut
+ */
+function applyTimeOdds(clocks, botColor) {
+    return { ...clocks, [botColor]: Math.round(clocks[botColor] / TIME_ODDS_FACTOR) };
+}
+
+/**
+ * Gets the odds' display name for embeds and game lists
+ * @param {string} odds - Key of ODDS
+ * @returns {string}
+ */
+function describeOdds(odds) {
+    return ODDS[odds]?.name || odds;
+}
+
+module.exports = {
+    ODDS,
+    validateOdds,
+    buildOddsFen,
+    applyTimeOdds,
+    describeOdds
+};
@@ -0,0 +1,108 @@
+/**
+ * Opening recognition.
+ * The bundled openings.tsv lists named openings with their ECO code and the moves
+ * that reach them. Each line is replayed once, and the resulting positions are
+ * indexed, so transpositions are recognised as well as exact move orders.
+ * A game's opening is the deepest named position it passed through.
+ * Only standard games are recognised: Chess960 and custom positions have no book.
+ *
+ * @typedef {Object} Opening
+ * @property {string} eco - ECO code, e.g. "B90"
+ * @property {string} name - Opening name, e.g. "Sicilian Defense: Najdorf Variation"
+ * @property {number} ply - Number of moves played when the opening was last recognised
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Chess, DEFAULT_POSITION } = require('chess.js');
+const logger = require('../logger');
+
+/**
+ * Gets the part of a FEN that identifies a position, without the move counters
+ * @param {string} fen - Position
+ * @returns {string} Placement, side to move, castling rights and en passant square
+ */
+function positionKey(fen) {
+    return fen.split(' ').slice(0, 4).join(' ');
+}
+
+/**
+ * Formats an opening for display
+ * @param {?{eco: string, name: string}} opening - Opening from identify()
+ * @returns {?string} e.g. "B90 Sicilian Defense: Najdorf Variation"
+ */
+function formatOpening(opening) {
+    return opening ? `${opening.eco} ${opening.name}` : null;
+}
+
+class OpeningBook {
+    constructor(dataPath) {
+        this.dataPath = dataPath;
+        /** @type {Map<string, {eco: string, name: string}>} Named openings by position key */
+        this.positions = new Map();
+        this.maxPly = 0;
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            const lines = fs.readFileSync(this.dataPath, 'utf8').split('\n').slice(1);
+            for (const line of lines) {
+                const [eco, name, pgn] = line.trim().split('\t');
+                if (!pgn) continue;
+
+                const game = new Chess();
+                const sans = pgn.split(' ').filter(token => !/^\d+\.$/.test(token));
+                try {
+                    sans.forEach(san => game.move(san));
+                } catch (error) {
+                    logger.warn(`[OpeningBook] Skipping ${eco} ${name}: ${error.message}`);
+                    continue;
+                }
+                this.positions.set(positionKey(game.fen()), { eco, name });
+                this.maxPly = Math.max(this.maxPly, sans.length);
+            }
+            logger.info(`[OpeningBook] Loaded ${this.positions.size} openings`);
+        } catch (error) {
+            logger.error(`[OpeningBook] Error loading openings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Identifies the opening of a game from its moves
+     * @param {Array<string>} moves - Move list in SAN
+     * @param {?string} [initialFen] - Starting position. Games that didn't start from the standard position have no opening.
+     * @returns {?Opening} The deepest named opening reached, or null if none was
+     */
+    identify(moves, initialFen = null) {
+        if (!moves || moves.length === 0) return null;
+        if (initialFen && positionKey(initialFen) !== positionKey(DEFAULT_POSITION)) return null;
+        this.load();
+
+        const game = new Chess();
+        let opening = null;
+        const plies = Math.min(moves.length, this.maxPly);
+        for (let ply = 0; ply < plies; ply++) {
+            try {
+                game.move(moves[ply]);
+            } catch (error) {
+                break;
+            }
+            const named = this.positions.get(positionKey(game.fen()));
+            if (named) {
+                opening = { ...named, ply: ply + 1 };
+            }
+        }
+        return opening;
+    }
+}
+
+// Export singleton instance
+const openingBook = new OpeningBook(path.join(__dirname, 'openings.tsv'));
+module.exports = {
+    instance: openingBook,
+    formatOpening
+};
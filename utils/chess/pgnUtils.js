@@ -0,0 +1,171 @@
+/**
+ * Helpers for rebuilding games from their move list and exporting them as PGN.
+ */
+
+const { createChess, VARIANTS } = require('./variants');
+
+const DEFAULT_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+/**
+ * Rebuilds a chess.js instance by replaying a move list from the starting position
+ * @param {string} [initialFen] - Starting position (defaults to the standard start)
+ * @param {Array<string>} [moves] - Moves in SAN, in the order they were played
+ * @param {string} [variant='standard'] - Game variant (see variants.js)
+ * @returns {Chess} The rebuilt game instance
+ */
+function replayMoves(initialFen = DEFAULT_FEN, moves = [], variant = 'standard') {
+    const game = createChess(initialFen || DEFAULT_FEN, variant);
+    for (const san of moves) {
+        game.move(san); // Throws on an illegal move, callers decide how to recover
+    }
+    return game;
+}
+
+/**
+ * Determines the PGN result string for a game instance
+ * @param {Chess} game - The chess.js game instance
+ * @returns {'1-0'|'0-1'|'1/2-1/2'|'*'} The result, or '*' if the game is still in progress
+ */
+function getGameResult(game) {
+    if (game.isCheckmate()) {
+        return game.turn() === 'w' ? '0-1' : '1-0';
+    }
+    if (game.isDraw()) {
+        return '1/2-1/2';
+    }
+    return '*';
+}
+
+/**
+ * Describes why the board itself ended a game
+ * @param {Chess} game - The chess.js game instance
+ * @returns {?string} checkmate, stalemate, threefold repetition, insufficient material,
+ *                    fifty-move rule, or null if the game is not over on the board
+ */
+function getBoardTermination(game) {
+    if (game.isCheckmate()) return 'checkmate';
+    if (game.isStalemate()) return 'stalemate';
+    if (game.isThreefoldRepetition()) return 'threefold repetition';
+    if (game.isInsufficientMaterial()) return 'insufficient material';
+    if (game.isDraw()) return 'fifty-move rule';
+    return null;
+}
+
+/**
+ * Formats a date as a PGN date tag (YYYY.MM.DD)
+ * @param {string|number|Date} [date] - The date to format
+ * @returns {string} The formatted date, or '????.??.??' if unknown
+ */
+function formatPgnDate(date) {
+    if (!date) return '????.??.??';
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return '????.??.??';
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}`;
+}
+
+/**
+ * Sets the Seven Tag Roster on a game instance, in the order required by the PGN standard,
+ * followed by the Variant tag for Chess960 and custom-position games
+ * @param {Chess} game - Game instance replayed from the stored moves
+ * @param {Object} gameData - Stored game state (see GameStateManager)
+ * @param {Object} names - Display names for the players
+ * @returns {string} The game result
+ */
+function setPgnHeaders(game, gameData, names) {
+    const result = gameData.result && gameData.result !== '*' ? gameData.result : getGameResult(game);
+    game.setHeader('Event', 'RolyBot Chess');
+    game.setHeader('Site', 'Discord');
+    game.setHeader('Date', formatPgnDate(gameData.startedAt));
+    game.setHeader('Round', '-');
+    game.setHeader('White', names.white || gameData.whiteId || '?');
+    game.setHeader('Black', names.black || gameData.blackId || '?');
+    game.setHeader('Result', result);
+
+    // chess.js adds SetUp and FEN itself when the game doesn't start from the standard position
+    const pgnVariant = VARIANTS[gameData.variant]?.pgnName;
+    if (pgnVariant) {
+        game.setHeader('Variant', pgnVariant);
+    }
+    return result;
+}
+
+/**
+ * Builds a PGN string with the Seven Tag Roster and the full move list
+ * @param {Object} gameData - Stored game state (see GameStateManager)
+ * @param {Object} [names] - Display names for the players
+ * @param {string} [names.white] - White player's name
+ * @param {string} [names.black] - Black player's name
+ * @returns {string} The PGN text
+ */
+function buildPgn(gameData, names = {}) {
+    const moves = gameData.moves || gameData.gameInstance?.history() || [];
+    const game = replayMoves(gameData.initialFen, moves, gameData.variant);
+    setPgnHeaders(game, gameData, names);
+    return game.pgn({ maxWidth: 80 }) + '\n';
+}
+
+/**
+ * Builds a PGN string with an annotation glyph and comment after each move
+ * @param {Object} gameData - Stored game state (see GameStateManager)
+ * @param {Array<{glyph?: string, comment?: string}>} annotations - One entry per ply
+ * @param {Object} [names] - Display names for the players
+ * @param {Object} [extraHeaders] - Additional tags, e.g. { Annotator: 'Stockfish' }
+ * @returns {string} The PGN text
+ */
+function buildAnnotatedPgn(gameData, annotations, names = {}, extraHeaders = {}) {
+    const moves = gameData.moves || gameData.gameInstance?.history() || [];
+    const game = replayMoves(gameData.initialFen, moves, gameData.variant);
+    const result = setPgnHeaders(game, gameData, names);
+    for (const [key, value] of Object.entries(extraHeaders)) {
+        game.setHeader(key, value);
+    }
+
+    const headers = Object.entries(game.getHeaders())
+        .map(([key, value]) => `[${key} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`);
+
+    // Number the moves from the starting position, which may have Black to move
+    const [, startTurn, , , , startNumber] = (gameData.initialFen || DEFAULT_FEN).split(' ');
+    const tokens = [];
+    moves.forEach((san, ply) => {
+        const isWhite = (ply % 2 === 0) === (startTurn !== 'b');
+        const moveNumber = Number(startNumber || 1) + Math.floor((ply + (startTurn === 'b' ? 1 : 0)) / 2);
+        if (isWhite) {
+            tokens.push(`${moveNumber}.`);
+        } else if (ply === 0 || annotations[ply - 1]?.comment) {
+            tokens.push(`${moveNumber}...`);
+        }
+
+        const annotation = annotations[ply] || {};
+        tokens.push(san + (annotation.glyph || ''));
+        if (annotation.comment) {
+            tokens.push(`{${annotation.comment.replace(/[{}]/g, '')}}`);
+        }
+    });
+    tokens.push(result);
+
+    // Wrap the movetext at 80 columns
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + token.length + 1 > 80) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    lines.push(line);
+
+    return `${headers.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    DEFAULT_FEN,
+    replayMoves,
+    getGameResult,
+    getBoardTermination,
+    formatPgnDate,
+    buildPgn,
+    buildAnnotatedPgn
+};
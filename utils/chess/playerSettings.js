@@ -0,0 +1,105 @@
+/**
+ * Per-player chess preferences, saved to playerSettings.json.
+ * Players only have an entry once they change something; everyone else gets DEFAULT_SETTINGS.
+ *
+ * @typedef {Object} PlayerSettings
+ * @property {'thread'|'dm'|'off'} turnNotifications - How the player is told it's their move in games
+ *           against other people: a ping in the game thread, a DM, or not at all
+ * @property {'off'|'quiet'|'chatty'} commentary - How much RolyBot comments on the player's games
+ *           as they are played (see CommentaryService)
+ * @property {'bot'|'always'|'off'} evaluations - When move boards show the engine's evaluation: only in
+ *           games against RolyBot, also in games against people (if they choose it too), or never
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const TURN_NOTIFICATIONS = ['thread', 'dm', 'off'];
+const COMMENTARY = ['off', 'quiet', 'chatty']; // Quietest first
+const EVALUATIONS = ['bot', 'always', 'off'];
+
+/** @type {PlayerSettings} */
+const DEFAULT_SETTINGS = {
+    turnNotifications: 'thread',
+    commentary: 'off',
+    evaluations: 'bot'
+};
+
+class PlayerSettingsManager {
+    constructor(savePath) {
+        this.savePath = savePath;
+        /** @type {Object<string, Partial<PlayerSettings>>} Changed settings by user ID */
+        this.players = {};
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            if (!fs.existsSync(this.savePath)) {
+                logger.info('[PlayerSettings] No saved settings found, starting fresh');
+                return;
+            }
+            const fileContent = fs.readFileSync(this.savePath, 'utf8').trim();
+            if (!fileContent) return;
+
+            const data = JSON.parse(fileContent);
+            this.players = data.players && typeof data.players === 'object' ? data.players : {};
+            logger.info(`[PlayerSettings] Loaded settings for ${Object.keys(this.players).length} players`);
+        } catch (error) {
+            logger.error(`[PlayerSettings] Error loading settings: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.savePath, JSON.stringify({ players: this.players }, null, 2));
+        } catch (error) {
+            logger.error(`[PlayerSettings] Error saving settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets a player's settings
+     * @param {string} userId - User ID
+     * @returns {PlayerSettings} The player's settings, with defaults for anything they haven't changed
+     */
+    get(userId) {
+        this.load();
+        return { ...DEFAULT_SETTINGS, ...this.players[userId] };
+    }
+
+    /**
+     * Changes some of a player's settings
+     * @param {string} userId - User ID
+     * @param {Partial<PlayerSettings>} changes - Settings to change
+     * @returns {PlayerSettings} The player's settings after the change
+     */
+    update(userId, changes) {
+        if (changes.turnNotifications !== undefined && !TURN_NOTIFICATIONS.includes(changes.turnNotifications)) {
+            throw new Error(`Unknown turn notification setting: ${changes.turnNotifications}`);
+        }
+        if (changes.commentary !== undefined && !COMMENTARY.includes(changes.commentary)) {
+            throw new Error(`Unknown commentary setting: ${changes.commentary}`);
+        }
+        if (changes.evaluations !== undefined && !EVALUATIONS.includes(changes.evaluations)) {
+            throw new Error(`Unknown evaluation setting: ${changes.evaluations}`);
+        }
+        this.load();
+        this.players[userId] = { ...this.players[userId], ...changes };
+        this.save();
+        return this.get(userId);
+    }
+}
+
+// Export singleton instance
+const playerSettings = new PlayerSettingsManager(path.join(__dirname, 'playerSettings.json'));
+module.exports = {
+    instance: playerSettings,
+    TURN_NOTIFICATIONS,
+    COMMENTARY,
+    EVALUATIONS
+};
@@ -0,0 +1,583 @@
+/**
+ * Puzzle mode.
+ * Puzzles come from the bundled puzzles.json: a starting FEN, a solution line in UCI
+ * and theme tags. The solution alternates between the solver's moves and the opponent's
+ * forced replies, which RolyBot plays automatically. On the final move any checkmate
+ * is accepted, even if it isn't the one in the solution.
+ *
+ * Each user has a puzzle rating and a solve streak. Everyone can also attempt the
+ * daily puzzle once per day, and the solvers are tracked per server.
+ *
+ * @typedef {Object} Puzzle
+ * @property {string} id - Puzzle ID
+ * @property {string} fen - Starting position, with the solver to move
+ * @property {Array<string>} solution - Moves in UCI, starting with the solver's move
+ * @property {number} rating - Puzzle difficulty rating
+ * @property {Array<string>} themes - Theme tags, e.g. "fork" or "mateIn2"
+ *
+ * @typedef {Object} PuzzleSession
+ * @property {string} puzzleId - Puzzle being solved
+ * @property {?string} threadId - Thread the puzzle is played in
+ * @property {?string} guildId - Server the puzzle was started in
+ * @property {boolean} daily - Whether this is the daily puzzle
+ * @property {?string} dateKey - Day of the daily puzzle (YYYY-MM-DD)
+ * @property {number} ply - Number of solution moves played so far
+ * @property {string} startedAt - ISO timestamp
+ *
+ * @typedef {Object} PuzzlePlayer
+ * @property {number} rating - Puzzle rating
+ * @property {number} solved - Puzzles solved
+ * @property {number} failed - Puzzles failed
+ * @property {number} streak - Current run of solved puzzles
+ * @property {number} bestStreak - Longest run of solved puzzles
+ * @property {number} dailyStreak - Consecutive days the daily puzzle was solved
+ * @property {?string} lastDailyKey - Last day the daily puzzle was attempted
+ * @property {?string} lastDailySolvedKey - Last day the daily puzzle was solved
+ * @property {Array<string>} seen - IDs of puzzles already attempted
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Chess } = require('chess.js');
+const logger = require('../logger');
+const { resolveMove } = require('./moveParser');
+const { buildBoardMessage } = require('./boardMessage');
+
+const DEFAULT_PUZZLE_RATING = 1000;
+const PUZZLE_K_FACTOR = 32;
+const RATING_WINDOW = 300; // Prefer puzzles within this many points of the player's rating
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PUZZLE_COLOR = 0x9B59B6;
+const SOLVED_COLOR = 0x2ECC71;
+const FAILED_COLOR = 0xE74C3C;
+
+/**
+ * Gets the UTC day key for a date
+ * @param {Date} [date] - The date
+ * @returns {string} e.g. "2025-06-01"
+ */
+function getDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Applies a UCI move to a game
+ * @param {Chess} game - The chess.js game instance
+ * @param {string} uci - Move in UCI notation, e.g. "e2e4" or "e7e8q"
+ * @returns {Object} The chess.js move
+ */
+function playUci(game, uci) {
+    return game.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+}
+
+/**
+ * Converts a chess.js move to UCI notation
+ * @param {Object} move - The chess.js move
+ * @returns {string}
+ */
+function toUci(move) {
+    return move.from + move.to + (move.promotion || '');
+}
+
+class PuzzleManager {
+    constructor(puzzlesPath, savePath) {
+        this.puzzlesPath = puzzlesPath;
+        this.savePath = savePath;
+        /** @type {Array<Puzzle>} */
+        this.puzzles = [];
+        /** @type {Object<string, PuzzlePlayer>} */
+        this.players = {};
+        /** @type {Object<string, PuzzleSession>} Active puzzles by user ID */
+        this.active = {};
+        /** @type {{dateKey: ?string, solvers: Object<string, Array<string>>, attempts: Object<string, number>}} */
+        this.daily = { dateKey: null, solvers: {}, attempts: {} };
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            const bundled = JSON.parse(fs.readFileSync(this.puzzlesPath, 'utf8'));
+            this.puzzles = Array.isArray(bundled.puzzles) ? bundled.puzzles : [];
+            logger.info(`[PuzzleManager] Loaded ${this.puzzles.length} puzzles`);
+        } catch (error) {
+            logger.error(`[PuzzleManager] Error loading puzzles: ${error.message}`);
+        }
+
+        try {
+            if (!fs.existsSync(this.savePath)) return;
+            const fileContent = fs.readFileSync(this.savePath, 'utf8').trim();
+            if (!fileContent) return;
+
+            const data = JSON.parse(fileContent);
+            this.players = data.players && typeof data.players === 'object' ? data.players : {};
+            this.active = data.active && typeof data.active === 'object' ? data.active : {};
+            if (data.daily) this.daily = data.daily;
+            logger.info(`[PuzzleManager] Loaded puzzle stats for ${Object.keys(this.players).length} players`);
+        } catch (error) {
+            logger.error(`[PuzzleManager] Error loading puzzle stats: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.savePath, JSON.stringify({ players: this.players, active: this.active, daily: this.daily }, null, 2));
+        } catch (error) {
+            logger.error(`[PuzzleManager] Error saving puzzle stats: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets a puzzle by ID
+     * @param {string} puzzleId - Puzzle ID
+     * @returns {?Puzzle}
+     */
+    getPuzzle(puzzleId) {
+        this.load();
+        return this.puzzles.find(p => p.id === puzzleId) || null;
+    }
+
+    /**
+     * Gets the daily puzzle. Every puzzle comes round in turn, one per UTC day.
+     * @param {Date} [date] - The day
+     * @returns {?Puzzle}
+     */
+    getDailyPuzzle(date = new Date()) {
+        this.load();
+        if (this.puzzles.length === 0) return null;
+        const dayNumber = Math.floor(date.getTime() / DAY_MS);
+        return this.puzzles[dayNumber % this.puzzles.length];
+    }
+
+    /**
+     * Gets the puzzle stats for a user, creating them if needed
+     * @param {string} userId - User ID
+     * @returns {PuzzlePlayer}
+     */
+    getPlayer(userId) {
+        this.load();
+        if (!this.players[userId]) {
+            this.players[userId] = {
+                rating: DEFAULT_PUZZLE_RATING,
+                solved: 0,
+                failed: 0,
+                streak: 0,
+                bestStreak: 0,
+                dailyStreak: 0,
+                lastDailyKey: null,
+                lastDailySolvedKey: null,
+                seen: []
+            };
+        }
+        return this.players[userId];
+    }
+
+    /**
+     * Gets a user's puzzle stats without creating them
+     * @param {string} userId - User ID
+     * @returns {?PuzzlePlayer}
+     */
+    getStats(userId) {
+        this.load();
+        return this.players[userId] || null;
+    }
+
+    /**
+     * Picks a puzzle the user hasn't seen, close to their puzzle rating
+     * @param {string} userId - User ID
+     * @returns {?Puzzle}
+     */
+    pickPuzzle(userId) {
+        this.load();
+        const player = this.getPlayer(userId);
+        const unseen = this.puzzles.filter(p => !player.seen.includes(p.id));
+        const pool = unseen.length > 0 ? unseen : this.puzzles;
+        if (pool.length === 0) return null;
+
+        const nearby = pool.filter(p => Math.abs(p.rating - player.rating) <= RATING_WINDOW);
+        if (nearby.length > 0) {
+            return nearby[Math.floor(Math.random() * nearby.length)];
+        }
+        // Nothing close to the player's rating, take the closest one
+        return [...pool].sort((a, b) => Math.abs(a.rating - player.rating) - Math.abs(b.rating - player.rating))[0];
+    }
+
+    /**
+     * Clears the daily solvers when a new day starts
+     */
+    _rolloverDaily() {
+        const dateKey = getDateKey();
+        if (this.daily.dateKey !== dateKey) {
+            this.daily = { dateKey, solvers: {}, attempts: {} };
+        }
+    }
+
+    /**
+     * Gets the daily puzzle and who has solved it in a server
+     * @param {?string} guildId - Server ID
+     * @returns {{puzzle: ?Puzzle, dateKey: string, solvers: Array<string>, attempts: number}}
+     */
+    getDailyStatus(guildId) {
+        this.load();
+        this._rolloverDaily();
+        const key = guildId || 'dm';
+        return {
+            puzzle: this.getDailyPuzzle(),
+            dateKey: this.daily.dateKey,
+            solvers: this.daily.solvers[key] || [],
+            attempts: this.daily.attempts[key] || 0
+        };
+    }
+
+    /**
+     * Checks whether a user can start the daily puzzle today
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    canAttemptDaily(userId) {
+        this._rolloverDaily();
+        return this.getStats(userId)?.lastDailyKey !== this.daily.dateKey;
+    }
+
+    /**
+     * Starts a puzzle for a user
+     * @param {string} userId - User ID
+     * @param {Object} [options]
+     * @param {boolean} [options.daily=false] - Start the daily puzzle instead of a rated pick
+     * @param {?string} [options.guildId] - Server the puzzle is started in
+     * @returns {{puzzle: Puzzle, session: PuzzleSession}}
+     */
+    startPuzzle(userId, { daily = false, guildId = null } = {}) {
+        this.load();
+        if (this.active[userId]) {
+            throw new Error('You already have a puzzle in progress. Solve it or give up first.');
+        }
+        if (daily && !this.canAttemptDaily(userId)) {
+            throw new Error('You have already attempted today\'s daily puzzle. A new one is available at midnight UTC.');
+        }
+
+        const puzzle = daily ? this.getDailyPuzzle() : this.pickPuzzle(userId);
+        if (!puzzle) {
+            throw new Error('No puzzles are available right now.');
+        }
+
+        const session = {
+            puzzleId: puzzle.id,
+            threadId: null,
+            guildId,
+            daily,
+            dateKey: daily ? this.daily.dateKey : null,
+            ply: 0,
+            startedAt: new Date().toISOString()
+        };
+        this.active[userId] = session;
+
+        if (daily) {
+            const key = guildId || 'dm';
+            this.daily.attempts[key] = (this.daily.attempts[key] || 0) + 1;
+            this.getPlayer(userId).lastDailyKey = this.daily.dateKey;
+        }
+        this.save();
+
+        logger.info(`[PuzzleManager] Started ${daily ? 'daily ' : ''}puzzle ${puzzle.id} for ${userId}`);
+        return { puzzle, session };
+    }
+
+    /**
+     * Records the thread a user's puzzle is played in
+     * @param {string} userId - User ID
+     * @param {string} threadId - Thread ID
+     */
+    setThread(userId, threadId) {
+        if (!this.active[userId]) return;
+        this.active[userId].threadId = threadId;
+        this.save();
+    }
+
+    /**
+     * Drops a puzzle that couldn't be set up, without rating it or using up the daily attempt
+     * @param {string} userId - User ID
+     */
+    cancelPuzzle(userId) {
+        const session = this.active[userId];
+        if (!session) return;
+        delete this.active[userId];
+        if (session.daily) {
+            const key = session.guildId || 'dm';
+            this.daily.attempts[key] = Math.max(0, (this.daily.attempts[key] || 1) - 1);
+            this.getPlayer(userId).lastDailyKey = null;
+        }
+        this.save();
+    }
+
+    /**
+     * Gets a user's puzzle in progress
+     * @param {string} userId - User ID
+     * @returns {?PuzzleSession}
+     */
+    getActivePuzzle(userId) {
+        this.load();
+        return this.active[userId] || null;
+    }
+
+    /**
+     * Rebuilds the current position of a puzzle in progress
+     * @param {PuzzleSession} session
+     * @returns {Chess} Game instance with the solved part of the line played
+     */
+    getPosition(session) {
+        const puzzle = this.getPuzzle(session.puzzleId);
+        const game = new Chess(puzzle.fen);
+        for (const uci of puzzle.solution.slice(0, session.ply)) {
+            playUci(game, uci);
+        }
+        return game;
+    }
+
+    /**
+     * Works out which legal move the user meant, trying the move parser if the
+     * input isn't plain notation
+     * @param {Chess} game - Current position
+     * @param {string} input - SAN, UCI or plain English
+     * @returns {Promise<?Object>} The chess.js move, or null if it can't be matched
+     */
+    async resolveMove(game, input) {
+        const tryMove = candidate => {
+            try {
+                return new Chess(game.fen()).move(candidate.trim().replace(/[!?]+$/, ''));
+            } catch (error) {
+                return null;
+            }
+        };
+
+        const direct = tryMove(input);
+        if (direct) return direct;
+
+        const legalMoves = game.moves({ verbose: true });
+        const resolved = await resolveMove(input, legalMoves, game.fen());
+        if (resolved.status === 'ambiguous') {
+            throw new Error(`"${input}" could be ${resolved.candidates.map(m => m.san).join(' or ')}. Which one did you mean?`);
+        }
+        return resolved.status === 'match' ? tryMove(resolved.move.san) : null;
+    }
+
+    /**
+     * Checks a user's move against the puzzle solution and plays the opponent's reply
+     * @param {string} userId - User ID
+     * @param {string} input - The move, as SAN, UCI or plain English
+     * @returns {Promise<Object>} status is 'correct' (keep going), 'solved' or 'failed';
+     *          also includes the move, the opponent's reply, the puzzle and the player's stats
+     */
+    async submitMove(userId, input) {
+        const session = this.getActivePuzzle(userId);
+        if (!session) {
+            throw new Error('You do not have a puzzle in progress. Start one with /chess puzzle.');
+        }
+
+        const puzzle = this.getPuzzle(session.puzzleId);
+        const game = this.getPosition(session);
+        const move = await this.resolveMove(game, input);
+        if (!move) {
+            throw new Error(`I couldn't understand "${input}" as a legal move.`);
+        }
+
+        const expected = puzzle.solution[session.ply];
+        const isLastMove = session.ply === puzzle.solution.length - 1;
+        playUci(game, toUci(move));
+        const correct = toUci(move) === expected || (isLastMove && game.isCheckmate());
+
+        if (!correct) {
+            logger.info(`[PuzzleManager] ${userId} failed puzzle ${puzzle.id} with ${move.san}`);
+            return { status: 'failed', move, puzzle, session, ...this.finishPuzzle(userId, false) };
+        }
+
+        session.ply++;
+        if (session.ply >= puzzle.solution.length) {
+            logger.info(`[PuzzleManager] ${userId} solved puzzle ${puzzle.id}`);
+            return { status: 'solved', move, fen: game.fen(), puzzle, session, ...this.finishPuzzle(userId, true) };
+        }
+
+        // Play the opponent's forced reply
+        const reply = playUci(game, puzzle.solution[session.ply]);
+        session.ply++;
+        this.save();
+        return { status: 'correct', move, reply, fen: game.fen(), puzzle, session };
+    }
+
+    /**
+     * Gives up on the user's puzzle in progress
+     * @param {string} userId - User ID
+     * @returns {?Object} Same shape as a failed submitMove result, or null if there was no puzzle
+     */
+    giveUp(userId) {
+        const session = this.getActivePuzzle(userId);
+        if (!session) return null;
+        const puzzle = this.getPuzzle(session.puzzleId);
+        return { status: 'failed', move: null, puzzle, session, ...this.finishPuzzle(userId, false) };
+    }
+
+    /**
+     * Ends the user's puzzle and updates their rating, streaks and the daily solvers.
+     * Only the first attempt at a puzzle is rated.
+     * @param {string} userId - User ID
+     * @param {boolean} solved - Whether the puzzle was solved
+     * @returns {{player: PuzzlePlayer, ratingChange: number}}
+     */
+    finishPuzzle(userId, solved) {
+        const session = this.active[userId];
+        const puzzle = this.getPuzzle(session.puzzleId);
+        const player = this.getPlayer(userId);
+        delete this.active[userId];
+
+        let ratingChange = 0;
+        if (!player.seen.includes(puzzle.id)) {
+            const expected = 1 / (1 + Math.pow(10, (puzzle.rating - player.rating) / 400));
+            ratingChange = Math.round(PUZZLE_K_FACTOR * ((solved ? 1 : 0) - expected));
+            player.rating += ratingChange;
+            player.seen.push(puzzle.id);
+        }
+
+        if (solved) {
+            player.solved++;
+            player.streak++;
+            player.bestStreak = Math.max(player.bestStreak, player.streak);
+        } else {
+            player.failed++;
+            player.streak = 0;
+        }
+
+        if (session.daily) {
+            const yesterday = getDateKey(new Date(new Date(`${session.dateKey}T00:00:00Z`).getTime() - DAY_MS));
+            if (solved) {
+                player.dailyStreak = player.lastDailySolvedKey === yesterday ? player.dailyStreak + 1 : 1;
+                player.lastDailySolvedKey = session.dateKey;
+                if (this.daily.dateKey === session.dateKey) {
+                    const key = session.guildId || 'dm';
+                    this.daily.solvers[key] = [...(this.daily.solvers[key] || []), userId];
+                }
+            } else {
+                player.dailyStreak = 0;
+            }
+        }
+
+        this.save();
+        return { player, ratingChange };
+    }
+
+    /**
+     * Formats a puzzle's themes for display
+     * @param {Puzzle} puzzle
+     * @returns {string} e.g. "Fork, Mate In 2"
+     */
+    describeThemes(puzzle) {
+        return puzzle.themes
+            .map(theme => theme.replace(/([a-z])([A-Z0-9])/g, '$1 $2').replace(/^./, c => c.toUpperCase()))
+            .join(', ');
+    }
+
+    /**
+     * Builds the message that opens a puzzle
+     * @param {Puzzle} puzzle
+     * @param {PuzzleSession} session
+     * @returns {Object} Payload for channel.send()
+     */
+    buildStartMessage(puzzle, session) {
+        const turn = puzzle.fen.split(' ')[1];
+        const title = session.daily ? `🧩 Daily Puzzle · ${session.dateKey}` : `🧩 Puzzle ${puzzle.id}`;
+        const message = buildBoardMessage({
+            fen: puzzle.fen,
+            title,
+            description: `**${turn === 'w' ? 'White' : 'Black'} to move.** Find the best move!\n`
+                + 'Reply to me with your move (e.g. `Nf3` or "knight to f3"), or say "resign" to give up.',
+            orientation: turn,
+            color: PUZZLE_COLOR
+        });
+        message.embeds[0].addFields({ name: 'Rating', value: `${puzzle.rating}`, inline: true });
+        return message;
+    }
+
+    /**
+     * Builds the reply to a submitted move
+     * @param {Object} result - Result of submitMove() or giveUp()
+     * @returns {Object} Payload for channel.send()
+     */
+    buildMoveMessage(result) {
+        const { puzzle, session, move } = result;
+        const orientation = puzzle.fen.split(' ')[1];
+
+        if (result.status === 'correct') {
+            return buildBoardMessage({
+                fen: result.fen,
+                title: `🧩 Puzzle ${puzzle.id}`,
+                description: `✅ **${move.san}** is correct! The opponent replied **${result.reply.san}**. Keep going.`,
+                orientation,
+                lastMove: result.reply,
+                color: PUZZLE_COLOR
+            });
+        }
+
+        const { player, ratingChange } = result;
+        const rating = `${player.rating}${ratingChange ? ` (${ratingChange > 0 ? '+' : ''}${ratingChange})` : ''}`;
+        const fields = [
+            { name: 'Puzzle rating', value: rating, inline: true },
+            { name: 'Streak', value: `${player.streak}`, inline: true },
+            { name: 'Themes', value: this.describeThemes(puzzle), inline: false }
+        ];
+
+        if (result.status === 'solved') {
+            let description = `🎉 **${move.san}** — solved!`;
+            if (session.daily) {
+                const { solvers } = this.getDailyStatus(session.guildId);
+                description += `\nYou're solver #${solvers.length} of today's daily puzzle here. Daily streak: ${player.dailyStreak}`;
+            }
+            const message = buildBoardMessage({
+                fen: result.fen,
+                title: `🧩 Puzzle ${puzzle.id} solved`,
+                description,
+                orientation,
+                lastMove: move,
+                color: SOLVED_COLOR
+            });
+            message.embeds[0].addFields(fields);
+            return message;
+        }
+
+        // Failed: show where the solution leads
+        const solution = this.getSolutionSan(puzzle);
+        const game = new Chess(puzzle.fen);
+        for (const uci of puzzle.solution) playUci(game, uci);
+        const failure = move ? `❌ **${move.san}** is not the solution.` : '🏳️ You gave up.';
+        const message = buildBoardMessage({
+            fen: game.fen(),
+            title: `🧩 Puzzle ${puzzle.id} failed`,
+            description: `${failure}\nThe solution was: **${solution.join(' ')}**`,
+            orientation,
+            lastMove: game.history({ verbose: true }).slice(-1)[0],
+            color: FAILED_COLOR
+        });
+        message.embeds[0].addFields(fields);
+        return message;
+    }
+
+    /**
+     * Converts a solution line to SAN for display
+     * @param {Puzzle} puzzle
+     * @returns {Array<string>}
+     */
+    getSolutionSan(puzzle) {
+        const game = new Chess(puzzle.fen);
+        return puzzle.solution.map(uci => playUci(game, uci).san);
+    }
+}
+
+// Export singleton instance and helpers
+const puzzleManager = new PuzzleManager(
+    path.join(__dirname, 'puzzles.json'),
+    path.join(__dirname, 'puzzleStats.json')
+);
+module.exports = {
+    instance: puzzleManager,
+    getDateKey
+};
@@ -0,0 +1,447 @@
+/**
+ * Stores finished chess games and maintains player ratings.
+ * Every finished game is kept as a record (players, result, termination, moves),
+ * and each player gets an Elo rating. Games against RolyBot are rated against
+ * the bot difficulty level that was played, so each level has its own rating.
+ * Adaptive games are unrated, since RolyBot's strength changes with the player's
+ * (see adaptiveDifficulty.js); the player's adaptive strength is stored here too.
+ * Odds games are unrated as well, since the handicap changes what a result is worth (see odds.js).
+ *
+ * @typedef {Object} GameRecord
+ * @property {string} id - Game ID
+ * @property {string} whiteId - White player's user ID
+ * @property {string} blackId - Black player's user ID
+ * @property {'1-0'|'0-1'|'1/2-1/2'|'*'} result - PGN result, '*' for aborted games
+ * @property {string} termination - Why the game ended (checkmate, resignation, timeout, ...)
+ * @property {number} moveCount - Number of full moves played
+ * @property {Array<string>} moves - Move list in SAN
+ * @property {string} initialFen - Starting position
+ * @property {string} variant - standard, chess960 or fen (a custom starting position)
+ * @property {?string} difficulty - Bot difficulty, for games against RolyBot
+ * @property {?Object} timeControl - Time control the game was played with (see clockManager)
+ * @property {string} startedAt - ISO timestamp of the start of the game
+ * @property {string} endedAt - ISO timestamp of the end of the game
+ * @property {number} takebacks - Number of takebacks granted during the game
+ * @property {?string} tournamentId - Tournament the game was played in
+ * @property {boolean} coach - Whether the game was played in coach mode
+ * @property {Array<{ply: number, moves: Array<string>, at: string}>} hints - Hints given, with the moves suggested
+ * @property {?{eco: string, name: string}} opening - Named opening reached, for standard games (see OpeningBook)
+ * @property {?number} adaptiveStrength - Strength RolyBot finished an adaptive game at
+ * @property {?string} odds - Handicap RolyBot gave, for odds games (see odds.js)
+ * @property {Object} [analysis] - Engine analysis report, once the game has been analysed (see AnalysisService)
+ *
+ * @typedef {Object} PlayerStats
+ * @property {number} rating - Current Elo rating
+ * @property {number} games - Rated games played
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} draws
+ * @property {number} [adaptiveStrength] - Strength RolyBot plays this player at on adaptive difficulty
+ *
+ * @typedef {Object} OpeningScore
+ * @property {string} name - Opening name with its ECO code, or the first moves if it has no name
+ * @property {number} games
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} draws
+ * @property {number} score - Points scored, 1 per win and 0.5 per draw
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { DIFFICULTY_LEVELS } = require('./aiMoveService');
+const { instance: openingBook, formatOpening } = require('./openingBook');
+const { ADAPTIVE_DIFFICULTY } = require('./adaptiveDifficulty');
+
+const DEFAULT_RATING = 1200;
+const PROVISIONAL_GAMES = 20; // Ratings move faster until a player has this many games
+const K_FACTOR_PROVISIONAL = 40;
+const K_FACTOR = 20;
+
+// Starting ratings for each bot difficulty, roughly matching its Stockfish skill level
+const BOT_START_RATINGS = {
+    beginner: 800,
+    intermediate: 1200,
+    advanced: 1600,
+    master: 2000
+};
+
+/**
+ * Gets the rating key used for a bot difficulty level
+ * @param {string} difficulty - Difficulty level from DIFFICULTY_LEVELS
+ * @returns {string} e.g. "bot:intermediate"
+ */
+function botRatingId(difficulty) {
+    return `bot:${difficulty}`;
+}
+
+/**
+ * Expected score of a player against an opponent under Elo
+ * @param {number} rating - Player rating
+ * @param {number} opponentRating - Opponent rating
+ * @returns {number} Expected score between 0 and 1
+ */
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Identifies the named opening of a game, for standard games
+ * @param {Array<string>} moves - Move list in SAN
+ * @param {?string} initialFen - Starting position
+ * @param {string} variant - Game variant
+ * @returns {?{eco: string, name: string}}
+ */
+function identifyOpening(moves, initialFen, variant) {
+    if (variant && variant !== 'standard') return null;
+    const opening = openingBook.identify(moves, initialFen);
+    return opening ? { eco: opening.eco, name: opening.name } : null;
+}
+
+/**
+ * Gets a short description of a game's opening.
+ * Games recorded before openings were stored are identified from their moves, and
+ * games without a named opening are described by their first moves.
+ * @param {GameRecord} record - Recorded game
+ * @returns {?string} e.g. "B90 Sicilian Defense: Najdorf Variation" or "1. a3 e5 2. h3",
+ *                    or null if no moves were played
+ */
+function describeOpening(record) {
+    if (!record.moves || record.moves.length === 0) return null;
+    const opening = record.opening !== undefined
+        ? record.opening
+        : identifyOpening(record.moves, record.initialFen, record.variant);
+    if (opening) return formatOpening(opening);
+    return record.moves.slice(0, 3)
+        .map((san, i) => (i % 2 === 0 ? `${i / 2 + 1}. ${san}` : san))
+        .join(' ');
+}
+
+class ResultsManager {
+    constructor(savePath) {
+        this.savePath = savePath;
+        /** @type {Array<GameRecord>} */
+        this.records = [];
+        /** @type {Object<string, PlayerStats>} */
+        this.players = {};
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            if (!fs.existsSync(this.savePath)) {
+                logger.info('[ResultsManager] No saved results found, starting fresh');
+                return;
+            }
+            const fileContent = fs.readFileSync(this.savePath, 'utf8').trim();
+            if (!fileContent) return;
+
+            const data = JSON.parse(fileContent);
+            this.records = Array.isArray(data.records) ? data.records : [];
+            this.players = data.players && typeof data.players === 'object' ? data.players : {};
+            logger.info(`[ResultsManager] Loaded ${this.records.length} game records and ${Object.keys(this.players).length} ratings`);
+        } catch (error) {
+            logger.error(`[ResultsManager] Error loading results: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.savePath, JSON.stringify({ records: this.records, players: this.players }, null, 2));
+        } catch (error) {
+            logger.error(`[ResultsManager] Error saving results: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets the stats entry for a rating ID, creating it with the starting rating if needed
+     * @param {string} ratingId - User ID or bot rating ID
+     * @returns {PlayerStats}
+     */
+    getPlayer(ratingId) {
+        this.load();
+        if (!this.players[ratingId]) {
+            const difficulty = ratingId.startsWith('bot:') ? ratingId.slice(4) : null;
+            this.players[ratingId] = {
+                rating: BOT_START_RATINGS[difficulty] || DEFAULT_RATING,
+                games: 0,
+                wins: 0,
+                losses: 0,
+                draws: 0
+            };
+        }
+        return this.players[ratingId];
+    }
+
+    /**
+     * Records a finished game and updates both players' ratings
+     * @param {Object} gameData - Game state (see GameStateManager)
+     * @param {'1-0'|'0-1'|'1/2-1/2'|'*'} result - PGN result, '*' for aborted games
+     * @param {string} termination - Why the game ended
+     * @param {?string} botId - RolyBot's user ID, so bot games are rated against the difficulty level
+     * @returns {?GameRecord} The stored record, or null if the game was already recorded
+     */
+    recordGame(gameData, result, termination, botId = null) {
+        this.load();
+        if (this.records.some(r => r.id === gameData.gameId)) {
+            logger.debug(`[ResultsManager] Game ${gameData.gameId} already recorded`);
+            return null;
+        }
+
+        const moves = gameData.gameInstance ? gameData.gameInstance.history() : (gameData.moves || []);
+        const isBotGame = !!botId && (gameData.whiteId === botId || gameData.blackId === botId);
+        const record = {
+            id: gameData.gameId,
+            whiteId: gameData.whiteId,
+            blackId: gameData.blackId,
+            result,
+            termination,
+            moveCount: Math.ceil(moves.length / 2),
+            moves,
+            initialFen: gameData.initialFen,
+            variant: gameData.variant || 'standard',
+            difficulty: isBotGame ? gameData.difficulty : null,
+            timeControl: gameData.timeControl || null,
+            startedAt: gameData.startedAt,
+            endedAt: new Date().toISOString(),
+            takebacks: gameData.takebacks || 0,
+            tournamentId: gameData.tournamentId || null,
+            coach: !!gameData.coach,
+            hints: gameData.hints || [],
+            opening: identifyOpening(moves, gameData.initialFen, gameData.variant),
+            adaptiveStrength: isBotGame && gameData.adaptive ? gameData.adaptive.strength : null,
+            odds: isBotGame && gameData.odds ? gameData.odds : null
+        };
+        this.records.push(record);
+
+        // Rate the bot by difficulty level rather than as a single player. Aborted, adaptive and odds games are not rated.
+        const toRatingId = id => (isBotGame && id === botId ? botRatingId(gameData.difficulty) : id);
+        if (result !== '*' && record.difficulty !== ADAPTIVE_DIFFICULTY && !record.odds) {
+            this.updateRatings(toRatingId(record.whiteId), toRatingId(record.blackId), result);
+        }
+
+        this.save();
+        logger.info(`[ResultsManager] Recorded game ${record.id}: ${result} by ${termination}`);
+        return record;
+    }
+
+    /**
+     * Applies an Elo update for one game
+     * @param {string} whiteRatingId - White's rating ID
+     * @param {string} blackRatingId - Black's rating ID
+     * @param {'1-0'|'0-1'|'1/2-1/2'} result - PGN result
+     */
+    updateRatings(whiteRatingId, blackRatingId, result) {
+        const white = this.getPlayer(whiteRatingId);
+        const black = this.getPlayer(blackRatingId);
+        const whiteScore = result === '1-0' ? 1 : result === '0-1' ? 0 : 0.5;
+
+        const whiteExpected = expectedScore(white.rating, black.rating);
+        const kWhite = white.games < PROVISIONAL_GAMES ? K_FACTOR_PROVISIONAL : K_FACTOR;
+        const kBlack = black.games < PROVISIONAL_GAMES ? K_FACTOR_PROVISIONAL : K_FACTOR;
+
+        white.rating = Math.round(white.rating + kWhite * (whiteScore - whiteExpected));
+        black.rating = Math.round(black.rating + kBlack * ((1 - whiteScore) - (1 - whiteExpected)));
+
+        for (const [player, score] of [[white, whiteScore], [black, 1 - whiteScore]]) {
+            player.games++;
+            if (score === 1) player.wins++;
+            else if (score === 0) player.losses++;
+            else player.draws++;
+        }
+    }
+
+    /**
+     * Gets a recorded game by its ID
+     * @param {string} gameId - Game ID
+     * @returns {?GameRecord}
+     */
+    getRecord(gameId) {
+        this.load();
+        return this.records.find(r => r.id === gameId) || null;
+    }
+
+    /**
+     * Stores the engine analysis of a recorded game
+     * @param {string} gameId - Game ID
+     * @param {Object} analysis - Analysis report (see AnalysisService)
+     * @returns {boolean} Whether the game was found
+     */
+    setAnalysis(gameId, analysis) {
+        const record = this.getRecord(gameId);
+        if (!record) return false;
+        record.analysis = analysis;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Gets a user's finished games, most recent last. Aborted games are left out.
+     * @param {string} userId - User ID
+     * @returns {Array<GameRecord>}
+     */
+    getGamesForPlayer(userId) {
+        this.load();
+        return this.records.filter(r => (r.whiteId === userId || r.blackId === userId) && r.result !== '*');
+    }
+
+    /**
+     * Gets the score a user got in a recorded game
+     * @param {GameRecord} record
+     * @param {string} userId
+     * @returns {number} 1 for a win, 0.5 for a draw, 0 for a loss
+     */
+    getScore(record, userId) {
+        if (record.result === '1/2-1/2') return 0.5;
+        const whiteWon = record.result === '1-0';
+        return (record.whiteId === userId) === whiteWon ? 1 : 0;
+    }
+
+    /**
+     * Gets the user's current streak of wins, losses or draws
+     * @param {string} userId - User ID
+     * @returns {?{type: 'win'|'loss'|'draw', length: number}} The streak, or null if no games were played
+     */
+    getStreak(userId) {
+        const games = this.getGamesForPlayer(userId);
+        if (games.length === 0) return null;
+
+        const typeOf = score => (score === 1 ? 'win' : score === 0 ? 'loss' : 'draw');
+        const type = typeOf(this.getScore(games[games.length - 1], userId));
+        let length = 0;
+        for (let i = games.length - 1; i >= 0 && typeOf(this.getScore(games[i], userId)) === type; i--) {
+            length++;
+        }
+        return { type, length };
+    }
+
+    /**
+     * Totals a user's results in each opening of a set of games
+     * @param {Array<GameRecord>} records - Games the user played
+     * @param {string} userId - User ID
+     * @returns {Array<OpeningScore>} Most played first
+     */
+    scoreOpenings(records, userId) {
+        const openings = new Map();
+        for (const record of records) {
+            const name = describeOpening(record);
+            if (!name) continue;
+            const entry = openings.get(name) || { name, games: 0, wins: 0, losses: 0, draws: 0, score: 0 };
+            const score = this.getScore(record, userId);
+            entry.games++;
+            entry.score += score;
+            if (score === 1) entry.wins++;
+            else if (score === 0) entry.losses++;
+            else entry.draws++;
+            openings.set(name, entry);
+        }
+        return [...openings.values()].sort((a, b) => b.games - a.games || b.score - a.score);
+    }
+
+    /**
+     * Gets the openings a user plays most, with their score in each
+     * @param {string} userId - User ID
+     * @param {number} [limit=3] - Maximum number of openings
+     * @returns {Array<OpeningScore>} Most played first
+     */
+    getFavouriteOpenings(userId, limit = 3) {
+        return this.scoreOpenings(this.getGamesForPlayer(userId), userId).slice(0, limit);
+    }
+
+    /**
+     * Gets a user's openings split by the colour they played, with their results in each
+     * @param {string} userId - User ID
+     * @returns {{white: Array<OpeningScore>, black: Array<OpeningScore>}} Most played first
+     */
+    getOpeningBreakdown(userId) {
+        const games = this.getGamesForPlayer(userId);
+        return {
+            white: this.scoreOpenings(games.filter(r => r.whiteId === userId), userId),
+            black: this.scoreOpenings(games.filter(r => r.blackId === userId), userId)
+        };
+    }
+
+    /**
+     * Gets everything /chess stats shows for a user
+     * @param {string} userId - User ID
+     * @returns {Object} Rating, record, streak and favourite openings
+     */
+    getStats(userId) {
+        this.load();
+        const player = this.players[userId] || { rating: DEFAULT_RATING, games: 0, wins: 0, losses: 0, draws: 0 };
+        return {
+            ...player,
+            streak: this.getStreak(userId),
+            favouriteOpenings: this.getFavouriteOpenings(userId)
+        };
+    }
+
+    /**
+     * Gets the strength RolyBot plays a user at on adaptive difficulty
+     * @param {string} userId - User ID
+     * @returns {number} The stored strength, or the user's rating if they haven't played an adaptive game
+     */
+    getAdaptiveStrength(userId) {
+        this.load();
+        const player = this.players[userId];
+        if (player?.adaptiveStrength) return player.adaptiveStrength;
+        return player ? player.rating : DEFAULT_RATING;
+    }
+
+    /**
+     * Stores the strength RolyBot plays a user at on adaptive difficulty
+     * @param {string} userId - User ID
+     * @param {number} strength - New adaptive strength
+     */
+    setAdaptiveStrength(userId, strength) {
+        this.getPlayer(userId).adaptiveStrength = strength;
+        this.save();
+    }
+
+    /**
+     * Gets a user's average score in their most recent adaptive games
+     * @param {string} userId - User ID
+     * @param {number} count - Number of games to look at
+     * @returns {?number} Average score between 0 and 1, or null if they have played none
+     */
+    getRecentAdaptiveScore(userId, count) {
+        const games = this.getGamesForPlayer(userId)
+            .filter(r => r.difficulty === ADAPTIVE_DIFFICULTY)
+            .slice(-count);
+        if (games.length === 0) return null;
+        return games.reduce((sum, record) => sum + this.getScore(record, userId), 0) / games.length;
+    }
+
+    /**
+     * Gets the highest rated human players
+     * @param {number} [limit=10] - Maximum number of players
+     * @returns {Array<{userId: string} & PlayerStats>} Highest rating first
+     */
+    getLeaderboard(limit = 10) {
+        this.load();
+        return Object.entries(this.players)
+            .filter(([id, player]) => !id.startsWith('bot:') && player.games > 0)
+            .map(([userId, player]) => ({ userId, ...player }))
+            .sort((a, b) => b.rating - a.rating)
+            .slice(0, limit);
+    }
+
+    /**
+     * Gets the rating of every bot difficulty level
+     * @returns {Array<{difficulty: string} & PlayerStats>} In DIFFICULTY_LEVELS order
+     */
+    getBotRatings() {
+        return Object.keys(DIFFICULTY_LEVELS).map(difficulty => ({
+            difficulty,
+            ...this.getPlayer(botRatingId(difficulty))
+        }));
+    }
+}
+
+// Export singleton instance
+const resultsManager = new ResultsManager(path.join(__dirname, 'results.json'));
+module.exports = resultsManager;
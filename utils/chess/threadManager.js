@@ -1,7 +1,12 @@
+const fs = require('fs');
+const path = require('path');
 const { ThreadAutoArchiveDuration, ChannelType, PermissionsBitField, VoiceChannel } = require('discord.js');
 const logger = require('../logger');
 const threadUtils = require('./threadUtils');
 
+// Per-thread settings that outlive a game, such as a claimed voice channel
+const THREADS_PATH = path.join(__dirname, 'threads.json');
+
 // This will be set by the game manager to avoid circular dependencies
 let threadUtilsInstance = null;
 let clientInstance = null;
@@ -177,10 +182,6 @@ async function createGameThread(client, guild, whiteId, blackId, channel = null)
             )
         ]);
 
-        // Store thread mappings for both players
-        setThreadIdForUser(whiteId, thread.id);
-        setThreadIdForUser(blackId, thread.id);
-
         return thread;
     } catch (error) {
         logger.error(`[ThreadManager] Error creating game thread: ${error.message}`, error);
@@ -188,12 +189,74 @@ async function createGameThread(client, guild, whiteId, blackId, channel = null)
     }
 }
 
-// Add function to release voice channel when a game ends
+/**
+ * Creates a public thread for a user's puzzle attempt.
+ * @param {TextChannel|ThreadChannel} channel - Channel the puzzle was requested in (threads use their parent)
+ * @param {User} user - The solver
+ * @param {string} name - Thread name
+ * @returns {Promise<ThreadChannel>} The created thread
+ */
+async function createPuzzleThread(channel, user, name) {
+    const baseChannel = channel.isThread() && channel.parent ? channel.parent : channel;
+    if (!baseChannel.threads || baseChannel.type !== ChannelType.GuildText) {
+        throw new Error('Cannot create a thread: Command must be run in a server text channel.');
+    }
+
+    const thread = await baseChannel.threads.create({
+        name: name.substring(0, 100),
+        autoArchiveDuration: ThreadAutoArchiveDuration.OneDay,
+        type: ChannelType.PublicThread,
+        reason: `Chess puzzle for ${user.tag}`
+    });
+    await thread.members.add(user.id).catch(e =>
+        logger.error(`[ThreadManager] Failed to add ${user.id} to puzzle thread: ${e.message}`)
+    );
+
+    logger.info(`[ThreadManager] Created puzzle thread ${thread.name} (${thread.id})`);
+    return thread;
+}
+
+/**
+ * Loads the saved per-thread settings
+ * @returns {Object<string, {voiceChannelId?: string}>} Settings by thread ID
+ */
+function loadThreads() {
+    try {
+        if (!fs.existsSync(THREADS_PATH)) return {};
+        const fileContent = fs.readFileSync(THREADS_PATH, 'utf8').trim();
+        return fileContent ? JSON.parse(fileContent) : {};
+    } catch (error) {
+        logger.error(`[ThreadManager] Error loading threads: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Saves the per-thread settings
+ * @param {Object<string, {voiceChannelId?: string}>} threads - Settings by thread ID
+ */
+function saveThreads(threads) {
+    try {
+        fs.writeFileSync(THREADS_PATH, JSON.stringify(threads, null, 2));
+    } catch (error) {
+        logger.error(`[ThreadManager] Error saving threads: ${error.message}`);
+    }
+}
+
+/**
+ * Releases the voice channel claimed by a game thread, if any
+ * @param {string} threadId - The game thread
+ * @returns {boolean} Whether a voice channel was released
+ */
 function releaseVoiceChannel(threadId) {
     const threads = loadThreads();
     if (threads[threadId] && threads[threadId].voiceChannelId) {
         delete threads[threadId].voiceChannelId;
+        if (Object.keys(threads[threadId]).length === 0) {
+            delete threads[threadId];
+        }
         saveThreads(threads);
+        logger.info(`[ThreadManager] Released voice channel for thread ${threadId}`);
         return true;
     }
     return false;
@@ -260,6 +323,7 @@ module.exports = {
         }
         return threadUtilsInstance.createGameThread(client, guild, whiteId, blackId, channel);
     },
+    createPuzzleThread,
     setupVoiceChannel,
     releaseVoiceChannel
 };
\ No newline at end of file
@@ -7,6 +7,12 @@ class ThreadUtils {
         this.client = client;
     }
 
+    /**
+     * Gets the thread of a user's game. Users with several games have no single
+     * thread, since the thread is what tells their games apart.
+     * @param {string} userId - User ID
+     * @returns {string|null} Thread ID
+     */
     getThreadIdForUser(userId) {
         const game = this.gameStateManager.getGame(userId);
         return game?.threadId || null;
@@ -16,8 +22,7 @@ class ThreadUtils {
         try {
             const game = this.gameStateManager.getGame(userId);
             if (game) {
-                game.threadId = threadId;
-                this.gameStateManager.saveGames();
+                this.gameStateManager.updateGame(game.gameId, { threadId });
             }
         } catch (e) {
             logger.error(`[ThreadUtils] Error setting thread ID: ${e.message}`);
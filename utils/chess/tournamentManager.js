@@ -0,0 +1,621 @@
+/**
+ * Swiss and round-robin tournaments.
+ * Keeps the players, pairings and results of every tournament, generates the
+ * pairings for each round and computes standings with Buchholz and
+ * Sonneborn-Berger tiebreaks. Creating the games and threads for a round is
+ * left to GameManager. State is saved to tournaments.json after every change,
+ * the same way games.json is.
+ *
+ * @typedef {Object} TournamentPlayer
+ * @property {string} id - User ID
+ * @property {number} rating - Rating when the player joined, used for seeding
+ * @property {boolean} withdrawn - Whether the player has left the tournament
+ * @property {string} joinedAt - ISO timestamp
+ *
+ * @typedef {Object} Pairing
+ * @property {string} whiteId - White player's user ID
+ * @property {?string} blackId - Black player's user ID, null for a bye
+ * @property {?string} gameId - Game ID once the game has been created
+ * @property {?('1-0'|'0-1'|'1/2-1/2')} result - Result once the game is over
+ * @property {boolean} [forfeit] - Whether the result was decided without playing (bye or withdrawal)
+ *
+ * @typedef {Object} Tournament
+ * @property {string} id - Tournament ID
+ * @property {string} name - Display name
+ * @property {'swiss'|'roundrobin'} format
+ * @property {string} guildId - Server the tournament runs in
+ * @property {string} channelId - Channel that round threads are created in
+ * @property {string} creatorId - User who created the tournament
+ * @property {?Object} timeControl - Time control for every game (see clockManager)
+ * @property {?number} totalRounds - Number of rounds, set when the tournament starts
+ * @property {'open'|'running'|'finished'} status
+ * @property {Array<TournamentPlayer>} players
+ * @property {Array<{number: number, pairings: Array<Pairing>}>} rounds
+ * @property {?Array<Array<[?string, ?string]>>} schedule - Round-robin pairings for every round, set at the start
+ * @property {string} createdAt - ISO timestamp
+ * @property {?string} startedAt - ISO timestamp
+ * @property {?string} finishedAt - ISO timestamp
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../logger');
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 32;
+const BYE_SCORE = 1; // Points for a bye
+
+/**
+ * Gets the points a result gives to White and to Black
+ * @param {'1-0'|'0-1'|'1/2-1/2'} result - PGN result
+ * @returns {[number, number]} White's and Black's points
+ */
+function pointsFor(result) {
+    if (result === '1-0') return [1, 0];
+    if (result === '0-1') return [0, 1];
+    return [0.5, 0.5];
+}
+
+/**
+ * Number of Swiss rounds that separates the players well
+ * @param {number} playerCount
+ * @returns {number}
+ */
+function defaultSwissRounds(playerCount) {
+    return Math.max(1, Math.min(playerCount - 1, Math.ceil(Math.log2(playerCount)) + 1));
+}
+
+/**
+ * Builds a round-robin schedule with the circle method, with colours given as in a Berger table:
+ * the fixed player alternates colours every round, and on the other boards the player in the
+ * first half of the circle has White. Each rotating player passes through every seat once, so
+ * every player's White and Black counts differ by at most one.
+ * @param {Array<string>} playerIds - Players, in seeding order
+ * @returns {Array<Array<[?string, ?string]>>} One list of [white, black] pairs per round; null is a bye
+ */
+function buildRoundRobinSchedule(playerIds) {
+    const ids = [...playerIds];
+    if (ids.length % 2 === 1) ids.push(null);
+    const n = ids.length;
+    const rounds = [];
+
+    for (let round = 0; round < n - 1; round++) {
+        const pairs = [];
+        for (let i = 0; i < n / 2; i++) {
+            const a = ids[i];
+            const b = ids[n - 1 - i];
+            // The fixed player's colour alternates by round; the other boards go by seat
+            const aWhite = i === 0 ? round % 2 === 0 : true;
+            pairs.push(aWhite ? [a, b] : [b, a]);
+        }
+        rounds.push(pairs);
+        // Keep the first player fixed and rotate the others
+        ids.splice(1, 0, ids.pop());
+    }
+    return rounds;
+}
+
+class TournamentManager {
+    constructor(savePath) {
+        this.savePath = savePath;
+        /** @type {Object<string, Tournament>} */
+        this.tournaments = {};
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            if (!fs.existsSync(this.savePath)) {
+                logger.info('[TournamentManager] No saved tournaments found, starting fresh');
+                return;
+            }
+            const fileContent = fs.readFileSync(this.savePath, 'utf8').trim();
+            if (!fileContent) return;
+
+            const data = JSON.parse(fileContent);
+            this.tournaments = data.tournaments && typeof data.tournaments === 'object' ? data.tournaments : {};
+            logger.info(`[TournamentManager] Loaded ${Object.keys(this.tournaments).length} tournaments`);
+        } catch (error) {
+            logger.error(`[TournamentManager] Error loading tournaments: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.savePath, JSON.stringify({ tournaments: this.tournaments }, null, 2));
+        } catch (error) {
+            logger.error(`[TournamentManager] Error saving tournaments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets a tournament by ID
+     * @param {string} tournamentId
+     * @returns {?Tournament}
+     */
+    getTournament(tournamentId) {
+        this.load();
+        return this.tournaments[tournamentId] || null;
+    }
+
+    /**
+     * Finds a tournament by ID, or the most recent one in a server that isn't finished
+     * @param {string} guildId - Server ID
+     * @param {?string} [tournamentId] - Tournament ID, if the user gave one
+     * @returns {Tournament}
+     */
+    findTournament(guildId, tournamentId = null) {
+        this.load();
+        if (tournamentId) {
+            const tournament = this.tournaments[tournamentId];
+            if (!tournament || tournament.guildId !== guildId) {
+                throw new Error(`No tournament with ID ${tournamentId} on this server.`);
+            }
+            return tournament;
+        }
+
+        const candidates = Object.values(this.tournaments)
+            .filter(t => t.guildId === guildId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        const tournament = candidates.find(t => t.status !== 'finished') || candidates[0];
+        if (!tournament) {
+            throw new Error('There is no tournament on this server. Create one with `/chess tournament create`.');
+        }
+        return tournament;
+    }
+
+    /**
+     * Gets every tournament that is still being played
+     * @returns {Array<Tournament>}
+     */
+    getRunningTournaments() {
+        this.load();
+        return Object.values(this.tournaments).filter(t => t.status === 'running');
+    }
+
+    /**
+     * Creates a tournament that players can join until it starts
+     * @param {Object} options
+     * @param {string} options.name - Display name
+     * @param {'swiss'|'roundrobin'} options.format
+     * @param {?number} options.rounds - Number of Swiss rounds (computed from the player count if not given)
+     * @param {?Object} options.timeControl - Time control for every game
+     * @param {string} options.guildId - Server ID
+     * @param {string} options.channelId - Channel to create game threads in
+     * @param {string} options.creatorId - User creating the tournament
+     * @returns {Tournament}
+     */
+    createTournament({ name, format, rounds = null, timeControl = null, guildId, channelId, creatorId }) {
+        this.load();
+        const tournament = {
+            id: crypto.randomBytes(3).toString('hex'),
+            name: name || `${format === 'roundrobin' ? 'Round-robin' : 'Swiss'} tournament`,
+            format,
+            guildId,
+            channelId,
+            creatorId,
+            timeControl,
+            requestedRounds: rounds,
+            totalRounds: null,
+            status: 'open',
+            players: [],
+            rounds: [],
+            schedule: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.tournaments[tournament.id] = tournament;
+        this.save();
+        logger.info(`[TournamentManager] Created ${format} tournament ${tournament.id} (${tournament.name})`);
+        return tournament;
+    }
+
+    /**
+     * Adds a player to a tournament that hasn't started
+     * @param {string} tournamentId
+     * @param {string} userId
+     * @param {number} rating - Player's rating, used for seeding
+     * @returns {Tournament}
+     */
+    joinTournament(tournamentId, userId, rating) {
+        const tournament = this.getTournament(tournamentId);
+        if (!tournament) throw new Error('Tournament not found.');
+        if (tournament.status !== 'open') throw new Error('This tournament has already started.');
+        if (tournament.players.some(p => p.id === userId)) throw new Error('You have already joined this tournament.');
+        if (tournament.players.length >= MAX_PLAYERS) throw new Error(`This tournament is full (${MAX_PLAYERS} players).`);
+
+        tournament.players.push({ id: userId, rating, withdrawn: false, joinedAt: new Date().toISOString() });
+        this.save();
+        return tournament;
+    }
+
+    /**
+     * Starts a tournament and pairs the first round
+     * @param {string} tournamentId
+     * @param {string} userId - User starting it, must be the creator
+     * @returns {{tournament: Tournament, round: Object}} The first round
+     */
+    startTournament(tournamentId, userId) {
+        const tournament = this.getTournament(tournamentId);
+        if (!tournament) throw new Error('Tournament not found.');
+        if (tournament.creatorId !== userId) throw new Error('Only the tournament creator can start it.');
+        if (tournament.status !== 'open') throw new Error('This tournament has already started.');
+        if (tournament.players.length < MIN_PLAYERS) throw new Error(`At least ${MIN_PLAYERS} players are needed to start.`);
+
+        // Seed by rating
+        tournament.players.sort((a, b) => b.rating - a.rating);
+        const playerCount = tournament.players.length;
+        if (tournament.format === 'roundrobin') {
+            tournament.schedule = buildRoundRobinSchedule(tournament.players.map(p => p.id));
+            tournament.totalRounds = tournament.schedule.length;
+        } else {
+            tournament.totalRounds = Math.min(
+                tournament.requestedRounds || defaultSwissRounds(playerCount),
+                Math.max(1, playerCount - 1)
+            );
+        }
+        tournament.status = 'running';
+        tournament.startedAt = new Date().toISOString();
+
+        const round = this.pairNextRound(tournament);
+        logger.info(`[TournamentManager] Started tournament ${tournament.id} with ${playerCount} players, ${tournament.totalRounds} rounds`);
+        return { tournament, round };
+    }
+
+    /**
+     * Withdraws a player. Their unfinished pairings in the current round are forfeited,
+     * and they aren't paired again.
+     * @param {string} tournamentId
+     * @param {string} userId
+     * @returns {{tournament: Tournament, forfeited: Array<Pairing>}} Pairings the withdrawal decided
+     */
+    withdrawPlayer(tournamentId, userId) {
+        const tournament = this.getTournament(tournamentId);
+        const player = tournament?.players.find(p => p.id === userId);
+        if (!player) throw new Error('You are not playing in this tournament.');
+        if (player.withdrawn) throw new Error('You have already withdrawn from this tournament.');
+        if (tournament.status === 'finished') throw new Error('This tournament is already over.');
+
+        if (tournament.status === 'open') {
+            tournament.players = tournament.players.filter(p => p.id !== userId);
+            this.save();
+            return { tournament, forfeited: [] };
+        }
+
+        player.withdrawn = true;
+        const forfeited = [];
+        const round = this.getCurrentRound(tournament);
+        for (const pairing of round?.pairings || []) {
+            if (pairing.result || !pairing.blackId) continue;
+            if (pairing.whiteId === userId || pairing.blackId === userId) {
+                pairing.result = pairing.whiteId === userId ? '0-1' : '1-0';
+                pairing.forfeit = true;
+                forfeited.push(pairing);
+            }
+        }
+        this.save();
+        logger.info(`[TournamentManager] ${userId} withdrew from tournament ${tournament.id}`);
+        return { tournament, forfeited };
+    }
+
+    /**
+     * Gets the round being played
+     * @param {Tournament} tournament
+     * @returns {?Object}
+     */
+    getCurrentRound(tournament) {
+        return tournament.rounds[tournament.rounds.length - 1] || null;
+    }
+
+    /**
+     * Checks whether every game of the current round has a result
+     * @param {Tournament} tournament
+     * @returns {boolean}
+     */
+    isRoundComplete(tournament) {
+        const round = this.getCurrentRound(tournament);
+        return !!round && round.pairings.every(pairing => pairing.result);
+    }
+
+    /**
+     * Finds the tournament pairing for a game
+     * @param {string} tournamentId
+     * @param {string} gameId
+     * @returns {?Pairing}
+     */
+    findPairing(tournamentId, gameId) {
+        const tournament = this.getTournament(tournamentId);
+        for (const round of tournament?.rounds || []) {
+            const pairing = round.pairings.find(p => p.gameId === gameId);
+            if (pairing) return pairing;
+        }
+        return null;
+    }
+
+    /**
+     * Links a created game to its pairing
+     * @param {Pairing} pairing
+     * @param {string} gameId
+     */
+    setPairingGame(pairing, gameId) {
+        pairing.gameId = gameId;
+        this.save();
+    }
+
+    /**
+     * Records the result of a tournament game
+     * @param {string} tournamentId
+     * @param {string} gameId
+     * @param {'1-0'|'0-1'|'1/2-1/2'} result - PGN result. Aborted games ('*') aren't results and are ignored.
+     * @returns {?Tournament} The tournament, or null if the game isn't part of it or has no result
+     */
+    recordResult(tournamentId, gameId, result) {
+        if (!['1-0', '0-1', '1/2-1/2'].includes(result)) return null;
+        const tournament = this.getTournament(tournamentId);
+        const pairing = this.findPairing(tournamentId, gameId);
+        if (!tournament || !pairing || pairing.result) return null;
+
+        pairing.result = result;
+        this.save();
+        logger.info(`[TournamentManager] Tournament ${tournamentId}: ${pairing.whiteId} vs ${pairing.blackId} ended ${result}`);
+        return tournament;
+    }
+
+    /**
+     * Pairs the next round, or finishes the tournament after the last round
+     * @param {Tournament} tournament
+     * @returns {?Object} The new round, or null if the tournament is over
+     */
+    pairNextRound(tournament) {
+        const number = tournament.rounds.length + 1;
+        const active = tournament.players.filter(p => !p.withdrawn);
+        if (number > tournament.totalRounds || active.length < MIN_PLAYERS) {
+            tournament.status = 'finished';
+            tournament.finishedAt = new Date().toISOString();
+            this.save();
+            logger.info(`[TournamentManager] Tournament ${tournament.id} finished`);
+            return null;
+        }
+
+        const pairings = tournament.format === 'roundrobin'
+            ? this._roundRobinPairings(tournament, number)
+            : this._swissPairings(tournament);
+        const round = { number, pairings };
+        tournament.rounds.push(round);
+        this.save();
+        return round;
+    }
+
+    /**
+     * Takes a round from the round-robin schedule. Games against withdrawn players are forfeited.
+     * @param {Tournament} tournament
+     * @param {number} number - Round number
+     * @returns {Array<Pairing>}
+     */
+    _roundRobinPairings(tournament, number) {
+        const withdrawn = new Set(tournament.players.filter(p => p.withdrawn).map(p => p.id));
+        return tournament.schedule[number - 1].map(([whiteId, blackId]) => {
+            // Byes are always stored with the player as White
+            if (whiteId === null || blackId === null) {
+                const playerId = whiteId || blackId;
+                return withdrawn.has(playerId)
+                    ? null
+                    : { whiteId: playerId, blackId: null, gameId: null, result: '1-0', forfeit: true };
+            }
+            if (withdrawn.has(whiteId) && withdrawn.has(blackId)) return null;
+            if (withdrawn.has(whiteId) || withdrawn.has(blackId)) {
+                return { whiteId, blackId, gameId: null, result: withdrawn.has(whiteId) ? '0-1' : '1-0', forfeit: true };
+            }
+            return { whiteId, blackId, gameId: null, result: null };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Pairs a Swiss round: players with equal scores meet, the top half of each score group
+     * against the bottom half (1v4, 2v5, 3v6 in a group of six), nobody meets the same
+     * opponent twice, the lowest ranked player without a bye gets one, and colours go to
+     * whoever has had fewer whites.
+     * @param {Tournament} tournament
+     * @returns {Array<Pairing>}
+     */
+    _swissPairings(tournament) {
+        const standings = this.getStandings(tournament).filter(s => !s.withdrawn);
+        const pairings = [];
+
+        let pool = standings;
+        let bye = null;
+        if (pool.length % 2 === 1) {
+            const byePlayer = [...pool].reverse().find(s => !s.hadBye) || pool[pool.length - 1];
+            pool = pool.filter(s => s !== byePlayer);
+            bye = { whiteId: byePlayer.id, blackId: null, gameId: null, result: '1-0', forfeit: true };
+        }
+
+        const pairs = this._pairWithoutRematches(pool) || this._pairInOrder(pool);
+        for (const [a, b] of pairs) {
+            // Give White to whoever has had it less, or alternate from the last game
+            const aWhite = a.whites !== b.whites
+                ? a.whites < b.whites
+                : a.lastColor !== 'w';
+            pairings.push({
+                whiteId: aWhite ? a.id : b.id,
+                blackId: aWhite ? b.id : a.id,
+                gameId: null,
+                result: null
+            });
+        }
+        if (bye) pairings.push(bye);
+        return pairings;
+    }
+
+    /**
+     * Pairs players top-down, the best unpaired player against the top of the bottom half of
+     * their score group, backtracking to other opponents only to avoid rematches. A group
+     * with an odd number of players takes the best player of the next group in.
+     * @param {Array<Object>} players - Standings entries, best first
+     * @returns {?Array<[Object, Object]>} Pairs, or null if rematches can't be avoided
+     */
+    _pairWithoutRematches(players) {
+        if (players.length === 0) return [];
+        const [first] = players;
+        let groupSize = players.filter(p => p.score === first.score).length;
+        if (groupSize % 2 === 1 && groupSize < players.length) groupSize++;
+        const half = Math.floor(groupSize / 2);
+
+        // Preferred opponents: the bottom half from its top, then the top half from its bottom,
+        // then everyone below the group
+        const candidates = [
+            ...players.slice(half, groupSize),
+            ...players.slice(1, half).reverse(),
+            ...players.slice(groupSize)
+        ];
+        for (const opponent of candidates) {
+            if (first.opponents.includes(opponent.id)) continue;
+            const remaining = this._pairWithoutRematches(players.filter(p => p !== first && p !== opponent));
+            if (remaining) return [[first, opponent], ...remaining];
+        }
+        return null;
+    }
+
+    /**
+     * Pairs players 1-2, 3-4, ... when rematches can't be avoided
+     * @param {Array<Object>} players - Standings entries, best first
+     * @returns {Array<[Object, Object]>}
+     */
+    _pairInOrder(players) {
+        const pairs = [];
+        for (let i = 0; i + 1 < players.length; i += 2) {
+            pairs.push([players[i], players[i + 1]]);
+        }
+        return pairs;
+    }
+
+    /**
+     * Computes the standings with tiebreaks. Buchholz is the sum of the opponents' scores,
+     * Sonneborn-Berger adds the scores of beaten opponents and half of drawn ones. Byes and
+     * forfeits count for the score but not the tiebreaks.
+     * @param {Tournament} tournament
+     * @returns {Array<Object>} Standings entries ({id, score, buchholz, sonnebornBerger, ...}), best first
+     */
+    getStandings(tournament) {
+        const entries = new Map(tournament.players.map(p => [p.id, {
+            id: p.id,
+            rating: p.rating,
+            withdrawn: p.withdrawn,
+            score: 0,
+            played: 0,
+            wins: 0,
+            draws: 0,
+            losses: 0,
+            whites: 0,
+            lastColor: null,
+            hadBye: false,
+            opponents: [],
+            games: [] // [opponentId, points] for games actually played
+        }]));
+
+        for (const round of tournament.rounds) {
+            for (const pairing of round.pairings) {
+                if (!pairing.result) continue;
+                const [whitePoints, blackPoints] = pointsFor(pairing.result);
+                const white = entries.get(pairing.whiteId);
+                const black = pairing.blackId ? entries.get(pairing.blackId) : null;
+
+                if (!black) {
+                    if (white) {
+                        white.score += BYE_SCORE;
+                        white.hadBye = true;
+                    }
+                    continue;
+                }
+
+                for (const [entry, opponent, points, color] of [[white, black, whitePoints, 'w'], [black, white, blackPoints, 'b']]) {
+                    if (!entry) continue;
+                    entry.score += points;
+                    entry.opponents.push(opponent.id);
+                    if (pairing.forfeit) continue;
+                    entry.played++;
+                    entry.games.push([opponent.id, points]);
+                    if (points === 1) entry.wins++;
+                    else if (points === 0) entry.losses++;
+                    else entry.draws++;
+                    if (color === 'w') entry.whites++;
+                    entry.lastColor = color;
+                }
+            }
+        }
+
+        for (const entry of entries.values()) {
+            entry.buchholz = 0;
+            entry.sonnebornBerger = 0;
+            for (const [opponentId, points] of entry.games) {
+                const opponentScore = entries.get(opponentId)?.score || 0;
+                entry.buchholz += opponentScore;
+                entry.sonnebornBerger += opponentScore * points;
+            }
+        }
+
+        return [...entries.values()].sort((a, b) =>
+            b.score - a.score ||
+            b.buchholz - a.buchholz ||
+            b.sonnebornBerger - a.sonnebornBerger ||
+            b.rating - a.rating
+        );
+    }
+
+    /**
+     * Builds the embed announcing a round's pairings
+     * @param {Tournament} tournament
+     * @param {Object} round - Round to show
+     * @returns {EmbedBuilder}
+     */
+    buildRoundEmbed(tournament, round) {
+        const lines = round.pairings.map((pairing, i) => {
+            if (!pairing.blackId) return `${i + 1}. <@${pairing.whiteId}> has a bye (+${BYE_SCORE})`;
+            const result = pairing.result ? ` **${pairing.result}**` : '';
+            return `${i + 1}. <@${pairing.whiteId}> (White) vs <@${pairing.blackId}> (Black)${result}`;
+        });
+        return new EmbedBuilder()
+            .setTitle(`🏆 ${tournament.name}: round ${round.number} of ${tournament.totalRounds}`)
+            .setDescription(`${lines.join('\n')}\n\nA game thread is opened for each pairing. Good luck!`)
+            .setFooter({ text: `Tournament ${tournament.id}` })
+            .setColor(0xF1C40F);
+    }
+
+    /**
+     * Builds the standings embed for /chess tournament standings and round announcements
+     * @param {Tournament} tournament
+     * @param {string} [heading] - Shown above the table, e.g. "After round 2"
+     * @returns {EmbedBuilder}
+     */
+    buildStandingsEmbed(tournament, heading = null) {
+        const standings = this.getStandings(tournament);
+        const format = tournament.format === 'swiss' ? 'Swiss' : 'Round robin';
+        const roundInfo = tournament.status === 'open'
+            ? `Waiting to start, ${tournament.players.length} player(s) joined`
+            : `Round ${tournament.rounds.length} of ${tournament.totalRounds}${tournament.status === 'finished' ? ' (finished)' : ''}`;
+
+        const lines = standings.map((entry, i) => {
+            const rank = tournament.status === 'finished' && i < 3 ? ['🥇', '🥈', '🥉'][i] : `${i + 1}.`;
+            const withdrawn = entry.withdrawn ? ' (withdrawn)' : '';
+            return `${rank} <@${entry.id}>${withdrawn}: **${entry.score}** pts ` +
+                `(+${entry.wins} =${entry.draws} -${entry.losses}) · BH ${entry.buchholz} · SB ${entry.sonnebornBerger}`;
+        });
+
+        return new EmbedBuilder()
+            .setTitle(`🏆 ${tournament.name}`)
+            .setDescription(`${heading ? `**${heading}**\n` : ''}${format} · ${roundInfo}\n\n${lines.join('\n') || 'No players yet'}`)
+            .setFooter({ text: `Tournament ${tournament.id} · Tiebreaks: Buchholz (BH), Sonneborn-Berger (SB)` })
+            .setColor(0xF1C40F);
+    }
+}
+
+// Export singleton instance, with the schedule builder for the schedule check (test/)
+const tournamentManager = new TournamentManager(path.join(__dirname, 'tournaments.json'));
+module.exports = tournamentManager;
+module.exports.buildRoundRobinSchedule = buildRoundRobinSchedule;
@@ -0,0 +1,335 @@
+/**
+ * Game variants: standard chess, Chess960 and games played out from a custom FEN.
+ * chess.js only knows standard castling (king on e1, rooks in the corners), so
+ * Chess960 games use the Chess960 subclass below, which replaces castling with the
+ * Chess960 rules: the king ends on the g- or c-file and the rook next to it,
+ * whatever files they started on.
+ */
+
+const { Chess, DEFAULT_POSITION } = require('chess.js');
+
+const VARIANTS = {
+    standard: { name: 'Standard', pgnName: null },
+    chess960: { name: 'Chess960', pgnName: 'Chess960' },
+    fen: { name: 'From position', pgnName: 'From Position' }
+};
+
+// chess.js internals: move flag bits and the empty-square marker
+const KSIDE_CASTLE = 32;
+const QSIDE_CASTLE = 64;
+const EMPTY = -1;
+
+// Knight placements on the five squares left after bishops and queen, by Scharnagl number
+const KNIGHT_PLACEMENTS = [
+    [0, 1], [0, 2], [0, 3], [0, 4], [1, 2],
+    [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]
+];
+
+/**
+ * Converts a chess.js 0x88 square index to algebraic notation
+ * @param {number} square - 0x88 index
+ * @returns {string} e.g. "e1"
+ */
+function algebraic(square) {
+    return 'abcdefgh'[square & 7] + (8 - (square >> 4));
+}
+
+/**
+ * Builds the starting position for a Chess960 position number
+ * @param {number} [number] - Scharnagl number from 0 to 959 (random if not given, 518 is the standard start)
+ * @returns {{fen: string, number: number}}
+ */
+function generateChess960Position(number = Math.floor(Math.random() * 960)) {
+    const rank = new Array(8).fill(null);
+    let n = number;
+
+    rank[[1, 3, 5, 7][n % 4]] = 'B'; // Light-squared bishop
+    n = Math.floor(n / 4);
+    rank[[0, 2, 4, 6][n % 4]] = 'B'; // Dark-squared bishop
+    n = Math.floor(n / 4);
+
+    const empty = () => rank.map((piece, file) => (piece ? null : file)).filter(file => file !== null);
+    rank[empty()[n % 6]] = 'Q';
+    n = Math.floor(n / 6);
+
+    const free = empty();
+    for (const index of KNIGHT_PLACEMENTS[n]) {
+        rank[free[index]] = 'N';
+    }
+
+    // The king always goes between the two rooks
+    const [left, middle, right] = empty();
+    rank[left] = 'R';
+    rank[middle] = 'K';
+    rank[right] = 'R';
+
+    const white = rank.join('');
+    return {
+        fen: `${white.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${white} w KQkq - 0 1`,
+        number
+    };
+}
+
+/**
+ * chess.js with Chess960 castling. KQkq castling rights refer to the outermost rook on
+ * each side of the king (X-FEN). Castling moves keep chess.js's castling flags, so SAN
+ * is still O-O and O-O-O, and "to" is the king's destination square. Moves given as
+ * king-takes-rook (how UCI engines write Chess960 castling) are accepted too.
+ */
+class Chess960 extends Chess {
+    load(fen, options) {
+        super.load(fen, options);
+
+        // Find each side's castling rooks
+        this._castlingRooks = { w: {}, b: {} };
+        for (const color of ['w', 'b']) {
+            const king = this._kings[color];
+            const rows = color === 'w' ? 0x70 : 0x00;
+            for (const [flag, files] of [[KSIDE_CASTLE, [7, 6, 5, 4, 3, 2, 1]], [QSIDE_CASTLE, [0, 1, 2, 3, 4, 5, 6]]]) {
+                if (!(this._castling[color] & flag)) continue;
+                const rook = king === EMPTY || (king & 0xf0) !== rows ? undefined : files
+                    .map(file => rows + file)
+                    .find(square => (flag === KSIDE_CASTLE ? square > king : square < king) &&
+                        this._board[square]?.type === 'r' && this._board[square]?.color === color);
+                if (rook === undefined) {
+                    this._castling[color] &= ~flag;
+                } else {
+                    this._castlingRooks[color][flag] = rook;
+                }
+            }
+        }
+    }
+
+    move(move, options) {
+        // Translate king-takes-rook castling into the king's destination
+        if (move && typeof move === 'object') {
+            const castle = this._moves({ piece: 'k' })
+                .find(m => m.rook !== undefined && algebraic(m.from) === move.from && algebraic(m.rook) === move.to);
+            if (castle) {
+                move = { ...move, to: algebraic(castle.to) };
+            }
+        }
+        return super.move(move, options);
+    }
+
+    _moves(options = {}) {
+        // Let chess.js generate everything except castling
+        const castling = this._castling;
+        this._castling = { w: 0, b: 0 };
+        let moves;
+        try {
+            moves = super._moves(options);
+        } finally {
+            this._castling = castling;
+        }
+
+        const us = this._turn;
+        const king = this._kings[us];
+        const wantsKing = !options.piece || options.piece.toLowerCase() === 'k';
+        const onKingSquare = !options.square || options.square.toLowerCase() === (king === EMPTY ? null : algebraic(king));
+        if (this._castling[us] && king !== EMPTY && wantsKing && onKingSquare) {
+            moves.push(...this._castlingMoves(us, king));
+        }
+        return moves;
+    }
+
+    /**
+     * Generates the legal Chess960 castling moves
+     * @param {'w'|'b'} us - Side to move
+     * @param {number} king - King's square
+     * @returns {Array<Object>} chess.js internal moves with the rook's square in `rook`
+     */
+    _castlingMoves(us, king) {
+        const them = us === 'w' ? 'b' : 'w';
+        const rows = king & 0xf0;
+        const moves = [];
+
+        for (const flag of [KSIDE_CASTLE, QSIDE_CASTLE]) {
+            const rook = this._castlingRooks[us][flag];
+            if (!(this._castling[us] & flag) || rook === undefined) continue;
+            if (this._board[rook]?.type !== 'r' || this._board[rook]?.color !== us) continue;
+
+            const kingTo = rows + (flag === KSIDE_CASTLE ? 6 : 2);
+            const rookTo = rows + (flag === KSIDE_CASTLE ? 5 : 3);
+
+            // Every square the king or rook crosses must be empty, apart from the two castling pieces
+            const low = Math.min(king, rook, kingTo, rookTo);
+            const high = Math.max(king, rook, kingTo, rookTo);
+            let clear = true;
+            for (let square = low; square <= high; square++) {
+                if (square !== king && square !== rook && this._board[square]) {
+                    clear = false;
+                    break;
+                }
+            }
+            if (!clear) continue;
+
+            // The king may not castle out of, through or into check
+            let safe = true;
+            const step = kingTo > king ? 1 : -1;
+            for (let square = king; ; square += step) {
+                if (this._attacked(them, square)) {
+                    safe = false;
+                    break;
+                }
+                if (square === kingTo) break;
+            }
+            if (!safe) continue;
+
+            moves.push({ color: us, from: king, to: kingTo, piece: 'k', captured: undefined, promotion: undefined, flags: flag, rook });
+        }
+        return moves;
+    }
+
+    _makeMove(move) {
+        const us = this._turn;
+        const them = us === 'w' ? 'b' : 'w';
+
+        if (move.rook !== undefined) {
+            this._push(move);
+            const flag = move.flags & KSIDE_CASTLE ? KSIDE_CASTLE : QSIDE_CASTLE;
+            const rookTo = (move.to & 0xf0) + (flag === KSIDE_CASTLE ? 5 : 3);
+            const kingPiece = this._board[move.from];
+            const rookPiece = this._board[move.rook];
+            delete this._board[move.from];
+            delete this._board[move.rook];
+            this._board[move.to] = kingPiece;
+            this._board[rookTo] = rookPiece;
+            this._kings[us] = move.to;
+            this._castling[us] = 0;
+            this._epSquare = EMPTY;
+            this._halfMoves++;
+            if (us === 'b') this._moveNumber++;
+            this._turn = them;
+            return;
+        }
+
+        // chess.js updates castling rights for rooks in the corners, so work them out here instead
+        const rights = { w: this._castling.w, b: this._castling.b };
+        super._makeMove(move);
+        if (move.piece === 'k') rights[us] = 0;
+        for (const flag of [KSIDE_CASTLE, QSIDE_CASTLE]) {
+            if (move.from === this._castlingRooks[us][flag]) rights[us] &= ~flag;
+            if (move.to === this._castlingRooks[them][flag]) rights[them] &= ~flag;
+        }
+        this._castling = rights;
+    }
+
+    _undoMove() {
+        const last = this._history[this._history.length - 1];
+        if (!last || last.move.rook === undefined) {
+            return super._undoMove();
+        }
+
+        this._history.pop();
+        const { move } = last;
+        this._kings = last.kings;
+        this._turn = last.turn;
+        this._castling = last.castling;
+        this._epSquare = last.epSquare;
+        this._halfMoves = last.halfMoves;
+        this._moveNumber = last.moveNumber;
+
+        const rookTo = (move.to & 0xf0) + (move.flags & KSIDE_CASTLE ? 5 : 3);
+        const kingPiece = this._board[move.to];
+        const rookPiece = this._board[rookTo];
+        delete this._board[move.to];
+        delete this._board[rookTo];
+        this._board[move.from] = kingPiece;
+        this._board[move.rook] = rookPiece;
+        return move;
+    }
+}
+
+/**
+ * Creates a chess.js instance for a variant
+ * @param {?string} [fen] - Position to load (defaults to the standard start)
+ * @param {string} [variant='standard'] - Key of VARIANTS
+ * @returns {Chess}
+ */
+function createChess(fen = null, variant = 'standard') {
+    const Game = variant === 'chess960' ? Chess960 : Chess;
+    return new Game(fen || DEFAULT_POSITION);
+}
+
+/**
+ * Checks that a pasted FEN is a playable starting position
+ * @param {string} fen - FEN from the user
+ * @returns {string} The FEN with any missing fields filled in
+ * @throws {Error} With a message for the user if the position can't be played
+ */
+function validateStartingFen(fen) {
+    let game;
+    try {
+        game = new Chess((fen || '').trim().replace(/\s+/g, ' '));
+    } catch (error) {
+        throw new Error(`That FEN isn't valid: ${error.message.replace(/^Invalid FEN: /, '')}.`);
+    }
+    const normalized = game.fen();
+    const [placement, turn, castling] = normalized.split(' ');
+
+    const count = piece => game.findPiece(piece).length;
+    if (count({ type: 'k', color: 'w' }) !== 1 || count({ type: 'k', color: 'b' }) !== 1) {
+        throw new Error('The position needs exactly one king for each side.');
+    }
+
+    // The side that just moved can't have left its king in check
+    if (new Chess(`${placement} ${turn === 'w' ? 'b' : 'w'} - - 0 1`).inCheck()) {
+        throw new Error(`${turn === 'w' ? 'Black' : 'White'} is in check but it's ${turn === 'w' ? 'White' : 'Black'}'s turn.`);
+    }
+    if (game.isGameOver()) {
+        throw new Error('That position is already over, there is nothing left to play.');
+    }
+
+    // Standard games only castle with the king on e1/e8 and rooks in the corners
+    const isPiece = (square, type, color) => game.get(square)?.type === type && game.get(square)?.color === color;
+    const rights = { K: ['e1', 'h1', 'w'], Q: ['e1', 'a1', 'w'], k: ['e8', 'h8', 'b'], q: ['e8', 'a8', 'b'] };
+    for (const [right, [kingSquare, rookSquare, color]] of Object.entries(rights)) {
+        if (castling.includes(right) && !(isPiece(kingSquare, 'k', color) && isPiece(rookSquare, 'r', color))) {
+            throw new Error(`The castling rights (${castling}) don't match where the kings and rooks are.`);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Works out the starting position of a new game from the /chess challenge options
+ * @param {?string} variant - Key of VARIANTS, standard if not given
+ * @param {?string} fen - FEN pasted by the user, which implies the fen variant
+ * @returns {{variant: string, initialFen: ?string}} Options for GameManager.createGameForPlayers
+ * @throws {Error} With a message for the user if the options don't make a playable game
+ */
+function getStartingPosition(variant, fen) {
+    if (fen && (!variant || variant === 'fen')) {
+        return { variant: 'fen', initialFen: validateStartingFen(fen) };
+    }
+    if (fen) {
+        throw new Error('A FEN can only be used with the "From FEN" variant.');
+    }
+    if (variant === 'fen') {
+        throw new Error('Paste the position to play out in the `fen` option.');
+    }
+    if (variant === 'chess960') {
+        return { variant, initialFen: generateChess960Position().fen };
+    }
+    return { variant: 'standard', initialFen: null };
+}
+
+/**
+ * Gets a variant's display name for embeds and game lists
+ * @param {?string} variant - Key of VARIANTS
+ * @returns {string}
+ */
+function describeVariant(variant) {
+    return (VARIANTS[variant] || VARIANTS.standard).name;
+}
+
+module.exports = {
+    VARIANTS,
+    Chess960,
+    createChess,
+    generateChess960Position,
+    validateStartingFen,
+    getStartingPosition,
+    describeVariant
+};
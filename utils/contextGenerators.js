@@ -261,7 +261,7 @@ async function injectContextFunctionTokens({ client, userPrompt, openai, SUMMARY
         }
         else if (type === "chess") {
             // content is the playerId
-            const chessContext = generateChessContext(content);
+            const chessContext = await generateChessContext(content);
             if (!chessContext) {
                 results["chess"] = `⚠️ No chess game found for player "${content}"`;
             } else {
@@ -516,23 +516,31 @@ async function refinePrompt({
 
 // --- Chess Context Generator ---
 const createGameManager = require('./chess/gameManager');
+const { formatOpening } = require('./chess/openingBook');
+const { formatEval, pvToSan } = require('./chess/analysisService');
+const { formatMoveList } = require('./chess/boardMessage');
 const { Chess } = require('chess.js');
 
-// Get the game manager instance if it exists, but don't initialize it here
-const gameManager = createGameManager.getInstanceIfExists();
+const BEST_LINE_PLIES = 6; // Moves of the engine's best line given to RolyBot
 
 /**
  * Generates a detailed context about the current chess game for a given playerId.
+ * When the game's players see evaluations (see GameManager.showsEvaluations), the position
+ * is assessed by Stockfish; otherwise only the material on the board is described, so
+ * RolyBot doesn't pass on what the engine thinks.
  * @param {string} playerId - The Discord user ID of the player
- * @returns {string|null} Detailed game context or null if no game exists
+ * @param {?string} [channelId] - Channel the player is writing in, to pick the game when they have several
+ * @returns {Promise<string|null>} Detailed game context or null if no game exists
  */
-function generateChessContext(playerId) {
+async function generateChessContext(playerId, channelId = null) {
+    // Get the game manager instance if it exists, but don't initialize it here
+    const gameManager = createGameManager.getInstanceIfExists();
     if (!gameManager) {
         logger.debug('[Chess Context] Game manager not initialized');
         return null;
     }
     
-    const gameData = gameManager.getGameData(playerId);
+    const gameData = gameManager.getGameData(playerId, channelId);
     if (!gameData || !gameData.gameInstance) {
         logger.debug(`[Chess Context] No active game found for user ${playerId}`);
         return null;
@@ -541,15 +549,16 @@ function generateChessContext(playerId) {
     try {
         const game = gameData.gameInstance;
         const fen = game.fen();
-        const isPlayerTurn = game.turn() === gameData.playerColor[0];
-        const playerColor = gameData.playerColor === 'w' ? 'White' : 'Black';
+        const playerColorCode = gameManager.gameStateManager.getPlayerColor(gameData, playerId);
+        const isPlayerTurn = game.turn() === playerColorCode;
+        const playerColor = playerColorCode === 'w' ? 'White' : 'Black';
         const opponentColor = playerColor === 'White' ? 'Black' : 'White';
         const moveNumber = Math.ceil(game.history().length / 2);
         
         // Determine if the bot is a player in this game
         const isBotGame = gameManager.client && 
                         (playerId === gameManager.client.user.id || 
-                         gameData.opponent === gameManager.client.user.id);
+                         gameManager.gameStateManager.getOpponentId(gameData, playerId) === gameManager.client.user.id);
         const botColor = isBotGame ? 
             (playerId === gameManager.client.user.id ? playerColor : opponentColor) : 
             null;
@@ -563,8 +572,11 @@ function generateChessContext(playerId) {
         // Material balance
         const material = getMaterialBalance(game);
         
-        // Position evaluation (simplified)
-        const positionEval = evaluatePosition(game, material);
+        // Position evaluation, from the engine when the players see it
+        const engineEval = isGameOver ? null : await gameManager.getLiveEvaluation(gameData, fen);
+        const positionEval = engineEval
+            ? describeEngineEvaluation(engineEval, fen, gameData.variant)
+            : evaluatePosition(game, material);
         
         // Generate context
         let context = `## Chess Game Context\n`;
@@ -588,6 +600,12 @@ function generateChessContext(playerId) {
         }
         context += '\n';
         
+        // Opening, while the game is still in (or has passed through) a named opening
+        const opening = gameManager.getOpening(gameData);
+        if (opening) {
+            context += `- **Opening**: ${formatOpening(opening)}\n`;
+        }
+        
         // Game status
         if (isGameOver) {
             if (isCheckmate) {
@@ -651,6 +669,34 @@ function generateChessContext(playerId) {
     }
 }
 
+/**
+ * Describes Stockfish's evaluation of a position
+ * @param {{score: number, mate: ?number, pv: Array<string>}} evaluation - Evaluation from White's point of view
+ * @param {string} fen - Evaluated position
+ * @param {string} [variant='standard'] - Game variant
+ * @returns {string} e.g. "White is clearly better (engine: +1.85). Best line: 21. Rd7 Rxd7 22. Rxd7"
+ */
+function describeEngineEvaluation(evaluation, fen, variant = 'standard') {
+    const { score, mate } = evaluation;
+    const side = score > 0 ? 'White' : 'Black';
+    let assessment;
+    if (mate) {
+        assessment = `${side} has mate in ${Math.abs(mate)}`;
+    } else if (Math.abs(score) < 50) {
+        assessment = 'The position is roughly equal';
+    } else if (Math.abs(score) < 150) {
+        assessment = `${side} is slightly better`;
+    } else if (Math.abs(score) < 300) {
+        assessment = `${side} is clearly better`;
+    } else {
+        assessment = `${side} is winning`;
+    }
+
+    const bestLine = pvToSan(fen, evaluation.pv || [], variant, BEST_LINE_PLIES);
+    return `${assessment} (engine: ${formatEval(score, mate)}).`
+        + (bestLine.length > 0 ? ` Best line: ${formatMoveList(bestLine, fen)}` : '');
+}
+
 /**
  * Evaluates the current board position
  * @param {Chess} game - The chess.js game instance
@@ -48,6 +48,11 @@ async function classifyMessage({ content, author, isBot, isReply, messageHistory
     const chessCommands = [
         { command: "start", description: "Start a new chess game with the bot." },
         { command: "resign", description: "Resign from your current chess game." },
+        { command: "offer_draw", description: "Offer a draw in your current chess game." },
+        { command: "accept_offer", description: "Accept the opponent's pending draw offer or takeback request." },
+        { command: "decline_offer", description: "Decline the opponent's pending draw offer or takeback request." },
+        { command: "takeback", description: "Ask to take back your last chess move." },
+        { command: "abort", description: "Abort your current chess game before both players have moved." },
         { command: "move", description: "Make a chess move. Accepts algebraic notation (SAN) or plain English (e.g., 'e4', 'knight to f3')." }
     ];
 
@@ -77,6 +82,7 @@ Instructions:
 - If the user wants to start a new chess game, resign, or make any other chess command, append it as an object in the "chess_commands" array. Each object should be one of:
   - { "command": "start" }
   - { "command": "resign" }
+  - { "command": "offer_draw" }, { "command": "accept_offer" }, { "command": "decline_offer" }, { "command": "takeback" } or { "command": "abort" }
   - { "command": "move", "move": "e4" } (or any other valid move in SAN)
 - If the user wants to chain multiple chess commands (e.g., "resign and start a new game"), include them all in order in the "chess_commands" array.
 